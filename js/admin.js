@@ -16,6 +16,16 @@ document.addEventListener('DOMContentLoaded', function() {
 });
 
 async function initAdmin() {
+  // Refresh role and permissions, then hide what this user can't do
+  if (api.isAuthenticated()) {
+    try {
+      await api.refreshUser();
+    } catch (error) {
+      console.error('Error refreshing user:', error);
+    }
+  }
+  applyPermissionVisibility();
+
   // Check for LinkedIn callback messages
   const urlParams = new URLSearchParams(window.location.search);
   const linkedinSuccess = urlParams.get('linkedin_success');
@@ -44,8 +54,12 @@ async function initAdmin() {
 
   // Load posts management
   if (document.getElementById('admin-posts') || document.getElementById('posts-list')) {
+    initPostFilters();
+    initBulkActions();
     await loadPosts();
-    await checkLinkedInAuth();
+    if (api.can('linkedin:manage')) {
+      await checkLinkedInAuth();
+    }
   }
 
   // Load categories management
@@ -57,8 +71,36 @@ async function initAdmin() {
   if (document.getElementById('admin-comments')) {
     await loadComments();
   }
+
+  // Load user management
+  if (document.getElementById('admin-users')) {
+    await loadUsers();
+  }
+
+  // Load trash
+  if (document.getElementById('admin-trash')) {
+    await loadTrash();
+  }
+
+  // Load the media library
+  if (document.getElementById('admin-media')) {
+    initMediaLibrary();
+    await loadMediaLibrary();
+  }
 }
 
+// Remove controls marked with data-permission="..." that the current user lacks
+function applyPermissionVisibility(root = document) {
+  root.querySelectorAll('[data-permission]').forEach(el => {
+    const permissions = el.dataset.permission.split(',').map(p => p.trim());
+    if (!permissions.some(permission => api.can(permission))) {
+      el.remove();
+    }
+  });
+}
+
+window.applyPermissionVisibility = applyPermissionVisibility;
+
 async function loadDashboard() {
   try {
     const stats = await api.request('/api/admin/stats');
@@ -87,49 +129,78 @@ async function loadPosts() {
     // Show loading state
     container.innerHTML = '<p>Loading posts...</p>';
 
-    const posts = await api.request('/api/admin/posts');
-    
-    if (posts.length === 0) {
+    // The dashboard shows the 5 most recent posts; the posts page follows the URL
+    const isDashboard = document.getElementById('admin-dashboard') && !document.getElementById('admin-posts');
+    const listState = isDashboard ? {} : postListState();
+    const query = new URLSearchParams({
+      envelope: 'true',
+      limit: isDashboard ? 5 : POSTS_PER_PAGE,
+      ...listState
+    });
+    const result = await api.request(`/api/admin/posts?${query}`);
+    const displayPosts = result.items;
+
+    if (result.total === 0) {
       const isInAdmin = window.location.pathname.includes('/admin/');
       const editorPath = isInAdmin ? 'editor.html' : 'admin/editor.html';
-      container.innerHTML = `<p>No posts yet. <a href="${editorPath}">Create your first post!</a></p>`;
+      const filtered = Object.keys(listState).some(key => !['sort', 'order', 'page'].includes(key));
+      container.innerHTML = filtered
+        ? '<p>No posts match these filters. <a href="#" onclick="clearPostFilters(); return false;">Clear filters</a></p>'
+        : `<p>No posts yet. <a href="${editorPath}">Create your first post!</a></p>`;
+      renderPostPagination(result);
+      updateBulkSelection();
       return;
     }
 
-    // Limit to 5 most recent posts on dashboard
-    const isDashboard = document.getElementById('admin-dashboard') && !document.getElementById('admin-posts');
-    const displayPosts = isDashboard ? posts.slice(0, 5) : posts;
+    // A bookmarked or just-emptied page past the end falls back to the last page
+    if (displayPosts.length === 0 && result.page > 1) {
+      setPostListState({ ...listState, page: String(result.total_pages) }, { replace: true });
+      return;
+    }
+
+    const bulkEnabled = !isDashboard && !!document.getElementById('bulk-actions');
 
     container.innerHTML = displayPosts.map(post => {
       const isInAdmin = window.location.pathname.includes('/admin/');
       const viewPath = isInAdmin ? `../post.html?slug=${post.slug}` : `post.html?slug=${post.slug}`;
       const editPath = isInAdmin ? `editor.html?id=${post.id}` : `admin/editor.html?id=${post.id}`;
+      const can = post.permissions || {};
+      const byline = (post.authors || []).map(author => escapeHtml(author.name)).join(' & ');
+      const editedBy = post.last_edited_by_name ? ` • edited by ${escapeHtml(post.last_edited_by_name)}` : '';
       
       return `
       <div class="post-item">
+        ${bulkEnabled && (can.edit || can.delete) ? `<input type="checkbox" class="bulk-select" value="${post.id}" aria-label="Select ${escapeHtml(post.title)}">` : ''}
         <div class="post-info">
           <h3>${escapeHtml(post.title)}</h3>
-          <p>${post.category_name || 'Uncategorized'} • ${utils.formatDate(post.created_at)} • ${post.status} • ${post.view_count || 0} views</p>
+          ${byline ? `<p>by ${byline}${editedBy}</p>` : ''}
+          <p>${post.category_name || 'Uncategorized'} • ${utils.formatDate(post.created_at)} • ${post.status}${post.status === 'scheduled' && post.published_at ? ` <span class="publish-countdown" data-publish-at="${post.published_at}" title="${utils.formatDateTime(post.published_at)}">${formatCountdown(post.published_at)}</span>` : ''} • ${post.view_count || 0} views</p>
         </div>
         <div class="post-actions">
           <a href="${viewPath}" target="_blank" class="btn-view">View</a>
-          <a href="${editPath}" class="btn-edit">Edit</a>
-          ${post.status === 'published' ? `<button onclick="crossPostToLinkedIn('${post.id}', '${escapeHtml(post.title)}', '${post.slug}')" class="btn-linkedin" title="Cross-post to LinkedIn">🔗 LinkedIn</button>` : ''}
-          ${!isDashboard ? `<button onclick="deletePost('${post.id}')" class="btn-delete">Delete</button>` : ''}
+          ${can.edit ? `<a href="${editPath}" class="btn-edit">Edit</a>` : ''}
+          ${can.crosspost ? `<button onclick="crossPostToLinkedIn('${post.id}', '${escapeHtml(post.title)}', '${post.slug}')" class="btn-linkedin" title="Cross-post to LinkedIn">🔗 LinkedIn</button>` : ''}
+          ${!isDashboard && can.delete ? `<button onclick="deletePost('${post.id}')" class="btn-delete">Delete</button>` : ''}
         </div>
       </div>
     `;
     }).join('');
 
     // Add "View All Posts" link on dashboard if there are more posts
-    if (isDashboard && posts.length > 5) {
+    if (isDashboard && result.total > 5) {
       const viewAllLink = document.createElement('div');
       viewAllLink.style.padding = 'var(--spacing-md)';
       viewAllLink.style.textAlign = 'center';
       viewAllLink.style.borderTop = '1px solid var(--border-color)';
-      viewAllLink.innerHTML = `<a href="posts.html" style="color: var(--primary-color); text-decoration: none; font-weight: 500;">View All Posts (${posts.length})</a>`;
+      viewAllLink.innerHTML = `<a href="posts.html" style="color: var(--primary-color); text-decoration: none; font-weight: 500;">View All Posts (${result.total})</a>`;
       container.appendChild(viewAllLink);
     }
+
+    if (!isDashboard) {
+      renderPostPagination(result);
+    }
+    startPublishCountdowns();
+    updateBulkSelection();
   } catch (error) {
     console.error('Error loading posts:', error);
     const container = document.getElementById('posts-list');
@@ -139,6 +210,296 @@ async function loadPosts() {
   }
 }
 
+// Posts page filters, sorting and paging live in the URL so views can be bookmarked
+const POST_LIST_PARAMS = ['q', 'status', 'category', 'tag', 'author', 'date_field', 'from', 'to', 'sort', 'order', 'page'];
+const POSTS_PER_PAGE = 20;
+let postSearchTimer = null;
+
+function postListState() {
+  const params = new URLSearchParams(window.location.search);
+  const state = {};
+  POST_LIST_PARAMS.forEach(key => {
+    if (params.get(key)) state[key] = params.get(key);
+  });
+  return state;
+}
+
+// Write the list state to the URL and reload; typing in the search box replaces the history entry
+function setPostListState(state, { replace = false } = {}) {
+  const params = new URLSearchParams();
+  POST_LIST_PARAMS.forEach(key => {
+    if (state[key]) params.set(key, state[key]);
+  });
+  const query = params.toString();
+  window.history[replace ? 'replaceState' : 'pushState']({}, document.title, `${window.location.pathname}${query ? `?${query}` : ''}`);
+  syncPostFilters();
+  loadPosts();
+}
+
+// Filter form values, plus the current sort; any filter change starts again at page 1
+function readPostFilters() {
+  const form = document.getElementById('post-filters');
+  const { sort, order } = postListState();
+  const state = { sort, order };
+  Array.from(form.elements).forEach(el => {
+    if (el.name && el.value) state[el.name] = el.value.trim();
+  });
+  // The date field only matters with a date range
+  if (!state.from && !state.to) delete state.date_field;
+  return state;
+}
+
+function syncPostFilters() {
+  const form = document.getElementById('post-filters');
+  if (!form) return;
+
+  const state = postListState();
+  Array.from(form.elements).forEach(el => {
+    if (!el.name || el === document.activeElement) return;
+    el.value = state[el.name] || (el.name === 'date_field' ? 'created_at' : '');
+  });
+
+  const sort = state.sort || 'created_at';
+  document.querySelectorAll('#post-sort [data-sort]').forEach(button => {
+    const active = button.dataset.sort === sort;
+    button.classList.toggle('active', active);
+    button.classList.toggle('sort-asc', active && state.order === 'asc');
+    button.classList.toggle('sort-desc', active && state.order !== 'asc');
+  });
+}
+
+async function initPostFilters() {
+  const form = document.getElementById('post-filters');
+  if (!form) return;
+
+  syncPostFilters();
+
+  form.addEventListener('submit', (e) => e.preventDefault());
+  form.addEventListener('change', (e) => {
+    if (e.target.name === 'q') return;
+    setPostListState(readPostFilters());
+  });
+  form.elements.q.addEventListener('input', () => {
+    clearTimeout(postSearchTimer);
+    postSearchTimer = setTimeout(() => setPostListState(readPostFilters(), { replace: true }), 300);
+  });
+
+  document.querySelectorAll('#post-sort [data-sort]').forEach(button => {
+    button.addEventListener('click', () => {
+      const state = postListState();
+      const current = state.sort || 'created_at';
+      const order = button.dataset.sort === current
+        ? (state.order === 'asc' ? 'desc' : 'asc')
+        : (button.dataset.sort === 'title' ? 'asc' : 'desc');
+      setPostListState({ ...state, sort: button.dataset.sort, order, page: '' });
+    });
+  });
+
+  window.addEventListener('popstate', () => {
+    syncPostFilters();
+    loadPosts();
+  });
+
+  // Options come from the API; re-sync afterwards so bookmarked values get selected
+  try {
+    const [categories, tags, authors] = await Promise.all([
+      api.request('/api/admin/categories'),
+      api.request('/api/admin/tags'),
+      api.request('/api/admin/authors')
+    ]);
+    form.elements.category.insertAdjacentHTML('beforeend', categories
+      .map(cat => `<option value="${escapeHtml(cat.slug)}">${escapeHtml(cat.name)}</option>`).join(''));
+    form.elements.tag.insertAdjacentHTML('beforeend', tags
+      .map(tag => `<option value="${escapeHtml(tag.slug)}">${escapeHtml(tag.name)}</option>`).join(''));
+    form.elements.author.insertAdjacentHTML('beforeend', authors
+      .map(author => `<option value="${author.id}">${escapeHtml(author.name || author.email)}</option>`).join(''));
+    syncPostFilters();
+  } catch (error) {
+    console.error('Error loading post filters:', error);
+  }
+}
+
+function renderPostPagination(result) {
+  const container = document.getElementById('posts-pagination');
+  if (!container) return;
+
+  if (result.total_pages <= 1) {
+    container.innerHTML = result.total > 0 ? `<span>${result.total} post(s)</span>` : '';
+    return;
+  }
+
+  container.innerHTML = `
+    <button type="button" class="btn btn-secondary" onclick="goToPostsPage(${result.page - 1})" ${result.page <= 1 ? 'disabled' : ''}>Previous</button>
+    <span>Page ${result.page} of ${result.total_pages} &middot; ${result.total} posts</span>
+    <button type="button" class="btn btn-secondary" onclick="goToPostsPage(${result.page + 1})" ${result.page >= result.total_pages ? 'disabled' : ''}>Next</button>
+  `;
+}
+
+window.goToPostsPage = function(page) {
+  setPostListState({ ...postListState(), page: page > 1 ? String(page) : '' });
+  window.scrollTo({ top: 0, behavior: 'smooth' });
+};
+
+window.clearPostFilters = function() {
+  const { sort, order } = postListState();
+  setPostListState({ sort, order });
+};
+
+// Bulk actions on the posts page
+const BULK_CONFIRMATIONS = {
+  publish: count => `Publish ${count} post(s) now?`,
+  unpublish: count => `Unpublish ${count} post(s)? They go back to drafts and disappear from the site.`,
+  trash: count => `Move ${count} post(s) to the trash? They can be restored from Trash until they are purged.`
+};
+
+function initBulkActions() {
+  const bar = document.getElementById('bulk-actions');
+  if (!bar) return;
+
+  document.getElementById('bulk-select-all').addEventListener('change', (e) => {
+    document.querySelectorAll('#posts-list .bulk-select').forEach(checkbox => {
+      checkbox.checked = e.target.checked;
+    });
+    updateBulkSelection();
+  });
+
+  document.getElementById('posts-list').addEventListener('change', (e) => {
+    if (e.target.classList.contains('bulk-select')) {
+      updateBulkSelection();
+    }
+  });
+
+  document.getElementById('bulk-action').addEventListener('change', async (e) => {
+    const categorySelect = document.getElementById('bulk-category');
+    const tagSelect = document.getElementById('bulk-tag');
+    categorySelect.style.display = e.target.value === 'set_category' ? '' : 'none';
+    tagSelect.style.display = ['add_tag', 'remove_tag'].includes(e.target.value) ? '' : 'none';
+
+    try {
+      if (e.target.value === 'set_category' && categorySelect.options.length === 0) {
+        const categories = await api.request('/api/admin/categories');
+        categorySelect.innerHTML = '<option value="">No category</option>' + categories
+          .map(cat => `<option value="${cat.id}">${escapeHtml(cat.name)}</option>`).join('');
+      }
+      if (tagSelect.style.display !== 'none' && tagSelect.options.length === 0) {
+        const tags = await api.request('/api/admin/tags');
+        tagSelect.innerHTML = tags
+          .map(tag => `<option value="${tag.id}">${escapeHtml(tag.name)}</option>`).join('');
+      }
+    } catch (error) {
+      console.error('Error loading bulk action options:', error);
+    }
+    updateBulkSelection();
+  });
+}
+
+function selectedPostIds() {
+  return Array.from(document.querySelectorAll('#posts-list .bulk-select:checked')).map(checkbox => checkbox.value);
+}
+
+function updateBulkSelection() {
+  const selectAll = document.getElementById('bulk-select-all');
+  if (!selectAll) return;
+
+  const total = document.querySelectorAll('#posts-list .bulk-select').length;
+  const selected = selectedPostIds().length;
+  selectAll.checked = total > 0 && selected === total;
+  selectAll.indeterminate = selected > 0 && selected < total;
+  document.getElementById('bulk-count').textContent = `${selected} selected`;
+  document.getElementById('bulk-apply').disabled = selected === 0 || !document.getElementById('bulk-action').value;
+}
+
+// Posts the bulk endpoint could not change, with the reason for each
+function renderBulkReport(report) {
+  const container = document.getElementById('bulk-report');
+  const problems = report.results.filter(result => result.status === 'skipped' || result.status === 'not_found');
+
+  if (problems.length === 0) {
+    container.style.display = 'none';
+    container.innerHTML = '';
+    return;
+  }
+
+  container.innerHTML = `
+    <p>${problems.length} post(s) were not changed:</p>
+    <ul>
+      ${problems.map(result => `<li><strong>${escapeHtml(result.title || result.id)}</strong> &middot; ${escapeHtml(result.error || result.status)}</li>`).join('')}
+    </ul>
+  `;
+  container.style.display = 'block';
+}
+
+window.applyBulkAction = async function() {
+  const action = document.getElementById('bulk-action').value;
+  const ids = selectedPostIds();
+  if (!action || ids.length === 0) return;
+
+  const confirmation = BULK_CONFIRMATIONS[action];
+  if (confirmation && !confirm(confirmation(ids.length))) return;
+
+  const body = { action, ids };
+  if (action === 'set_category') {
+    body.category_id = document.getElementById('bulk-category').value || null;
+  }
+  if (action === 'add_tag' || action === 'remove_tag') {
+    body.tag_id = document.getElementById('bulk-tag').value;
+    if (!body.tag_id) {
+      showMessage('Pick a tag first', 'error');
+      return;
+    }
+  }
+
+  const applyBtn = document.getElementById('bulk-apply');
+  applyBtn.disabled = true;
+  applyBtn.textContent = 'Applying...';
+
+  try {
+    const report = await api.request('/api/admin/posts/bulk', 'POST', body);
+    const { updated, unchanged, skipped } = report.summary;
+    showMessage(
+      `${updated} updated${unchanged ? `, ${unchanged} already up to date` : ''}${skipped ? `, ${skipped} skipped` : ''}`,
+      skipped > 0 ? 'info' : 'success'
+    );
+    renderBulkReport(report);
+    document.getElementById('bulk-select-all').checked = false;
+    await loadPosts();
+  } catch (error) {
+    console.error('Error applying bulk action:', error);
+    showMessage('Error applying bulk action: ' + (error.message || 'Unknown error'), 'error');
+  } finally {
+    applyBtn.textContent = 'Apply';
+    updateBulkSelection();
+  }
+};
+
+// Human-readable time until a scheduled post goes live
+function formatCountdown(publishAt) {
+  const remaining = new Date(publishAt).getTime() - Date.now();
+  if (remaining <= 0) return '(publishing shortly)';
+
+  const minutes = Math.ceil(remaining / 60000);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const mins = minutes % 60;
+
+  const parts = [];
+  if (days) parts.push(`${days}d`);
+  if (hours) parts.push(`${hours}h`);
+  if (!days && mins) parts.push(`${mins}m`);
+  return `(in ${parts.join(' ')})`;
+}
+
+let publishCountdownTimer = null;
+
+function startPublishCountdowns() {
+  if (publishCountdownTimer) return;
+  publishCountdownTimer = setInterval(() => {
+    document.querySelectorAll('.publish-countdown').forEach(el => {
+      el.textContent = formatCountdown(el.dataset.publishAt);
+    });
+  }, 30000);
+}
+
 async function loadCategories() {
   try {
     const categories = await api.request('/api/admin/categories');
@@ -157,10 +518,12 @@ async function loadCategories() {
           <span class="category-badge" style="background-color: ${cat.color}">${escapeHtml(cat.name)}</span>
           <p>${escapeHtml(cat.description || '')}</p>
         </div>
-        <div class="category-actions">
-          <button onclick="editCategory('${cat.id}')" class="btn-edit">Edit</button>
-          <button onclick="deleteCategory('${cat.id}')" class="btn-delete">Delete</button>
-        </div>
+        ${api.can('categories:manage') ? `
+          <div class="category-actions">
+            <button onclick="editCategory('${cat.id}')" class="btn-edit">Edit</button>
+            <button onclick="deleteCategory('${cat.id}')" class="btn-delete">Delete</button>
+          </div>
+        ` : ''}
       </div>
     `).join('');
     
@@ -209,6 +572,68 @@ async function loadComments() {
   }
 }
 
+async function loadUsers() {
+  const container = document.getElementById('users-list');
+  if (!container) return;
+
+  try {
+    const users = await api.request('/api/admin/users');
+    const currentUser = api.getUser();
+    const roles = ['admin', 'editor', 'author', 'contributor'];
+
+    if (users.length === 0) {
+      container.innerHTML = '<p>No users yet.</p>';
+      return;
+    }
+
+    container.innerHTML = users.map(user => {
+      const isSelf = currentUser && currentUser.id === user.id;
+      return `
+      <div class="category-item">
+        <div class="category-info">
+          <h3>${escapeHtml(user.name || user.email)}${isSelf ? ' (you)' : ''}</h3>
+          <p>${escapeHtml(user.email)} • joined ${utils.formatDate(user.created_at)}</p>
+        </div>
+        <div class="category-actions">
+          <select onchange="changeUserRole('${user.id}', this.value)" ${isSelf ? 'disabled' : ''} aria-label="Role">
+            ${roles.map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`).join('')}
+          </select>
+          ${!isSelf ? `<button onclick="deleteUser('${user.id}')" class="btn-delete">Delete</button>` : ''}
+        </div>
+      </div>
+    `;
+    }).join('');
+  } catch (error) {
+    console.error('Error loading users:', error);
+    container.innerHTML = `<p style="color: var(--error-color, #dc3545);">Error loading users: ${escapeHtml(error.message || 'Unknown error')}</p>`;
+  }
+}
+
+window.loadUsers = loadUsers;
+
+window.changeUserRole = async function(userId, role) {
+  try {
+    await api.request(`/api/admin/users/${userId}`, 'PUT', { role });
+    showMessage('Role updated', 'success');
+  } catch (error) {
+    console.error('Error updating role:', error);
+    showMessage('Error updating role: ' + (error.message || 'Unknown error'), 'error');
+    loadUsers();
+  }
+};
+
+window.deleteUser = async function(userId) {
+  if (!confirm('Are you sure you want to delete this user?')) return;
+
+  try {
+    await api.request(`/api/admin/users/${userId}`, 'DELETE');
+    loadUsers();
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    showMessage('Error deleting user: ' + (error.message || 'Unknown error'), 'error');
+  }
+};
+
 // Global functions
 window.editPost = async function(postId) {
   // Check if we're already in admin directory
@@ -218,10 +643,11 @@ window.editPost = async function(postId) {
 };
 
 window.deletePost = async function(postId) {
-  if (!confirm('Are you sure you want to delete this post?')) return;
+  if (!confirm('Move this post to the trash? It can be restored from Trash until it is purged.')) return;
   
   try {
     await api.request(`/api/admin/posts/${postId}`, 'DELETE');
+    showMessage('Post moved to the trash', 'success');
     loadPosts();
   } catch (error) {
     console.error('Error deleting post:', error);
@@ -239,10 +665,11 @@ window.editCategory = async function(categoryId) {
 };
 
 window.deleteCategory = async function(categoryId) {
-  if (!confirm('Are you sure you want to delete this category?')) return;
+  if (!confirm('Move this category to the trash? Its posts will show no category until it is restored.')) return;
   
   try {
     await api.request(`/api/admin/categories/${categoryId}`, 'DELETE');
+    showMessage('Category moved to the trash', 'success');
     loadCategories();
   } catch (error) {
     console.error('Error deleting category:', error);
@@ -259,16 +686,345 @@ window.approveComment = async function(commentId) {
 };
 
 window.deleteComment = async function(commentId) {
-  if (!confirm('Are you sure you want to delete this comment?')) return;
+  if (!confirm('Move this comment to the trash?')) return;
   
   try {
     await api.request(`/api/admin/comments/${commentId}`, 'DELETE');
+    showMessage('Comment moved to the trash', 'success');
     loadComments();
   } catch (error) {
     console.error('Error deleting comment:', error);
   }
 };
 
+// Trash: deleted posts, categories and comments until they are purged
+async function loadTrash() {
+  const container = document.getElementById('trash-list');
+  if (!container) return;
+
+  try {
+    const trash = await api.request('/api/admin/trash');
+    document.getElementById('trash-retention').textContent =
+      `Items are deleted permanently ${trash.retention_days} days after they are moved here.`;
+
+    const item = (type, id, title, detail, entry) => `
+      <div class="category-item">
+        <div class="category-info">
+          <h3>${title}</h3>
+          <p>${detail}</p>
+          <p>
+            Deleted ${utils.formatDateTime(entry.deleted_at)}${entry.deleted_by_name ? ` by ${escapeHtml(entry.deleted_by_name)}` : ''}
+            &middot; purged ${utils.formatDate(entry.purge_at)}
+          </p>
+        </div>
+        <div class="category-actions">
+          <button onclick="restoreFromTrash('${type}', '${id}')" class="btn-approve">Restore</button>
+          <button onclick="purgeFromTrash('${type}', '${id}')" class="btn-delete">Delete Permanently</button>
+        </div>
+      </div>
+    `;
+
+    const sections = [
+      ['Posts', trash.posts.map(post => item('posts', post.id, escapeHtml(post.title),
+        `${escapeHtml(post.status)} &middot; /${escapeHtml(post.slug)}`, post))],
+      ['Categories', trash.categories.map(cat => item('categories', cat.id,
+        `<span class="category-badge" style="background-color: ${escapeHtml(cat.color || '#0c71c3')}">${escapeHtml(cat.name)}</span>`,
+        `${cat.post_count} post(s) will get this category back when it is restored`, cat))],
+      ['Comments', trash.comments.map(comment => item('comments', comment.id, escapeHtml(comment.author_name),
+        `on ${escapeHtml(comment.post_title || 'a deleted post')}: ${escapeHtml(comment.content)}`, comment))]
+    ].filter(([, items]) => items.length > 0);
+
+    container.innerHTML = sections.length === 0
+      ? '<p>The trash is empty.</p>'
+      : sections.map(([heading, items]) => `<h2 class="trash-heading">${heading}</h2><div class="admin-list">${items.join('')}</div>`).join('');
+  } catch (error) {
+    console.error('Error loading trash:', error);
+    container.innerHTML = `<p style="color: var(--error-color, #dc3545);">Error loading trash: ${escapeHtml(error.message || 'Unknown error')}</p>`;
+  }
+}
+
+window.restoreFromTrash = async function(type, id) {
+  try {
+    await api.request(`/api/admin/trash/${type}/${id}/restore`, 'POST');
+    showMessage('Restored', 'success');
+    loadTrash();
+  } catch (error) {
+    console.error('Error restoring item:', error);
+    showMessage('Error restoring: ' + (error.message || 'Unknown error'), 'error');
+  }
+};
+
+window.purgeFromTrash = async function(type, id) {
+  const warning = type === 'posts'
+    ? 'Delete this post permanently? Its tags, comments and revision history are deleted with it. This cannot be undone.'
+    : 'Delete this permanently? This cannot be undone.';
+  if (!confirm(warning)) return;
+
+  try {
+    await api.request(`/api/admin/trash/${type}/${id}`, 'DELETE');
+    loadTrash();
+  } catch (error) {
+    console.error('Error deleting item:', error);
+    showMessage('Error deleting: ' + (error.message || 'Unknown error'), 'error');
+  }
+};
+
+// Media library: uploads with their alt text, captions and the posts using them
+const MEDIA_PER_PAGE = 24;
+let mediaPage = 1;
+let mediaSearchTimer = null;
+
+// Early uploads are served by the API rather than the site
+function mediaSrc(url) {
+  return url && url.startsWith('/api/') ? `${api.baseUrl}${url}` : url;
+}
+
+function formatFileSize(bytes) {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Thumbnail tile, shared with the editor's library picker
+function mediaTile(asset, onclick) {
+  const name = escapeHtml(asset.filename || 'Untitled');
+  return `
+    <button type="button" class="media-tile" data-media-id="${asset.id}" onclick="${onclick}('${asset.id}')" title="${name}">
+      <img src="${escapeHtml(mediaSrc(asset.preview_url))}" alt="${escapeHtml(asset.alt_text || '')}" loading="lazy">
+      <span class="media-tile-name">${name}</span>
+      <span class="media-tile-meta">
+        ${asset.width ? `${asset.width}&times;${asset.height} &middot; ` : ''}${formatFileSize(asset.file_size)}
+        ${asset.usage_count === 0 ? '<span class="media-unused">Unused</span>' : ''}
+      </span>
+    </button>
+  `;
+}
+
+window.mediaTile = mediaTile;
+window.mediaSrc = mediaSrc;
+
+function initMediaLibrary() {
+  const form = document.getElementById('media-filters');
+  form.addEventListener('submit', e => e.preventDefault());
+  form.addEventListener('change', e => {
+    if (e.target.name === 'q') return;
+    mediaPage = 1;
+    loadMediaLibrary();
+  });
+  form.elements.q.addEventListener('input', () => {
+    clearTimeout(mediaSearchTimer);
+    mediaSearchTimer = setTimeout(() => {
+      mediaPage = 1;
+      loadMediaLibrary();
+    }, 300);
+  });
+
+  document.getElementById('media-upload').addEventListener('change', e => uploadMediaFiles(e.target));
+
+  document.getElementById('media-modal').addEventListener('click', e => {
+    if (e.target.id === 'media-modal') {
+      closeMediaModal();
+    }
+  });
+}
+
+async function loadMediaLibrary() {
+  const grid = document.getElementById('media-grid');
+  if (!grid) return;
+
+  const form = document.getElementById('media-filters');
+  const params = new URLSearchParams({ page: mediaPage, limit: MEDIA_PER_PAGE });
+  for (const name of ['q', 'type', 'context']) {
+    const value = form.elements[name].value.trim();
+    if (value) params.set(name, value);
+  }
+  if (form.elements.unused.checked) params.set('unused', 'true');
+
+  try {
+    const result = await api.request(`/api/admin/media?${params}`);
+
+    const contextSelect = form.elements.context;
+    const selectedContext = contextSelect.value;
+    contextSelect.innerHTML = '<option value="">All contexts</option>' + result.contexts
+      .map(context => `<option value="${escapeHtml(context)}">${escapeHtml(context)}</option>`)
+      .join('');
+    contextSelect.value = selectedContext;
+
+    grid.innerHTML = result.items.length === 0
+      ? '<p>No media found.</p>'
+      : result.items.map(asset => mediaTile(asset, 'openMediaDetails')).join('');
+
+    const pagination = document.getElementById('media-pagination');
+    pagination.innerHTML = result.total_pages <= 1
+      ? (result.total > 0 ? `<span>${result.total} file(s)</span>` : '')
+      : `
+        <button type="button" class="btn btn-secondary" onclick="goToMediaPage(${result.page - 1})" ${result.page <= 1 ? 'disabled' : ''}>Previous</button>
+        <span>Page ${result.page} of ${result.total_pages} &middot; ${result.total} files</span>
+        <button type="button" class="btn btn-secondary" onclick="goToMediaPage(${result.page + 1})" ${result.page >= result.total_pages ? 'disabled' : ''}>Next</button>
+      `;
+  } catch (error) {
+    console.error('Error loading media:', error);
+    grid.innerHTML = `<p style="color: var(--error-color, #dc3545);">Error loading media: ${escapeHtml(error.message || 'Unknown error')}</p>`;
+  }
+}
+
+window.goToMediaPage = function(page) {
+  mediaPage = Math.max(page, 1);
+  loadMediaLibrary();
+  window.scrollTo({ top: 0, behavior: 'smooth' });
+};
+
+// Multipart upload, so fetch directly like the editor's image upload
+async function uploadMediaFiles(input) {
+  const files = Array.from(input.files);
+  if (files.length === 0) return;
+
+  const token = localStorage.getItem('access_token');
+  const apiUrl = window.API_URL || '';
+  let uploaded = 0;
+  const failed = [];
+
+  showMessage(`Uploading ${files.length} file(s)...`, 'info');
+  for (const file of files) {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('context', 'blog');
+      const response = await fetch(`${apiUrl}/api/admin/upload`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`
+        },
+        body: formData
+      });
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        throw new Error(result.error || 'Upload failed');
+      }
+      uploaded++;
+    } catch (error) {
+      console.error(`Error uploading ${file.name}:`, error);
+      failed.push(file.name);
+    }
+  }
+  input.value = '';
+
+  if (failed.length > 0) {
+    showMessage(`Uploaded ${uploaded} file(s). Failed: ${failed.join(', ')}`, 'error');
+  } else {
+    showMessage(`Uploaded ${uploaded} file(s)`, 'success');
+  }
+  mediaPage = 1;
+  loadMediaLibrary();
+}
+
+window.openMediaDetails = async function(assetId) {
+  const modal = document.getElementById('media-modal');
+  const details = document.getElementById('media-details');
+  details.innerHTML = '<p>Loading...</p>';
+  modal.style.display = 'flex';
+
+  try {
+    const asset = await api.request(`/api/admin/media/${assetId}`);
+    const readonly = asset.permissions.edit ? '' : 'readonly';
+    const usage = asset.posts.length === 0
+      ? '<p class="media-usage-empty">Not used by any post.</p>'
+      : `<ul class="media-usage">${asset.posts.map(post => `
+          <li>
+            <a href="editor.html?id=${post.id}">${escapeHtml(post.title)}</a>
+            <span>${escapeHtml(post.status)}${post.trashed ? ' (in trash)' : ''} &middot; ${[post.featured && 'featured image', post.in_content && 'in content'].filter(Boolean).join(', ')}</span>
+          </li>`).join('')}
+        </ul>`;
+
+    details.innerHTML = `
+      <div class="media-details">
+        <img class="media-details-preview" src="${escapeHtml(mediaSrc(asset.preview_url))}" alt="${escapeHtml(asset.alt_text || '')}">
+        <p class="media-details-meta">
+          ${escapeHtml(asset.mime_type)} &middot; ${formatFileSize(asset.file_size)}
+          ${asset.width ? ` &middot; ${asset.width}&times;${asset.height}` : ''}
+          ${asset.variant_count ? ` &middot; ${asset.variant_count} responsive copies` : ''}
+          <br>Uploaded ${utils.formatDateTime(asset.created_at)}${asset.uploaded_by_name ? ` by ${escapeHtml(asset.uploaded_by_name)}` : ''}
+          <br><code>${escapeHtml(asset.url)}</code>
+          <button type="button" class="btn-edit" onclick="copyMediaUrl('${escapeHtml(asset.url)}')">Copy URL</button>
+        </p>
+        <form id="media-form" onsubmit="saveMediaDetails(event, '${asset.id}')">
+          <div class="form-group">
+            <label for="media-filename">Name</label>
+            <input type="text" id="media-filename" maxlength="255" value="${escapeHtml(asset.filename || '')}" ${readonly}>
+          </div>
+          <div class="form-group">
+            <label for="media-alt">Alt text</label>
+            <input type="text" id="media-alt" maxlength="500" value="${escapeHtml(asset.alt_text || '')}" placeholder="Describe the image for screen readers" ${readonly}>
+          </div>
+          <div class="form-group">
+            <label for="media-caption">Caption</label>
+            <textarea id="media-caption" rows="2" maxlength="1000" ${readonly}>${escapeHtml(asset.caption || '')}</textarea>
+          </div>
+          <h3 class="media-usage-heading">Used in</h3>
+          ${usage}
+          <div class="form-actions">
+            ${asset.permissions.edit ? '<button type="submit" class="btn btn-primary">Save</button>' : ''}
+            ${asset.permissions.edit ? `<button type="button" class="btn-delete" onclick="deleteMedia('${asset.id}')" ${asset.permissions.delete ? '' : 'disabled title="Remove it from every post before deleting"'}>Delete</button>` : ''}
+            <button type="button" class="btn btn-secondary" onclick="closeMediaModal()">Close</button>
+          </div>
+        </form>
+      </div>
+    `;
+  } catch (error) {
+    console.error('Error loading media details:', error);
+    details.innerHTML = `<p style="color: var(--error-color, #dc3545);">Error loading media: ${escapeHtml(error.message || 'Unknown error')}</p>`;
+  }
+};
+
+window.saveMediaDetails = async function(event, assetId) {
+  event.preventDefault();
+  try {
+    await api.request(`/api/admin/media/${assetId}`, 'PUT', {
+      filename: document.getElementById('media-filename').value,
+      alt_text: document.getElementById('media-alt').value,
+      caption: document.getElementById('media-caption').value
+    });
+    showMessage('Media updated', 'success');
+    closeMediaModal();
+    loadMediaLibrary();
+  } catch (error) {
+    console.error('Error updating media:', error);
+    showMessage('Error updating media: ' + (error.message || 'Unknown error'), 'error');
+  }
+};
+
+window.deleteMedia = async function(assetId) {
+  if (!confirm('Delete this file and its responsive copies permanently? This cannot be undone.')) return;
+
+  try {
+    await api.request(`/api/admin/media/${assetId}`, 'DELETE');
+    showMessage('Media deleted', 'success');
+    closeMediaModal();
+    loadMediaLibrary();
+  } catch (error) {
+    console.error('Error deleting media:', error);
+    showMessage('Error deleting media: ' + (error.message || 'Unknown error'), 'error');
+    if (error.status === 409) {
+      openMediaDetails(assetId);
+    }
+  }
+};
+
+window.copyMediaUrl = async function(url) {
+  try {
+    await navigator.clipboard.writeText(url);
+    showMessage('URL copied', 'success');
+  } catch (error) {
+    console.error('Error copying URL:', error);
+    showMessage('Could not copy the URL', 'error');
+  }
+};
+
+window.closeMediaModal = function() {
+  document.getElementById('media-modal').style.display = 'none';
+};
+
 window.crossPostToLinkedIn = async function(postId, postTitle, postSlug) {
   if (!confirm(`Post "${postTitle}" to LinkedIn?`)) return;
   
@@ -5,9 +5,12 @@
 document.addEventListener('DOMContentLoaded', function() {
   // State
   let currentPage = 1;
+  let nextCursor = null;
   let currentSort = 'newest';
-  let searchQuery = '';
+  // index.html?category=<slug> shows a single category (linked from the sitemap)
+  const currentCategory = new URLSearchParams(window.location.search).get('category') || 'all';
   let isLoading = false;
+  let searchRequest = 0;
 
   // DOM Elements
   const featuredPostsContainer = document.getElementById('featured-posts');
@@ -17,6 +20,7 @@ document.addEventListener('DOMContentLoaded', function() {
   const searchToggle = document.getElementById('search-toggle');
   const searchModal = document.getElementById('search-modal');
   const searchClose = document.getElementById('search-close');
+  const searchResults = document.getElementById('search-results');
 
   // Initialize
   loadFeaturedPosts();
@@ -64,9 +68,7 @@ document.addEventListener('DOMContentLoaded', function() {
     searchInput.addEventListener('input', (e) => {
       clearTimeout(searchTimeout);
       searchTimeout = setTimeout(() => {
-        searchQuery = e.target.value.trim();
-        currentPage = 1;
-        loadPosts();
+        searchPosts(e.target.value.trim());
       }, 300);
     });
   }
@@ -84,7 +86,7 @@ document.addEventListener('DOMContentLoaded', function() {
     if (!featuredPostsContainer) return;
 
     try {
-      const posts = await api.getPosts({ featured: true, limit: 3 });
+      const { items: posts } = await api.getPosts({ featured: true, limit: 3 });
       if (posts.length === 0) {
         featuredPostsContainer.innerHTML = '';
         return;
@@ -94,7 +96,7 @@ document.addEventListener('DOMContentLoaded', function() {
         <article class="featured-post">
           ${post.featured_image_url ? `
             <div class="post-image">
-              <img src="${post.featured_image_url}" alt="${post.title}" loading="lazy">
+              ${PostTemplates.responsiveImage(post.featured_image_url, post.featured_image, { alt: post.title, sizes: PostTemplates.IMAGE_SIZES.card })}
             </div>
           ` : ''}
           <div class="post-content">
@@ -108,7 +110,9 @@ document.addEventListener('DOMContentLoaded', function() {
             </h2>
             ${post.excerpt ? `<p class="post-excerpt">${post.excerpt}</p>` : ''}
             <div class="post-meta">
+              ${PostTemplates.byline(post.authors)}
               ${post.published_at ? `<time>${utils.formatDate(post.published_at)}</time>` : ''}
+              ${PostTemplates.readingTime(post)}
             </div>
           </div>
         </article>
@@ -130,13 +134,15 @@ document.addEventListener('DOMContentLoaded', function() {
     }
 
     try {
-      const posts = await api.getPosts({
-        category: 'all',
-        search: searchQuery,
+      const result = await api.getPosts({
+        category: currentCategory,
         sort: currentSort,
         page: currentPage,
+        cursor: append ? nextCursor : null,
         limit: 6
       });
+      const posts = result.items;
+      nextCursor = result.next_cursor;
 
       if (!append) {
         postsGridContainer.innerHTML = '';
@@ -155,7 +161,7 @@ document.addEventListener('DOMContentLoaded', function() {
       });
 
       if (loadMoreBtn) {
-        loadMoreBtn.style.display = posts.length === 6 ? 'block' : 'none';
+        loadMoreBtn.style.display = result.has_more ? 'block' : 'none';
       }
     } catch (error) {
       console.error('Error loading posts:', error);
@@ -167,38 +173,43 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
-  function createPostCard(post) {
-    const card = document.createElement('article');
-    card.className = 'post-card';
-    card.innerHTML = `
-      ${post.featured_image_url ? `
-        <div class="post-image">
-          <a href="post.html?slug=${post.slug}">
-            <img src="${post.featured_image_url}" alt="${post.title}" loading="lazy">
-          </a>
-        </div>
-      ` : ''}
-      <div class="post-content">
-        ${post.category_name ? `
-          <span class="post-category" style="background-color: ${post.category_color || '#0c71c3'}">
-            ${post.category_name}
-          </span>
-        ` : ''}
-        <h2 class="post-title">
-          <a href="post.html?slug=${post.slug}">${post.title}</a>
-        </h2>
-        ${post.excerpt ? `<p class="post-excerpt">${post.excerpt}</p>` : ''}
-        ${post.tags && post.tags.length > 0 ? `
-          <div class="post-tags">
-            ${post.tags.map(tag => `<span class="tag">${tag.name}</span>`).join('')}
-          </div>
-        ` : ''}
-        <div class="post-meta">
+  // Ranked full-text search rendered inside the modal.
+  // Quoted phrases, -exclusions and OR are parsed by the API.
+  async function searchPosts(query) {
+    if (!searchResults) return;
+
+    const requestId = ++searchRequest;
+
+    if (!query) {
+      searchResults.innerHTML = '';
+      return;
+    }
+
+    searchResults.innerHTML = '<div class="loading">Searching...</div>';
+
+    try {
+      const { items: posts } = await api.getPosts({ search: query, sort: 'relevance', limit: 10 });
+      // Ignore responses for queries the user has already typed past
+      if (requestId !== searchRequest) return;
+
+      if (posts.length === 0) {
+        searchResults.innerHTML = `<p class="search-empty">No posts match <strong>${PostTemplates.escapeHtml(query)}</strong>.</p>`;
+        return;
+      }
+
+      // search_title and search_snippet arrive escaped, with <mark> around matches
+      searchResults.innerHTML = posts.map(post => `
+        <a class="search-result" href="post.html?slug=${encodeURIComponent(post.slug)}">
+          <span class="search-result-title">${post.search_title || PostTemplates.escapeHtml(post.title)}</span>
+          ${post.search_snippet ? `<span class="search-result-snippet">${post.search_snippet}</span>` : ''}
           ${post.published_at ? `<time>${utils.formatDate(post.published_at)}</time>` : ''}
-        </div>
-      </div>
-    `;
-    return card;
+        </a>
+      `).join('');
+    } catch (error) {
+      if (requestId !== searchRequest) return;
+      console.error('Error searching posts:', error);
+      searchResults.innerHTML = '<p class="search-empty">Search is unavailable right now.</p>';
+    }
   }
 
   // Load categories for filters
@@ -214,5 +225,10 @@ document.addEventListener('DOMContentLoaded', function() {
   loadCategories();
 });
 
-
-
+// Post card element - shared by the home page grid and archive pages
+function createPostCard(post) {
+  const card = document.createElement('article');
+  card.className = 'post-card';
+  card.innerHTML = PostTemplates.postCardContent(post);
+  return card;
+}
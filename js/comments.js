@@ -130,7 +130,8 @@ document.addEventListener('DOMContentLoaded', function() {
 
   function getPostIdFromUrl() {
     const params = new URLSearchParams(window.location.search);
-    const slug = params.get('slug');
+    // Share pages and the static mirror set POST_SLUG instead of ?slug=
+    const slug = window.POST_SLUG || params.get('slug');
     // If we have a slug, we'll need to get the post ID from the post data
     // For now, we'll use the slug itself and handle it in the API
     return slug || null;
@@ -50,7 +50,11 @@ class ApiClient {
 
       if (!response.ok) {
         const error = await response.json().catch(() => ({ error: 'Request failed' }));
-        throw new Error(error.error || `HTTP error! status: ${response.status}`);
+        const requestError = new Error(error.error || `HTTP error! status: ${response.status}`);
+        // Keep the status and body so callers can act on structured errors (e.g. 409 conflicts)
+        requestError.status = response.status;
+        requestError.data = error;
+        throw requestError;
       }
 
       return await response.json();
@@ -107,22 +111,54 @@ class ApiClient {
     return userStr ? JSON.parse(userStr) : null;
   }
 
+  // Re-fetch the signed-in user so role changes show up without logging out
+  async refreshUser() {
+    const data = await this.getCurrentUser();
+    if (data.user) {
+      localStorage.setItem('user', JSON.stringify(data.user));
+    }
+    return data.user;
+  }
+
+  // UI hint only - the API enforces permissions on every admin route
+  can(permission) {
+    const user = this.getUser();
+    if (!user) return false;
+    return (user.permissions || []).includes(permission);
+  }
+
   // Blog methods
+  // Returns { items, total, page, limit, has_more, next_cursor }.
+  // Pass the previous next_cursor as options.cursor to fetch the following page.
   async getPosts(options = {}) {
-    const params = new URLSearchParams();
+    const params = new URLSearchParams({ envelope: 'true' });
     if (options.featured) params.append('featured', 'true');
     if (options.category && options.category !== 'all') params.append('category', options.category);
+    if (options.tag && options.tag.length > 0) params.append('tag', [].concat(options.tag).join(','));
+    if (options.tagMode) params.append('tag_mode', options.tagMode);
+    if (options.year) params.append('year', options.year);
+    if (options.month) params.append('month', options.month);
     if (options.search) params.append('search', options.search);
     if (options.sort) params.append('sort', options.sort);
-    if (options.page) params.append('page', options.page);
+    if (options.cursor) params.append('cursor', options.cursor);
+    else if (options.page) params.append('page', options.page);
     if (options.limit) params.append('limit', options.limit);
     
-    const query = params.toString();
-    return this.request(`/api/blog/posts${query ? '?' + query : ''}`);
+    return this.request(`/api/blog/posts?${params.toString()}`);
+  }
+
+  async getPostBySlug(slug, options = {}) {
+    const query = options.preview ? `?preview=${encodeURIComponent(options.preview)}` : '';
+    return this.request(`/api/blog/posts/${slug}${query}`);
   }
 
-  async getPostBySlug(slug) {
-    return this.request(`/api/blog/posts/${slug}`);
+  async getRelatedPosts(slug, limit) {
+    const query = limit ? `?limit=${encodeURIComponent(limit)}` : '';
+    return this.request(`/api/blog/posts/${slug}/related${query}`);
+  }
+
+  async getAuthor(slug) {
+    return this.request(`/api/blog/authors/${slug}`);
   }
 
   async incrementViewCount(postId) {
@@ -135,8 +171,21 @@ class ApiClient {
     return this.request('/api/blog/categories');
   }
 
-  async getTags() {
-    return this.request('/api/blog/tags');
+  async getArchive() {
+    return this.request('/api/blog/archive');
+  }
+
+  async getTags(options = {}) {
+    const params = new URLSearchParams();
+    if (options.used) params.append('used', 'true');
+    if (options.sort) params.append('sort', options.sort);
+
+    const query = params.toString();
+    return this.request(`/api/blog/tags${query ? '?' + query : ''}`);
+  }
+
+  async getTag(slug) {
+    return this.request(`/api/blog/tags/${slug}`);
   }
 
   // Comments methods
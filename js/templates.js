@@ -0,0 +1,177 @@
+// ============================================
+// BLOG PLATFORM - POST TEMPLATES
+// Markup shared by the browser (blog.js, post.html, archive pages)
+// and the static export in netlify/functions/api.js
+// ============================================
+
+(function(root) {
+  function escapeHtml(text) {
+    return String(text == null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  function formatDate(dateString) {
+    if (!dateString) return '';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+  }
+
+  // Where cards and chips link to; the static export swaps in its own pages
+  const defaultLinks = {
+    post: post => `post.html?slug=${encodeURIComponent(post.slug)}`,
+    tag: tag => `tag.html?slug=${encodeURIComponent(tag.slug)}`,
+    author: author => `author.html?slug=${encodeURIComponent(author.slug)}`
+  };
+
+  // "By Jane Doe & John Roe" with links to each author page
+  function byline(authors, links = defaultLinks) {
+    if (!authors || authors.length === 0) return '';
+    const names = authors.map(author => author.slug
+      ? `<a href="${links.author(author)}" class="post-author">${escapeHtml(author.name)}</a>`
+      : `<span class="post-author">${escapeHtml(author.name)}</span>`);
+    const joined = names.length > 1
+      ? `${names.slice(0, -1).join(', ')} &amp; ${names[names.length - 1]}`
+      : names[0];
+    return `<span class="post-byline">By ${joined}</span>`;
+  }
+
+  function category(post) {
+    if (!post.category_name) return '';
+    return `<span class="post-category" style="background-color: ${escapeHtml(post.category_color || '#0c71c3')}">${escapeHtml(post.category_name)}</span>`;
+  }
+
+  function tagChips(tags, links = defaultLinks) {
+    return (tags || [])
+      .map(tag => `<a class="tag" href="${links.tag(tag)}">${escapeHtml(tag.name)}</a>`)
+      .join('');
+  }
+
+  // "5 min read", from the reading_time the API computes on save
+  function readingTime(post) {
+    if (!post.reading_time) return '';
+    const words = post.word_count ? ` title="${post.word_count.toLocaleString('en-US')} words"` : '';
+    return `<span class="reading-time"${words}>${post.reading_time} min read</span>`;
+  }
+
+  // Category, byline, date and reading time shown under a post title
+  function postMeta(post, links = defaultLinks) {
+    return `
+      ${category(post)}
+      ${byline(post.authors, links)}
+      ${post.published_at ? `<time datetime="${escapeHtml(new Date(post.published_at).toISOString())}">${formatDate(post.published_at)}</time>` : ''}
+      ${readingTime(post)}
+    `;
+  }
+
+  function countTocEntries(items) {
+    return (items || []).reduce((total, item) => total + 1 + countTocEntries(item.children), 0);
+  }
+
+  // Not worth an outline for one or two sections
+  function hasToc(post) {
+    return countTocEntries(post.toc) >= 3;
+  }
+
+  // Nested list of links to the heading anchors in post.toc
+  function toc(items) {
+    if (!items || items.length === 0) return '';
+    return `<ol>${items.map(item => `
+      <li>
+        <a href="#${escapeHtml(item.id)}" data-toc-id="${escapeHtml(item.id)}">${escapeHtml(item.text)}</a>
+        ${toc(item.children)}
+      </li>`).join('')}
+    </ol>`;
+  }
+
+  // sizes hints matching the layouts in css/blog.css
+  const IMAGE_SIZES = {
+    card: '(max-width: 700px) 100vw, (max-width: 1100px) 50vw, 400px',
+    post: '(max-width: 850px) 100vw, 800px'
+  };
+
+  // <picture> with AVIF/WebP sources when the API processed the image into
+  // variants (post.featured_image), otherwise a plain <img src>
+  function responsiveImage(src, image, options = {}) {
+    const { alt = '', title, sizes = IMAGE_SIZES.post, id, className, loading = 'lazy' } = options;
+    const attributes = [
+      id ? ` id="${escapeHtml(id)}"` : '',
+      className ? ` class="${escapeHtml(className)}"` : '',
+      ` alt="${escapeHtml(alt)}"`,
+      title ? ` title="${escapeHtml(title)}"` : '',
+      loading ? ` loading="${escapeHtml(loading)}"` : ''
+    ].join('');
+
+    if (!image || !image.srcset) {
+      return `<img src="${escapeHtml(src)}"${attributes}>`;
+    }
+
+    const sources = (image.sources || [])
+      .map(source => `<source type="${escapeHtml(source.type)}" srcset="${escapeHtml(source.srcset)}" sizes="${escapeHtml(sizes)}">`)
+      .join('');
+    return `<picture>${sources}<img src="${escapeHtml(image.src)}" srcset="${escapeHtml(image.srcset)}" sizes="${escapeHtml(sizes)}" width="${Number(image.width)}" height="${Number(image.height)}"${attributes}></picture>`;
+  }
+
+  // Inner markup of an <article class="post-card">
+  function postCardContent(post, links = defaultLinks) {
+    const url = links.post(post);
+    return `
+      ${post.featured_image_url ? `
+        <div class="post-image">
+          <a href="${url}">
+            ${responsiveImage(post.featured_image_url, post.featured_image, { alt: post.title, sizes: IMAGE_SIZES.card })}
+          </a>
+        </div>
+      ` : ''}
+      <div class="post-content">
+        ${category(post)}
+        <h2 class="post-title">
+          <a href="${url}">${escapeHtml(post.title)}</a>
+        </h2>
+        ${post.excerpt ? `<p class="post-excerpt">${escapeHtml(post.excerpt)}</p>` : ''}
+        ${post.tags && post.tags.length > 0 ? `
+          <div class="post-tags">
+            ${tagChips(post.tags, links)}
+          </div>
+        ` : ''}
+        <div class="post-meta">
+          ${byline(post.authors, links)}
+          ${post.published_at ? `<time>${formatDate(post.published_at)}</time>` : ''}
+          ${readingTime(post)}
+        </div>
+      </div>
+    `;
+  }
+
+  function postCard(post, links = defaultLinks) {
+    return `<article class="post-card">${postCardContent(post, links)}</article>`;
+  }
+
+  const PostTemplates = {
+    escapeHtml,
+    formatDate,
+    defaultLinks,
+    byline,
+    tagChips,
+    readingTime,
+    IMAGE_SIZES,
+    responsiveImage,
+    postMeta,
+    hasToc,
+    toc,
+    postCardContent,
+    postCard
+  };
+
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PostTemplates;
+  } else {
+    root.PostTemplates = PostTemplates;
+  }
+})(typeof window !== 'undefined' ? window : this);
@@ -12,8 +12,18 @@ const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { XMLParser } = require('fast-xml-parser');
+const AdmZip = require('adm-zip');
+const matter = require('gray-matter');
+const TurndownService = require('turndown');
+const sharp = require('sharp');
+const PostTemplates = require('../../js/templates.js');
 
 // Netlify Blobs
 let getStore;
@@ -175,7 +185,9 @@ app.get('/api/health', async (req, res) => {
         blog_categories: await checkTableExists('blog_categories'),
         blog_tags: await checkTableExists('blog_tags'),
         blog_posts: await checkTableExists('blog_posts'),
-        media_assets: await checkTableExists('media_assets')
+        media_assets: await checkTableExists('media_assets'),
+        blog_post_revisions: await checkTableExists('blog_post_revisions'),
+        blog_post_slug_history: await checkTableExists('blog_post_slug_history')
       }
     });
   } catch (error) {
@@ -278,6 +290,27 @@ async function dbQuery(query, params = []) {
   }
 }
 
+// Lazily apply schema additions (same approach as the settings and
+// linkedin_posts tables) so existing Neon databases pick up new tables
+// without a manual migration. Each named group runs once per cold start.
+const schemaReady = new Map();
+
+function ensureSchema(name, statements) {
+  if (!schemaReady.has(name)) {
+    const ready = (async () => {
+      for (const statement of statements) {
+        await dbQuery(statement);
+      }
+    })().catch(error => {
+      // Allow a retry on the next request
+      schemaReady.delete(name);
+      throw error;
+    });
+    schemaReady.set(name, ready);
+  }
+  return schemaReady.get(name);
+}
+
 // JWT secret
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
@@ -369,7 +402,8 @@ function authenticateToken(req, res, next) {
   }
 
   jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
+    // Typed tokens (e.g. draft previews) share the secret but are not logins
+    if (err || user.type) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
     req.user = user;
@@ -377,6 +411,151 @@ function authenticateToken(req, res, next) {
   });
 }
 
+// ============================================
+// ROLES & PERMISSIONS
+// ============================================
+
+// What each users.role may do. "_own" permissions only apply to posts the user authored;
+// media:manage covers every upload in the library, media:upload only the user's own.
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  editor: [
+    'posts:view', 'posts:create', 'posts:edit_any', 'posts:delete_any', 'posts:publish',
+    'tags:create', 'tags:manage', 'comments:moderate', 'media:upload', 'media:manage', 'stats:view',
+    'jobs:run', 'linkedin:post'
+  ],
+  author: [
+    'posts:view', 'posts:create', 'posts:edit_own', 'posts:delete_own', 'posts:publish',
+    'tags:create', 'media:upload', 'stats:view'
+  ],
+  contributor: [
+    'posts:view', 'posts:create', 'posts:edit_own', 'posts:delete_own',
+    'tags:create', 'media:upload', 'stats:view'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Accounts created before roles existed have no role and were all admins
+function normalizeRole(role) {
+  if (!role) return 'admin';
+  const normalized = role.toString().trim().toLowerCase();
+  return ROLES.includes(normalized) ? normalized : 'contributor';
+}
+
+function hasPermission(role, permission) {
+  const permissions = ROLE_PERMISSIONS[normalizeRole(role)];
+  return permissions.includes('*') || permissions.includes(permission);
+}
+
+function permissionsForRole(role) {
+  const normalized = normalizeRole(role);
+  if (ROLE_PERMISSIONS[normalized].includes('*')) {
+    return [...new Set(Object.values(ROLE_PERMISSIONS).flat().filter(p => p !== '*')
+      .concat(['categories:manage', 'users:manage', 'linkedin:manage', 'posts:import', 'backup:export']))];
+  }
+  return ROLE_PERMISSIONS[normalized];
+}
+
+// Roles are read from the database on each request so changes apply immediately
+async function loadUserRole(req) {
+  if (req.user.role === undefined) {
+    const result = await dbQuery('SELECT role FROM users WHERE id = $1', [req.user.id]);
+    req.user.role = result.rows.length > 0 ? normalizeRole(result.rows[0].role) : null;
+  }
+  return req.user.role;
+}
+
+/**
+ * Middleware: allow the request if the user's role has any of the permissions.
+ * Must run after authenticateToken.
+ */
+function requirePermission(...permissions) {
+  return async (req, res, next) => {
+    try {
+      const role = await loadUserRole(req);
+      if (!role) {
+        return res.status(401).json({ error: 'User not found' });
+      }
+      if (!permissions.some(permission => hasPermission(role, permission))) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action' });
+      }
+      next();
+    } catch (error) {
+      secureErrorLog('Permission check error:', error.message);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Whether a user may edit or delete a specific post.
+ * Posts that are live (or about to be) also need publish rights, so
+ * contributors cannot change what readers see.
+ * @param {object} user - req.user with role loaded
+ * @param {object} post - Row with author_id and status
+ * @param {string} action - 'edit' or 'delete'
+ */
+function canAccessPost(user, post, action) {
+  const isOwner = (!!post.author_id && String(post.author_id) === String(user.id)) ||
+    (post.coauthor_ids || []).map(String).includes(String(user.id));
+  const allowed = hasPermission(user.role, `posts:${action}_any`) ||
+    (isOwner && hasPermission(user.role, `posts:${action}_own`));
+
+  if (!allowed) return false;
+  if (['published', 'scheduled'].includes(post.status) && !hasPermission(user.role, 'posts:publish')) {
+    return false;
+  }
+  return true;
+}
+
+// Per-post action flags returned to the admin UI
+function postPermissions(user, post) {
+  const edit = canAccessPost(user, post, 'edit');
+  return {
+    edit,
+    delete: canAccessPost(user, post, 'delete'),
+    publish: edit && hasPermission(user.role, 'posts:publish'),
+    crosspost: post.status === 'published' && hasPermission(user.role, 'linkedin:post')
+  };
+}
+
+/**
+ * Middleware: load the post in req.params.id and check the user may act on it.
+ * Must run after authenticateToken. Sets req.post.
+ */
+function requirePostAccess(action) {
+  return async (req, res, next) => {
+    try {
+      const role = await loadUserRole(req);
+      if (!role) {
+        return res.status(401).json({ error: 'User not found' });
+      }
+
+      await ensureSchema('authors', AUTHOR_SCHEMA);
+      await ensureSchema('trash', TRASH_SCHEMA);
+      const result = await dbQuery(
+        `SELECT bp.id, bp.slug, bp.status, bp.author_id, ${POST_COAUTHOR_IDS_SELECT} as coauthor_ids
+         FROM blog_posts bp WHERE bp.id = $1 AND bp.deleted_at IS NULL`,
+        [req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+
+      if (!canAccessPost(req.user, result.rows[0], action)) {
+        return res.status(403).json({ error: 'You do not have permission to change this post' });
+      }
+
+      req.post = result.rows[0];
+      next();
+    } catch (error) {
+      secureErrorLog('Post permission check error:', error.message);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
 // Helper function to slugify
 function slugify(text) {
   return text
@@ -386,6 +565,20 @@ function slugify(text) {
     .replace(/^-+|-+$/g, '');
 }
 
+/**
+ * Normalise a tag query value (comma list or repeated param) to slugs
+ * @param {string|string[]} value - Raw ?tag= value(s)
+ */
+function parseTagSlugs(value) {
+  if (!value) return [];
+  const raw = Array.isArray(value) ? value : [value];
+  const slugs = raw
+    .flatMap(item => String(item).split(','))
+    .map(item => slugify(item))
+    .filter(Boolean);
+  return [...new Set(slugs)].slice(0, 20);
+}
+
 // GitHub API helper to commit files to repo
 async function commitFileToGitHub(filePath, fileContent, message = 'Add image') {
   const githubToken = process.env.GITHUB_TOKEN;
@@ -412,8 +605,15 @@ async function commitFileToGitHub(filePath, fileContent, message = 'Add image')
       sha = fileData.sha;
     }
 
+    // Skip the commit when the file already has this content (GitHub's sha is the git blob hash)
+    const buffer = Buffer.from(fileContent);
+    const blobSha = crypto.createHash('sha1').update(`blob ${buffer.length}\0`).update(buffer).digest('hex');
+    if (sha === blobSha) {
+      return { path: filePath, unchanged: true };
+    }
+
     // Commit the file
-    const content = Buffer.from(fileContent).toString('base64');
+    const content = buffer.toString('base64');
     const commitUrl = `https://api.github.com/repos/${githubRepo}/contents/${filePath}`;
     
     const commitResponse = await fetch(commitUrl, {
@@ -448,8 +648,364 @@ async function commitFileToGitHub(filePath, fileContent, message = 'Add image')
   }
 }
 
-// Media asset functions - now saves to GitHub repo
-async function createMediaAsset(file, context = 'blog') {
+// Remove a file from the repo; a missing file is not an error
+async function deleteFileFromGitHub(filePath, message = 'Remove file') {
+  const githubToken = process.env.GITHUB_TOKEN;
+  const githubRepo = process.env.GITHUB_REPO || 'chriswdixon/chriswdixon-blog';
+  const githubBranch = process.env.GITHUB_BRANCH || 'main';
+
+  if (!githubToken) {
+    throw new Error('GITHUB_TOKEN environment variable is not set');
+  }
+
+  const fileUrl = `https://api.github.com/repos/${githubRepo}/contents/${filePath}`;
+  const headers = {
+    'Authorization': `token ${githubToken}`,
+    'Accept': 'application/vnd.github.v3+json'
+  };
+
+  const getFileResponse = await fetch(`${fileUrl}?ref=${encodeURIComponent(githubBranch)}`, { headers });
+  if (getFileResponse.status === 404) {
+    return { path: filePath, deleted: false };
+  }
+  if (!getFileResponse.ok) {
+    throw new Error(`GitHub API error: ${getFileResponse.statusText}`);
+  }
+
+  const { sha } = await getFileResponse.json();
+  const deleteResponse = await fetch(fileUrl, {
+    method: 'DELETE',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message, sha, branch: githubBranch })
+  });
+
+  if (!deleteResponse.ok) {
+    const error = await deleteResponse.json().catch(() => ({}));
+    throw new Error(`GitHub API error: ${error.message || deleteResponse.statusText}`);
+  }
+
+  return { path: filePath, deleted: true };
+}
+
+// Contents of a file on the branch, as a Buffer
+async function readFileFromGitHub(filePath) {
+  const githubToken = process.env.GITHUB_TOKEN;
+  const githubRepo = process.env.GITHUB_REPO || 'chriswdixon/chriswdixon-blog';
+  const githubBranch = process.env.GITHUB_BRANCH || 'main';
+
+  if (!githubToken) {
+    throw new Error('GITHUB_TOKEN environment variable is not set');
+  }
+
+  const response = await fetch(
+    `https://api.github.com/repos/${githubRepo}/contents/${filePath}?ref=${encodeURIComponent(githubBranch)}`,
+    {
+      headers: {
+        'Authorization': `token ${githubToken}`,
+        'Accept': 'application/vnd.github.raw'
+      }
+    }
+  );
+  if (!response.ok) {
+    throw new Error(`GitHub API error: ${response.statusText}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Commit several files to the repo as a single commit using the Git Data API.
+ * Retries with a fresh parent when another commit lands on the branch first.
+ * No commit is made when the files already match the branch.
+ * @param {Array<{path: string, content: Buffer|string|null}>} files - Repo paths and contents; null content removes the file
+ * @param {string} message - Commit message
+ * @returns {object} - { sha, url, paths, unchanged }; paths leaves out removals of files that were already gone
+ */
+async function commitFilesToGitHub(files, message) {
+  const githubToken = process.env.GITHUB_TOKEN;
+  const githubRepo = process.env.GITHUB_REPO || 'chriswdixon/chriswdixon-blog';
+  const githubBranch = process.env.GITHUB_BRANCH || 'main';
+
+  if (!githubToken) {
+    throw new Error('GITHUB_TOKEN environment variable is not set');
+  }
+
+  const github = async (endpoint, options = {}) => {
+    const response = await fetch(`https://api.github.com/repos/${githubRepo}/git${endpoint}`, {
+      ...options,
+      headers: {
+        'Authorization': `token ${githubToken}`,
+        'Accept': 'application/vnd.github.v3+json',
+        'Content-Type': 'application/json'
+      }
+    });
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(`GitHub API error: ${error.message || response.statusText}`);
+    }
+    return response.json();
+  };
+
+  // The tree API rejects removing a path that does not exist
+  const present = [];
+  for (const file of files) {
+    if (file.content !== null) {
+      present.push(file);
+      continue;
+    }
+    const response = await fetch(
+      `https://api.github.com/repos/${githubRepo}/contents/${file.path}?ref=${encodeURIComponent(githubBranch)}`,
+      { method: 'HEAD', headers: { 'Authorization': `token ${githubToken}` } }
+    );
+    if (response.ok) {
+      present.push(file);
+    } else if (response.status !== 404) {
+      throw new Error(`GitHub API error: ${response.statusText}`);
+    }
+  }
+  if (present.length === 0) {
+    return { sha: null, url: null, paths: [], unchanged: true };
+  }
+
+  // A few blobs at a time; a full static export has one per page
+  const blobs = [];
+  for (let i = 0; i < present.length; i += 8) {
+    blobs.push(...await Promise.all(present.slice(i, i + 8).map(file => file.content === null ? { sha: null } : github('/blobs', {
+      method: 'POST',
+      body: JSON.stringify({ content: Buffer.from(file.content).toString('base64'), encoding: 'base64' })
+    }))));
+  }
+
+  return withRetry(async () => {
+    const ref = await github(`/ref/heads/${githubBranch}`);
+    const parent = await github(`/commits/${ref.object.sha}`);
+    const tree = await github('/trees', {
+      method: 'POST',
+      body: JSON.stringify({
+        base_tree: parent.tree.sha,
+        tree: present.map((file, i) => ({ path: file.path, mode: '100644', type: 'blob', sha: blobs[i].sha }))
+      })
+    });
+    if (tree.sha === parent.tree.sha) {
+      return { sha: parent.sha, url: parent.html_url, paths: present.map(file => file.path), unchanged: true };
+    }
+    const commit = await github('/commits', {
+      method: 'POST',
+      body: JSON.stringify({ message, tree: tree.sha, parents: [parent.sha] })
+    });
+    await github(`/refs/heads/${githubBranch}`, {
+      method: 'PATCH',
+      body: JSON.stringify({ sha: commit.sha })
+    });
+    return { sha: commit.sha, url: commit.html_url, paths: present.map(file => file.path), unchanged: false };
+  }, { retries: 2, baseDelayMs: 300 });
+}
+
+// ============================================
+// RESPONSIVE IMAGES
+// ============================================
+
+const MEDIA_SCHEMA = [
+  'ALTER TABLE media_assets ADD COLUMN IF NOT EXISTS width INTEGER',
+  'ALTER TABLE media_assets ADD COLUMN IF NOT EXISTS height INTEGER',
+  "ALTER TABLE media_assets ADD COLUMN IF NOT EXISTS variants JSONB NOT NULL DEFAULT '[]'",
+  'ALTER TABLE media_assets ADD COLUMN IF NOT EXISTS alt_text TEXT',
+  'ALTER TABLE media_assets ADD COLUMN IF NOT EXISTS caption TEXT',
+  'ALTER TABLE media_assets ADD COLUMN IF NOT EXISTS uploaded_by UUID REFERENCES users(id) ON DELETE SET NULL',
+  'ALTER TABLE media_assets ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP',
+  // Posts reference uploads by repo path, so that is how assets are looked up
+  'CREATE INDEX IF NOT EXISTS idx_media_assets_blob_key ON media_assets (blob_key)'
+];
+
+// Uploads are capped at IMAGE_MAX_WIDTH and get a copy at each smaller width
+const IMAGE_MAX_WIDTH = parseInt(process.env.IMAGE_MAX_WIDTH) || 2400;
+const IMAGE_VARIANT_WIDTHS = [480, 960, 1600];
+
+// AVIF above effort 2 takes several times longer and risks the function timeout
+const IMAGE_FORMATS = {
+  avif: { mime_type: 'image/avif', extension: 'avif', options: { quality: 50, effort: 2 } },
+  webp: { mime_type: 'image/webp', extension: 'webp', options: { quality: 75 } },
+  jpeg: { mime_type: 'image/jpeg', extension: 'jpg', options: { quality: 80, mozjpeg: true } },
+  png: { mime_type: 'image/png', extension: 'png', options: { compressionLevel: 9 } }
+};
+
+// Modern formats go in <source> elements; browsers without them get the fallback
+const IMAGE_SOURCE_FORMATS = ['avif', 'webp'];
+
+// GIFs (often animated) are committed as uploaded
+const PROCESSABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+/**
+ * Read an image with its orientation applied, and pick its fallback format
+ * (PNG when it has transparency, else JPEG)
+ * @param {Buffer} buffer - Image file
+ * @returns {object} - { source, fallback, mainWidth }
+ */
+async function openImage(buffer) {
+  const source = sharp(buffer, { failOn: 'error' }).rotate();
+  const metadata = await source.metadata();
+  // EXIF orientations 5-8 are rotated a quarter turn
+  const originalWidth = metadata.orientation >= 5 ? metadata.height : metadata.width;
+  return {
+    source,
+    fallback: metadata.hasAlpha ? 'png' : 'jpeg',
+    mainWidth: Math.min(originalWidth, IMAGE_MAX_WIDTH)
+  };
+}
+
+// Metadata such as EXIF location is dropped by sharp unless asked to keep it
+async function encodeImage({ source }, width, format) {
+  const { data, info } = await source.clone()
+    .resize({ width, withoutEnlargement: true })
+    .toFormat(format, IMAGE_FORMATS[format].options)
+    .toBuffer({ resolveWithObject: true });
+  return { buffer: data, width: info.width, height: info.height, format };
+}
+
+/**
+ * The capped main file of an upload, in its fallback format. One encode, so it
+ * fits in the upload request; the responsive copies come from processImageVariants.
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {object} - { buffer, width, height, format }
+ */
+async function processImage(buffer) {
+  const image = await openImage(buffer);
+  return encodeImage(image, image.mainWidth, image.fallback);
+}
+
+/**
+ * Smaller widths of an image in AVIF, WebP and its fallback format, plus the full
+ * width in AVIF and WebP. A large photo takes over ten seconds, so uploads have this
+ * done by image-variants-background (see createImageVariants).
+ * @param {Buffer} buffer - The upload, or the main file processImage made from it
+ * @returns {Array<object>} - { buffer, width, height, format } per copy
+ */
+async function processImageVariants(buffer) {
+  const image = await openImage(buffer);
+  const variants = [];
+  for (const width of [...IMAGE_VARIANT_WIDTHS.filter(w => w < image.mainWidth), image.mainWidth]) {
+    for (const format of [...IMAGE_SOURCE_FORMATS, image.fallback]) {
+      if (width === image.mainWidth && format === image.fallback) continue;
+      variants.push(await encodeImage(image, width, format));
+    }
+  }
+  return variants;
+}
+
+// Pages rebuilds a minute or two after each commit; until then a new upload is only on raw GitHub
+const IMAGE_PAGES_DEPLOY_SECONDS = parseInt(process.env.IMAGE_PAGES_DEPLOY_SECONDS) || 600;
+
+/**
+ * Whether an upload has had time to reach the Pages site. Paths with no
+ * media_assets row, or rows without created_at, are older than this check.
+ */
+function isImageDeployed(asset) {
+  if (!asset || !asset.created_at) return true;
+  return Date.now() - new Date(asset.created_at).getTime() > IMAGE_PAGES_DEPLOY_SECONDS * 1000;
+}
+
+/**
+ * Public URL for a file in the repo (assets/images/posts/...). Served from the
+ * Pages site; raw GitHub stands in only until a new upload is deployed.
+ * @param {string} imagePath - Repo path, with or without a leading slash
+ * @param {boolean} [deployed=true] - false right after upload (isImageDeployed)
+ */
+function resolveRepoImageUrl(imagePath, deployed = true) {
+  const path = imagePath.replace(/^\//, '');
+  if (deployed) {
+    return `${PUBLIC_SITE_URL}/${path}`;
+  }
+  const githubRepo = process.env.GITHUB_REPO || 'chriswdixon/chriswdixon-blog';
+  const githubBranch = process.env.GITHUB_BRANCH || 'main';
+  return `https://raw.githubusercontent.com/${githubRepo}/${githubBranch}/${path}`;
+}
+
+/**
+ * srcset data for a processed asset, in the shape PostTemplates.responsiveImage takes.
+ * Until the asset is on the Pages site only the JPEG/PNG copies are listed: raw GitHub
+ * does not send AVIF and WebP with image content types, and sends nosniff, so browsers
+ * would refuse them.
+ * @param {object} asset - media_assets row with blob_key, width, height, variants and created_at
+ * @param {object} [options] - { deployed }; worked out from created_at when omitted
+ * @returns {object|null} - { src, width, height, srcset, sources: [{ type, srcset }] }
+ */
+function responsiveImage(asset, { deployed = isImageDeployed(asset) } = {}) {
+  if (!asset || !Array.isArray(asset.variants) || asset.variants.length === 0 || !asset.width) {
+    return null;
+  }
+
+  const srcset = variants => variants
+    .sort((a, b) => a.width - b.width)
+    .map(variant => `${resolveRepoImageUrl(variant.path, deployed)} ${variant.width}w`)
+    .join(', ');
+  const main = { path: asset.blob_key, width: asset.width, mime_type: asset.mime_type };
+
+  return {
+    src: resolveRepoImageUrl(asset.blob_key, deployed),
+    width: asset.width,
+    height: asset.height,
+    srcset: srcset([...asset.variants.filter(variant => variant.mime_type === asset.mime_type), main]),
+    sources: deployed
+      ? IMAGE_SOURCE_FORMATS
+        .map(format => ({
+          type: IMAGE_FORMATS[format].mime_type,
+          srcset: srcset(asset.variants.filter(variant => variant.format === format))
+        }))
+        .filter(source => source.srcset)
+      : []
+  };
+}
+
+// Repo path (assets/images/posts/...) of an image URL from a post, or null for other hosts
+function repoImagePath(url) {
+  if (!url) return null;
+  const githubRepo = process.env.GITHUB_REPO || 'chriswdixon/chriswdixon-blog';
+  const githubBranch = process.env.GITHUB_BRANCH || 'main';
+  const path = String(url)
+    .replace(`https://raw.githubusercontent.com/${githubRepo}/${githubBranch}/`, '')
+    .replace(`${PUBLIC_SITE_URL}/`, '')
+    .replace(/^\//, '')
+    .split(/[?#]/)[0];
+  return path.startsWith('assets/images/posts/') ? path : null;
+}
+
+/**
+ * Uploads referenced by a post's Markdown, for renderPostContent
+ * @param {string} markdown - Post content
+ * @returns {Map} - Repo path -> media_assets row
+ */
+async function loadContentImages(markdown) {
+  const paths = [...new Set((String(markdown || '').match(/[^\s("'<>]*assets\/images\/posts\/[^\s)"'<>]+/g) || [])
+    .map(repoImagePath)
+    .filter(Boolean))];
+  if (paths.length === 0) return new Map();
+
+  try {
+    await ensureSchema('media', MEDIA_SCHEMA);
+    const result = await dbQuery(
+      'SELECT blob_key, mime_type, width, height, variants, created_at FROM media_assets WHERE blob_key = ANY($1)',
+      [paths]
+    );
+    return new Map(result.rows.map(asset => [asset.blob_key, asset]));
+  } catch (error) {
+    // Plain <img> tags are a fine fallback
+    secureErrorLog('[MEDIA] Could not load image variants:', error.message);
+    return new Map();
+  }
+}
+
+// Processed featured image for the post aliased bp, matched by asset id or repo path.
+// to_jsonb keeps this working before MEDIA_SCHEMA has added the variant columns.
+const FEATURED_IMAGE_SELECT = `(
+  SELECT to_jsonb(ma) FROM media_assets ma
+  WHERE ma.id = bp.featured_image_asset_id OR ma.blob_key = ltrim(bp.featured_image_url, '/')
+  LIMIT 1
+)`;
+
+// Media asset functions - now saves to GitHub repo.
+// Raster images are capped in size here; their responsive variants are committed
+// alongside the main file by createImageVariants, in the background unless
+// options.inlineVariants is set (the CLI, which has no time limit).
+async function createMediaAsset(file, context = 'blog', uploadedBy = null, options = {}) {
   if (!file || !file.buffer) {
     return null;
   }
@@ -457,28 +1013,70 @@ async function createMediaAsset(file, context = 'blog') {
   try {
     // Generate a unique filename
     const sanitizedFilename = (file.originalname || 'upload').replace(/[^a-zA-Z0-9._-]/g, '_');
-    const extension = sanitizedFilename.split('.').pop() || 'jpg';
-    const uniqueFilename = `${crypto.randomUUID()}.${extension}`;
-    const filePath = `assets/images/posts/${uniqueFilename}`;
-
-    // Commit file to GitHub
-    const githubResult = await commitFileToGitHub(
-      filePath,
-      file.buffer,
-      `Add blog post image: ${sanitizedFilename}`
-    );
+    const assetName = crypto.randomUUID();
+
+    let processed = null;
+    if (PROCESSABLE_IMAGE_TYPES.includes(file.mimetype)) {
+      try {
+        processed = await processImage(file.buffer);
+      } catch (error) {
+        // Unreadable or unusual files are still stored as uploaded
+        secureErrorLog(`[MEDIA] Could not process ${sanitizedFilename}:`, error.message);
+      }
+    }
+
+    let filePath;
+    let githubResult;
+
+    if (processed) {
+      filePath = `assets/images/posts/${assetName}.${IMAGE_FORMATS[processed.format].extension}`;
+      githubResult = await commitFileToGitHub(filePath, processed.buffer, `Add blog post image: ${sanitizedFilename}`);
+    } else {
+      const extension = sanitizedFilename.split('.').pop() || 'jpg';
+      filePath = `assets/images/posts/${assetName}.${extension}`;
+
+      // Commit file to GitHub
+      githubResult = await commitFileToGitHub(
+        filePath,
+        file.buffer,
+        `Add blog post image: ${sanitizedFilename}`
+      );
+    }
 
     // Store metadata in database
+    await ensureSchema('media', MEDIA_SCHEMA);
     const imageUrl = `/${filePath}`; // Relative path for GitHub Pages
     const result = await pool.query(
-      `INSERT INTO media_assets (filename, mime_type, file_size, blob_key, context)
-       VALUES ($1, $2, $3, $4, $5)
-       RETURNING id, filename, mime_type, file_size, blob_key, context, created_at`,
-      [sanitizedFilename, file.mimetype, file.size, filePath, context]
+      `INSERT INTO media_assets (filename, mime_type, file_size, blob_key, context, width, height, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id, filename, mime_type, file_size, blob_key, context, width, height, variants, created_at`,
+      [
+        sanitizedFilename,
+        processed ? IMAGE_FORMATS[processed.format].mime_type : file.mimetype,
+        processed ? processed.buffer.length : file.size,
+        filePath,
+        context,
+        processed ? processed.width : null,
+        processed ? processed.height : null,
+        uploadedBy
+      ]
     );
 
+    // Until the variants land the image is shown as a plain <img>
+    let variants = result.rows[0].variants;
+    if (processed && options.inlineVariants) {
+      try {
+        variants = await createImageVariants(result.rows[0].id, file.buffer);
+      } catch (error) {
+        secureErrorLog(`[MEDIA] Could not make variants of ${sanitizedFilename}:`, error.message);
+      }
+    } else if (processed) {
+      await queueImageVariants(result.rows[0].id);
+    }
+
     return {
       ...result.rows[0],
+      variants,
       path: filePath,
       url: imageUrl,
       github_url: githubResult.url
@@ -489,6 +1087,75 @@ async function createMediaAsset(file, context = 'blog') {
   }
 }
 
+/**
+ * Encode an upload's responsive variants, commit them in one commit and record
+ * them on its media_assets row
+ * @param {string} assetId
+ * @param {Buffer} [buffer] - The uploaded file; the committed main file is read back when omitted
+ * @returns {Array<object>} - The variants column
+ */
+async function createImageVariants(assetId, buffer = null) {
+  await ensureSchema('media', MEDIA_SCHEMA);
+  const result = await dbQuery('SELECT id, filename, blob_key FROM media_assets WHERE id = $1', [assetId]);
+  const asset = result.rows[0];
+  if (!asset) {
+    throw new Error('Media asset not found');
+  }
+
+  const base = asset.blob_key.replace(/\.[^./]+$/, '');
+  const encoded = await processImageVariants(buffer || await readFileFromGitHub(asset.blob_key));
+  const variants = encoded.map(variant => ({
+    path: `${base}-${variant.width}.${IMAGE_FORMATS[variant.format].extension}`,
+    format: variant.format,
+    mime_type: IMAGE_FORMATS[variant.format].mime_type,
+    width: variant.width,
+    height: variant.height,
+    size: variant.buffer.length
+  }));
+
+  await commitFilesToGitHub(
+    variants.map((variant, i) => ({ path: variant.path, content: encoded[i].buffer })),
+    `Add responsive variants of ${asset.filename} (${variants.length})`
+  );
+  await dbQuery('UPDATE media_assets SET variants = $1 WHERE id = $2', [JSON.stringify(variants), assetId]);
+  return variants;
+}
+
+/**
+ * Hand createImageVariants to the image-variants-background function. The job is
+ * signed so only this API can queue one. Failures are logged: the upload itself is kept.
+ * @param {string} assetId
+ */
+async function queueImageVariants(assetId) {
+  try {
+    const token = jwt.sign({ type: 'image-variants', assetId }, JWT_SECRET, { expiresIn: '10m' });
+    const response = await fetch(`${PUBLIC_API_URL}/.netlify/functions/image-variants-background`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token }),
+      signal: AbortSignal.timeout(5000)
+    });
+    if (!response.ok) {
+      throw new Error(`Background function returned ${response.status}`);
+    }
+  } catch (error) {
+    secureErrorLog('[MEDIA] Could not queue image variants:', error.message);
+  }
+}
+
+/**
+ * Run a job queued by queueImageVariants
+ * @param {string} token - Signed job
+ * @returns {Array<object>} - The variants
+ */
+async function runImageVariantsJob(token) {
+  const job = jwt.verify(token, JWT_SECRET);
+  if (job.type !== 'image-variants') {
+    throw new Error('Not an image variants job');
+  }
+  return createImageVariants(job.assetId);
+}
+
 async function getMediaAsset(assetId) {
   if (!assetId) return null;
   
@@ -533,26 +1200,31 @@ function buildMediaUrl(assetId) {
   return `/api/media/${assetId}`;
 }
 
-function transformBlogPost(row) {
-  if (!row) return row;
+/**
+ * API shape of a blog_posts row
+ * @param {object} record - Row, optionally with featured_image from FEATURED_IMAGE_SELECT
+ * @param {object} [options] - { imagesDeployed }: link uploads on the Pages site even if they are new
+ */
+function transformBlogPost(record, options = {}) {
+  if (!record) return record;
+  const imagesDeployed = !!options.imagesDeployed || isImageDeployed(record.featured_image);
+  // search_vector and content_html_version are bookkeeping columns, not post data
+  const { search_vector: _searchVector, content_html_version: _contentHtmlVersion, ...row } = record;
   const assetId = row.featured_image_asset_id || null;
-  const githubRepo = process.env.GITHUB_REPO || 'chriswdixon/chriswdixon-blog';
-  const githubBranch = process.env.GITHUB_BRANCH || 'main';
   
-  // If we have a featured_image_url that starts with /, it's a repo path - convert to GitHub raw URL
+  // If we have a featured_image_url that starts with /, it's a repo path - convert to a public URL
   // Otherwise, if we have an assetId, use the media URL
   // Otherwise, use the featured_image_url directly
   let resolvedUrl = row.featured_image_url;
   if (assetId && !row.featured_image_url) {
     resolvedUrl = buildMediaUrl(assetId);
   } else if (row.featured_image_url) {
-    // If it's an absolute path starting with /assets/images/posts/, convert to GitHub raw URL
+    // If it's an absolute path starting with /assets/images/posts/, convert to a public URL
     if (row.featured_image_url.startsWith('/assets/images/posts/')) {
-      const imagePath = row.featured_image_url.substring(1); // Remove leading slash
-      resolvedUrl = `https://raw.githubusercontent.com/${githubRepo}/${githubBranch}/${imagePath}`;
+      resolvedUrl = resolveRepoImageUrl(row.featured_image_url, imagesDeployed);
     } else if (row.featured_image_url.startsWith('assets/images/posts/')) {
-      // If it's a relative path without leading slash, convert to GitHub raw URL
-      resolvedUrl = `https://raw.githubusercontent.com/${githubRepo}/${githubBranch}/${row.featured_image_url}`;
+      // If it's a relative path without leading slash, convert to a public URL
+      resolvedUrl = resolveRepoImageUrl(row.featured_image_url, imagesDeployed);
     } else if (!row.featured_image_url.startsWith('http') && !row.featured_image_url.startsWith('/')) {
       // If it's a relative path without leading slash and not already assets/, add it
       resolvedUrl = row.featured_image_url.startsWith('assets/') ? '/' + row.featured_image_url : row.featured_image_url;
@@ -563,25 +1235,1015 @@ function transformBlogPost(row) {
   return {
     ...row,
     featured_image_asset_id: assetId,
-    featured_image_url: resolvedUrl || null
+    featured_image_url: resolvedUrl || null,
+    // srcset data when the image was processed on upload (FEATURED_IMAGE_SELECT)
+    featured_image: responsiveImage(row.featured_image, { deployed: imagesDeployed })
   };
 }
 
 // ============================================
-// MEDIA ROUTES
+// POST REVISIONS
 // ============================================
 
-app.get('/api/media/:assetId', async (req, res) => {
+// Tags of the post aliased bp, as stored in blog_post_revisions.tags
+const REVISION_TAGS_SELECT = `COALESCE(
+  (SELECT jsonb_agg(jsonb_build_object('id', bt.id, 'name', bt.name, 'slug', bt.slug) ORDER BY bt.name)
+   FROM blog_post_tags bpt JOIN blog_tags bt ON bpt.tag_id = bt.id
+   WHERE bpt.post_id = bp.id),
+  '[]'
+)`;
+
+const REVISION_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS blog_post_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    post_id UUID NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    slug TEXT,
+    excerpt TEXT,
+    content TEXT,
+    featured_image_url TEXT,
+    featured_image_asset_id UUID,
+    category_id UUID,
+    status VARCHAR(50),
+    featured BOOLEAN DEFAULT false,
+    published_at TIMESTAMP,
+    tags JSONB DEFAULT '[]',
+    editor_id UUID,
+    restored_from UUID,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (post_id, revision_number)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_blog_post_revisions_post ON blog_post_revisions (post_id, revision_number DESC)',
+  // Posts written before revisions existed get their current state as revision 1,
+  // so the first save after an upgrade can still be undone
+  `INSERT INTO blog_post_revisions
+   (post_id, revision_number, title, slug, excerpt, content, featured_image_url, featured_image_asset_id,
+    category_id, status, featured, published_at, tags, created_at)
+   SELECT
+     bp.id, 1, bp.title, bp.slug, bp.excerpt, bp.content, bp.featured_image_url, bp.featured_image_asset_id,
+     bp.category_id, bp.status, bp.featured, bp.published_at, ${REVISION_TAGS_SELECT}, bp.updated_at
+   FROM blog_posts bp
+   WHERE NOT EXISTS (SELECT 1 FROM blog_post_revisions r WHERE r.post_id = bp.id)
+   ON CONFLICT (post_id, revision_number) DO NOTHING`
+];
+
+// Fields compared between two revisions, in display order
+const REVISION_FIELDS = ['title', 'slug', 'excerpt', 'content', 'featured_image_url', 'category_id', 'status', 'featured', 'published_at', 'tags'];
+const REVISION_LINE_DIFF_FIELDS = ['excerpt', 'content'];
+
+/**
+ * Snapshot the current state of a post as a new revision row
+ * @param {string} postId - Post to snapshot
+ * @param {string} editorId - User who made the save
+ * @param {string} restoredFrom - Revision ID when the save is a restore
+ * @returns {object} - The inserted revision (without content)
+ */
+async function recordPostRevision(postId, editorId, restoredFrom = null) {
+  await ensureSchema('revisions', REVISION_SCHEMA);
+
+  const client = await pool.connect();
   try {
-    const { assetId } = req.params;
-    if (!assetId) {
-      return res.status(400).json({ error: 'Asset ID required' });
-    }
-    
-    const asset = await getMediaAsset(assetId);
-    if (!asset || !asset.data) {
-      return res.status(404).json({ error: 'Media not found' });
-    }
+    await client.query('BEGIN');
+    // Two saves of the same post would otherwise both take MAX() + 1
+    await client.query('SELECT id FROM blog_posts WHERE id = $1 FOR UPDATE', [postId]);
+    const result = await client.query(
+      `INSERT INTO blog_post_revisions
+       (post_id, revision_number, title, slug, excerpt, content, featured_image_url, featured_image_asset_id,
+        category_id, status, featured, published_at, tags, editor_id, restored_from)
+       SELECT
+         bp.id,
+         COALESCE((SELECT MAX(revision_number) FROM blog_post_revisions WHERE post_id = bp.id), 0) + 1,
+         bp.title, bp.slug, bp.excerpt, bp.content, bp.featured_image_url, bp.featured_image_asset_id,
+         bp.category_id, bp.status, bp.featured, bp.published_at,
+         ${REVISION_TAGS_SELECT},
+         $2, $3
+       FROM blog_posts bp
+       WHERE bp.id = $1
+       RETURNING id, post_id, revision_number, title, status, editor_id, restored_from, created_at`,
+      [postId, editorId || null, restoredFrom]
+    );
+    await client.query('COMMIT');
+    return result.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Line-level diff of two strings using a longest-common-subsequence table.
+ * Common leading and trailing lines are trimmed first so typical edits stay cheap.
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Updated text
+ * @returns {Array} - [{ type: 'equal'|'add'|'remove', line, old_line, new_line }]
+ */
+function diffLines(oldText, newText) {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const ops = [];
+
+  for (let i = 0; i < start; i++) {
+    ops.push({ type: 'equal', line: a[i], old_line: i + 1, new_line: i + 1 });
+  }
+
+  // Guard against pathological inputs - fall back to remove-then-add
+  if (midA.length * midB.length > 4000000) {
+    midA.forEach((line, i) => ops.push({ type: 'remove', line, old_line: start + i + 1, new_line: null }));
+    midB.forEach((line, j) => ops.push({ type: 'add', line, old_line: null, new_line: start + j + 1 }));
+  } else {
+    const rows = midA.length + 1;
+    const cols = midB.length + 1;
+    const table = new Uint32Array(rows * cols);
+
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        table[i * cols + j] = midA[i] === midB[j]
+          ? table[(i + 1) * cols + j + 1] + 1
+          : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        ops.push({ type: 'equal', line: midA[i], old_line: start + i + 1, new_line: start + j + 1 });
+        i++;
+        j++;
+      } else if (i < midA.length && (j === midB.length || table[(i + 1) * cols + j] >= table[i * cols + j + 1])) {
+        ops.push({ type: 'remove', line: midA[i], old_line: start + i + 1, new_line: null });
+        i++;
+      } else {
+        ops.push({ type: 'add', line: midB[j], old_line: null, new_line: start + j + 1 });
+        j++;
+      }
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) {
+    ops.push({ type: 'equal', line: a[endA + k], old_line: endA + k + 1, new_line: endB + k + 1 });
+  }
+
+  return ops;
+}
+
+// Normalise a revision field so equal values compare equal
+function revisionFieldValue(revision, field) {
+  const value = revision[field];
+  if (field === 'tags') {
+    return (value || []).map(tag => tag.name).sort().join(', ');
+  }
+  if (field === 'published_at') {
+    return value ? new Date(value).toISOString() : null;
+  }
+  if (field === 'featured') {
+    return !!value;
+  }
+  return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Field-by-field comparison of two revisions, with line diffs for long text
+ * @param {object} from - Older revision row
+ * @param {object} to - Newer revision row
+ * @returns {Array} - [{ field, changed, from, to, lines? }]
+ */
+function diffRevisions(from, to) {
+  return REVISION_FIELDS.map(field => {
+    const fromValue = revisionFieldValue(from, field);
+    const toValue = revisionFieldValue(to, field);
+    const entry = {
+      field,
+      changed: fromValue !== toValue,
+      from: fromValue,
+      to: toValue
+    };
+    if (entry.changed && REVISION_LINE_DIFF_FIELDS.includes(field)) {
+      entry.lines = diffLines(fromValue, toValue);
+    }
+    return entry;
+  });
+}
+
+// ============================================
+// PUBLISHING
+// ============================================
+
+const PUBLISHING_SCHEMA = [
+  'ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS crosspost_linkedin BOOLEAN DEFAULT false',
+  'CREATE INDEX IF NOT EXISTS idx_blog_posts_status_published_at ON blog_posts (status, published_at)',
+  // Older databases may restrict status to draft/published/archived
+  `DO $$
+   BEGIN
+     IF EXISTS (
+       SELECT 1 FROM pg_constraint
+       WHERE conname = 'blog_posts_status_check'
+       AND pg_get_constraintdef(oid) NOT LIKE '%scheduled%'
+     ) THEN
+       ALTER TABLE blog_posts DROP CONSTRAINT blog_posts_status_check;
+       ALTER TABLE blog_posts ADD CONSTRAINT blog_posts_status_check
+         CHECK (status IN ('draft', 'scheduled', 'published', 'archived'));
+     END IF;
+   END $$`
+];
+
+// SQL condition for posts readers may see; scheduled posts stay hidden until the publisher runs.
+// Needs the trash schema (deleted_at).
+const PUBLIC_POST_CONDITION = `bp.deleted_at IS NULL AND bp.status = 'published' AND (bp.published_at IS NULL OR bp.published_at <= NOW())`;
+
+// Public site (GitHub Pages) base URL used for links shared outside the site
+const PUBLIC_SITE_URL = (process.env.PUBLIC_SITE_URL || 'https://chriswdixon.github.io/chriswdixon-blog').replace(/\/+$/, '');
+
+function buildPostUrl(slug) {
+  return `${PUBLIC_SITE_URL}/post.html?slug=${encodeURIComponent(slug)}`;
+}
+
+// Absolute base for links back to this API (feeds, share pages)
+function apiBaseUrl(req) {
+  return (process.env.SITE_URL || `https://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Same base when there is no request to go on (scheduled publisher, LinkedIn shares).
+// Netlify sets URL to the site's primary address.
+const PUBLIC_API_URL = (process.env.SITE_URL || process.env.URL || 'https://chriswdixonblog.netlify.app').replace(/\/+$/, '');
+
+// Server-rendered post page carrying Open Graph metadata, for links shared off-site
+function buildShareUrl(slug) {
+  return `${PUBLIC_API_URL}/api/share/${encodeURIComponent(slug)}`;
+}
+
+// Let the Netlify CDN cache public responses briefly, tagged so publishes can purge them
+function setPublicCacheHeaders(res, cacheTags, cdnMaxAge = 300) {
+  res.setHeader('Cache-Control', 'public, max-age=0, must-revalidate');
+  res.setHeader('Netlify-CDN-Cache-Control', `public, s-maxage=${cdnMaxAge}, stale-while-revalidate=60`);
+  res.setHeader('Netlify-Cache-Tag', cacheTags.join(','));
+}
+
+/**
+ * Purge tagged public responses from the Netlify CDN.
+ * A no-op (logged) when the site ID or auth token is not configured.
+ * @param {string[]} cacheTags - Tags set via setPublicCacheHeaders
+ */
+async function purgePublicCache(cacheTags) {
+  const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+  const token = process.env.NETLIFY_AUTH_TOKEN || process.env.NETLIFY_TOKEN || process.env.NETLIFY_FUNCTIONS_TOKEN;
+
+  if (!siteID || !token) {
+    secureLog('[CACHE] Purge skipped - Netlify site ID or token not configured');
+    return false;
+  }
+
+  try {
+    const response = await fetch('https://api.netlify.com/api/v1/purge', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ site_id: siteID, cache_tags: cacheTags })
+    });
+
+    if (!response.ok) {
+      secureErrorLog('[CACHE] Purge failed:', response.status);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    secureErrorLog('[CACHE] Purge error:', error.message);
+    return false;
+  }
+}
+
+function postCacheTags(post) {
+  return ['posts', `post-${post.slug}`];
+}
+
+/**
+ * Side effects for a post that has just become visible to readers.
+ * Failures are logged rather than thrown so a publish is never rolled back by them.
+ * @param {object} post - blog_posts row
+ * @param {string} source - 'editor' or 'scheduler'
+ */
+async function handlePostPublished(post, source = 'editor') {
+  secureLog(`[PUBLISH] ${post.slug} published via ${source}`);
+
+  await purgePublicCache(postCacheTags(post));
+
+  if (post.crosspost_linkedin) {
+    try {
+      const alreadyShared = await checkTableExists('linkedin_posts') &&
+        (await pool.query('SELECT id FROM linkedin_posts WHERE post_id = $1 LIMIT 1', [post.id])).rows.length > 0;
+
+      if (!alreadyShared) {
+        await shareOnLinkedIn(post.id, post.title, buildShareUrl(post.slug));
+      }
+    } catch (error) {
+      secureErrorLog(`[PUBLISH] LinkedIn cross-post failed for ${post.slug}:`, error.message);
+    }
+  }
+
+  await refreshStaticMirror([post.id]);
+}
+
+/**
+ * Publish every scheduled post whose publish time has passed.
+ * Called by the publish-scheduled Netlify function and the admin job route.
+ * @returns {Array} - Published posts ({ id, slug, title, published_at })
+ */
+async function publishDuePosts() {
+  await ensureSchema('publishing', PUBLISHING_SCHEMA);
+  await ensureSchema('trash', TRASH_SCHEMA);
+
+  const result = await dbQuery(`
+    UPDATE blog_posts
+    SET status = 'published', updated_at = NOW()
+    WHERE status = 'scheduled' AND published_at <= NOW() AND deleted_at IS NULL
+    RETURNING *
+  `);
+
+  for (const post of result.rows) {
+    await handlePostPublished(post, 'scheduler');
+  }
+
+  return result.rows.map(post => ({
+    id: post.id,
+    slug: post.slug,
+    title: post.title,
+    published_at: post.published_at
+  }));
+}
+
+// ============================================
+// TRASH
+// ============================================
+
+// Deleted posts, categories and comments stay restorable this long, then are purged for good
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+
+// Trashable item types, keyed as they appear in /api/admin/trash/:type/:id
+const TRASH_TABLES = {
+  posts: 'blog_posts',
+  categories: 'blog_categories',
+  comments: 'comments'
+};
+
+const TRASH_SCHEMA = Object.values(TRASH_TABLES).flatMap(table => [
+  `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP`,
+  `ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS deleted_by UUID REFERENCES users(id) ON DELETE SET NULL`,
+  `CREATE INDEX IF NOT EXISTS idx_${table}_deleted_at ON ${table} (deleted_at) WHERE deleted_at IS NOT NULL`
+]);
+
+/**
+ * Permanently delete trashed items older than the retention period.
+ * Run by the scheduled publisher and /api/admin/jobs/purge-trash.
+ * @returns {Object} - Number of rows purged per type
+ */
+async function purgeExpiredTrash() {
+  await ensureSchema('trash', TRASH_SCHEMA);
+
+  const purged = {};
+  for (const [type, table] of Object.entries(TRASH_TABLES)) {
+    const result = await dbQuery(
+      `DELETE FROM ${table} WHERE deleted_at < NOW() - make_interval(days => $1)`,
+      [TRASH_RETENTION_DAYS]
+    );
+    purged[type] = result.rowCount;
+  }
+  return purged;
+}
+
+// ============================================
+// DRAFT PREVIEW LINKS
+// ============================================
+
+const PREVIEW_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS blog_post_preview_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    post_id UUID NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    created_by UUID,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    last_used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_blog_post_preview_tokens_post ON blog_post_preview_tokens (post_id)'
+];
+
+const PREVIEW_DEFAULT_HOURS = 72;
+const PREVIEW_MAX_HOURS = 24 * 30;
+
+/**
+ * Issue a signed preview token for a post. The JWT carries the token row ID
+ * so a link can be revoked before it expires.
+ * @param {string} postId - Post to preview
+ * @param {string} userId - Admin creating the link
+ * @param {number} hours - Lifetime in hours
+ * @returns {object} - { id, token, expires_at }
+ */
+async function createPreviewToken(postId, userId, hours) {
+  await ensureSchema('previews', PREVIEW_SCHEMA);
+
+  const lifetimeHours = Math.min(Math.max(parseInt(hours) || PREVIEW_DEFAULT_HOURS, 1), PREVIEW_MAX_HOURS);
+  const result = await dbQuery(
+    `INSERT INTO blog_post_preview_tokens (post_id, created_by, expires_at)
+     VALUES ($1, $2, NOW() + make_interval(hours => $3))
+     RETURNING id, post_id, expires_at, created_at`,
+    [postId, userId || null, lifetimeHours]
+  );
+
+  const row = result.rows[0];
+  const token = jwt.sign(
+    { type: 'preview', pid: postId },
+    JWT_SECRET,
+    { expiresIn: `${lifetimeHours}h`, jwtid: row.id }
+  );
+
+  return { ...row, token };
+}
+
+/**
+ * Check a preview token's signature, expiry and revocation status
+ * @param {string} token - Token from the preview link
+ * @returns {object} - Token row ({ id, post_id, expires_at }) or null
+ */
+async function verifyPreviewToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return null;
+  }
+
+  if (payload.type !== 'preview' || !payload.jti || !payload.pid) {
+    return null;
+  }
+
+  await ensureSchema('previews', PREVIEW_SCHEMA);
+
+  const result = await dbQuery(
+    `UPDATE blog_post_preview_tokens
+     SET last_used_at = NOW()
+     WHERE id = $1 AND post_id = $2 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING id, post_id, expires_at`,
+    [payload.jti, payload.pid]
+  );
+
+  return result.rows[0] || null;
+}
+
+// ============================================
+// AUTHORS
+// ============================================
+
+const AUTHOR_SCHEMA = [
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS slug VARCHAR(255)',
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS bio TEXT',
+  'ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar_url TEXT',
+  `ALTER TABLE users ADD COLUMN IF NOT EXISTS links JSONB DEFAULT '{}'`,
+  // Give existing users a slug from their name (or email) before enforcing uniqueness
+  `WITH base AS (
+     SELECT id,
+       COALESCE(NULLIF(trim(both '-' from regexp_replace(lower(COALESCE(name, split_part(email, '@', 1))), '[^a-z0-9]+', '-', 'g')), ''), 'author') AS slug,
+       created_at
+     FROM users WHERE slug IS NULL
+   ), numbered AS (
+     SELECT id, slug, ROW_NUMBER() OVER (PARTITION BY slug ORDER BY created_at) AS rn FROM base
+   )
+   UPDATE users u
+   SET slug = CASE WHEN numbered.rn > 1 THEN numbered.slug || '-' || numbered.rn ELSE numbered.slug END
+   FROM numbered WHERE u.id = numbered.id`,
+  'CREATE UNIQUE INDEX IF NOT EXISTS idx_users_slug ON users (slug)',
+  'ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS last_edited_by UUID',
+  `CREATE TABLE IF NOT EXISTS blog_post_authors (
+    post_id UUID NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL DEFAULT 1,
+    PRIMARY KEY (post_id, user_id)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_blog_post_authors_user ON blog_post_authors (user_id)'
+];
+
+// Profile links an author may show, by key
+const AUTHOR_LINK_KEYS = ['website', 'linkedin', 'github', 'twitter', 'mastodon'];
+
+// Public byline for a post row aliased bp: primary author first, then co-authors
+const POST_AUTHORS_SELECT = `(
+  SELECT COALESCE(json_agg(
+    json_build_object('name', COALESCE(au.name, 'Anonymous'), 'slug', au.slug, 'avatar_url', au.avatar_url)
+    ORDER BY pa.position
+  ), '[]')
+  FROM (
+    SELECT bp.author_id AS user_id, 0 AS position
+    UNION ALL
+    SELECT bpa.user_id, bpa.position FROM blog_post_authors bpa
+    WHERE bpa.post_id = bp.id AND bpa.user_id IS DISTINCT FROM bp.author_id
+  ) pa
+  JOIN users au ON au.id = pa.user_id
+)`;
+
+// Co-author IDs for a post row aliased bp (used for ownership checks)
+const POST_COAUTHOR_IDS_SELECT = `(
+  SELECT COALESCE(array_agg(bpa.user_id::text), '{}') FROM blog_post_authors bpa WHERE bpa.post_id = bp.id
+)`;
+
+/**
+ * Pick an unused users.slug based on a name
+ * @param {string} name - Display name or email
+ * @param {string} excludeUserId - User whose own slug should not count as taken
+ */
+async function uniqueUserSlug(name, excludeUserId = null) {
+  const base = slugify((name || '').split('@')[0]) || 'author';
+  const taken = await dbQuery(
+    `SELECT slug FROM users WHERE (slug = $1 OR slug LIKE $2) AND ($3::uuid IS NULL OR id <> $3::uuid)`,
+    [base, `${base}-%`, excludeUserId]
+  );
+  const used = new Set(taken.rows.map(row => row.slug));
+  if (!used.has(base)) return base;
+  let suffix = 2;
+  while (used.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+}
+
+// Keep only known link keys with http(s) URLs
+function sanitizeAuthorLinks(links) {
+  const clean = {};
+  if (!links || typeof links !== 'object') return clean;
+  for (const key of AUTHOR_LINK_KEYS) {
+    const value = (links[key] || '').toString().trim();
+    if (/^https?:\/\/\S+$/i.test(value)) {
+      clean[key] = value.slice(0, 500);
+    }
+  }
+  return clean;
+}
+
+/**
+ * Replace a post's co-author list
+ * @param {string} postId - Post ID
+ * @param {string[]} userIds - Co-author user IDs in byline order
+ * @param {string} authorId - Primary author (skipped if repeated)
+ */
+async function setPostCoauthors(postId, userIds, authorId) {
+  await dbQuery('DELETE FROM blog_post_authors WHERE post_id = $1', [postId]);
+  const unique = [...new Set((userIds || []).filter(Boolean).map(String))]
+    .filter(userId => userId !== String(authorId));
+
+  for (let i = 0; i < unique.length; i++) {
+    await dbQuery(
+      `INSERT INTO blog_post_authors (post_id, user_id, position)
+       SELECT $1, id, $3 FROM users WHERE id::text = $2
+       ON CONFLICT DO NOTHING`,
+      [postId, unique[i], i + 1]
+    );
+  }
+}
+
+// ============================================
+// SLUG HISTORY
+// ============================================
+
+// Every slug a post has given up, so old links can redirect to the current one
+const SLUG_HISTORY_SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS blog_post_slug_history (
+    slug VARCHAR(255) PRIMARY KEY,
+    post_id UUID NOT NULL REFERENCES blog_posts(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_blog_post_slug_history_post ON blog_post_slug_history (post_id)'
+];
+
+/**
+ * Check whether a slug is used by another post, now or in its history
+ * @param {string} slug - Requested slug
+ * @param {string} postId - Post being saved (null for a new post)
+ */
+async function isPostSlugTaken(slug, postId = null) {
+  const result = await dbQuery(
+    `SELECT 1 FROM blog_posts WHERE slug = $1 AND ($2::uuid IS NULL OR id <> $2::uuid)
+     UNION ALL
+     SELECT 1 FROM blog_post_slug_history WHERE slug = $1 AND ($2::uuid IS NULL OR post_id <> $2::uuid)
+     LIMIT 1`,
+    [slug, postId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Suggest the first free "<slug>-<n>" variant
+ * @param {string} slug - Slug that collided
+ * @param {string} postId - Post being saved (null for a new post)
+ */
+async function suggestPostSlug(slug, postId = null) {
+  const base = slug.replace(/-\d+$/, '') || slug;
+  const taken = await dbQuery(
+    `SELECT slug FROM blog_posts WHERE (slug = $1 OR slug LIKE $2) AND ($3::uuid IS NULL OR id <> $3::uuid)
+     UNION
+     SELECT slug FROM blog_post_slug_history WHERE (slug = $1 OR slug LIKE $2) AND ($3::uuid IS NULL OR post_id <> $3::uuid)`,
+    [base, `${base}-%`, postId]
+  );
+  const used = new Set(taken.rows.map(row => row.slug));
+  let suffix = 2;
+  while (used.has(`${base}-${suffix}`)) suffix++;
+  return `${base}-${suffix}`;
+}
+
+/**
+ * Remember a post's old slug after it changes
+ * @param {string} postId - Post ID
+ * @param {string} oldSlug - Slug before the save
+ * @param {string} newSlug - Slug after the save
+ */
+async function recordSlugChange(postId, oldSlug, newSlug) {
+  if (!oldSlug || oldSlug === newSlug) return;
+  // A post moving back to an earlier slug no longer needs that redirect
+  await dbQuery('DELETE FROM blog_post_slug_history WHERE slug = $1 AND post_id = $2', [newSlug, postId]);
+  await dbQuery(
+    `INSERT INTO blog_post_slug_history (slug, post_id) VALUES ($1, $2)
+     ON CONFLICT (slug) DO UPDATE SET post_id = EXCLUDED.post_id, created_at = NOW()`,
+    [oldSlug, postId]
+  );
+}
+
+/**
+ * ID of the post a slug points to, following old slugs to the post that now has them
+ * @param {string} slug - Current or earlier slug
+ * @returns {string|null} - Post ID, or null when no post (outside the trash) has it
+ */
+async function findPostIdBySlug(slug) {
+  await ensureSchema('trash', TRASH_SCHEMA);
+  const current = await dbQuery('SELECT id FROM blog_posts WHERE slug = $1 AND deleted_at IS NULL', [slug]);
+  if (current.rows.length > 0) {
+    return current.rows[0].id;
+  }
+
+  await ensureSchema('slugs', SLUG_HISTORY_SCHEMA);
+  const moved = await dbQuery(
+    `SELECT bp.id FROM blog_post_slug_history sh
+     JOIN blog_posts bp ON bp.id = sh.post_id
+     WHERE sh.slug = $1 AND bp.deleted_at IS NULL`,
+    [slug]
+  );
+  return moved.rows.length > 0 ? moved.rows[0].id : null;
+}
+
+// 409 body for a slug collision, with a free alternative the editor can offer
+async function slugConflictResponse(slug, postId) {
+  return {
+    error: `The slug "${slug}" is already used by another post`,
+    code: 'SLUG_TAKEN',
+    suggested_slug: await suggestPostSlug(slug, postId)
+  };
+}
+
+// ============================================
+// SEARCH
+// ============================================
+
+// Weighted document: title (A) > excerpt (B) > content (C) > tag names (D).
+// Triggers keep blog_posts.search_vector current when a post or its tags change.
+const SEARCH_SCHEMA = [
+  'ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS search_vector tsvector',
+  `CREATE OR REPLACE FUNCTION blog_post_search_document(p_id UUID, p_title TEXT, p_excerpt TEXT, p_content TEXT)
+   RETURNS tsvector AS $$
+     SELECT setweight(to_tsvector('english', COALESCE(p_title, '')), 'A') ||
+            setweight(to_tsvector('english', COALESCE(p_excerpt, '')), 'B') ||
+            setweight(to_tsvector('english', COALESCE(p_content, '')), 'C') ||
+            setweight(to_tsvector('english', COALESCE((
+              SELECT string_agg(bt.name, ' ')
+              FROM blog_post_tags bpt JOIN blog_tags bt ON bt.id = bpt.tag_id
+              WHERE bpt.post_id = p_id
+            ), '')), 'D')
+   $$ LANGUAGE sql STABLE`,
+  `CREATE OR REPLACE FUNCTION blog_posts_search_vector_update() RETURNS trigger AS $$
+   BEGIN
+     NEW.search_vector := blog_post_search_document(NEW.id, NEW.title, NEW.excerpt, NEW.content);
+     RETURN NEW;
+   END
+   $$ LANGUAGE plpgsql`,
+  'DROP TRIGGER IF EXISTS blog_posts_search_vector ON blog_posts',
+  `CREATE TRIGGER blog_posts_search_vector
+   BEFORE INSERT OR UPDATE OF title, excerpt, content ON blog_posts
+   FOR EACH ROW EXECUTE FUNCTION blog_posts_search_vector_update()`,
+  `CREATE OR REPLACE FUNCTION blog_post_tags_search_vector_update() RETURNS trigger AS $$
+   DECLARE
+     target UUID := CASE WHEN TG_OP = 'DELETE' THEN OLD.post_id ELSE NEW.post_id END;
+   BEGIN
+     UPDATE blog_posts SET search_vector = blog_post_search_document(id, title, excerpt, content)
+     WHERE id = target;
+     RETURN NULL;
+   END
+   $$ LANGUAGE plpgsql`,
+  'DROP TRIGGER IF EXISTS blog_post_tags_search_vector ON blog_post_tags',
+  `CREATE TRIGGER blog_post_tags_search_vector
+   AFTER INSERT OR DELETE ON blog_post_tags
+   FOR EACH ROW EXECUTE FUNCTION blog_post_tags_search_vector_update()`,
+  `CREATE OR REPLACE FUNCTION blog_tags_search_vector_update() RETURNS trigger AS $$
+   BEGIN
+     UPDATE blog_posts SET search_vector = blog_post_search_document(id, title, excerpt, content)
+     WHERE id IN (SELECT post_id FROM blog_post_tags WHERE tag_id = NEW.id);
+     RETURN NULL;
+   END
+   $$ LANGUAGE plpgsql`,
+  'DROP TRIGGER IF EXISTS blog_tags_search_vector ON blog_tags',
+  `CREATE TRIGGER blog_tags_search_vector
+   AFTER UPDATE OF name ON blog_tags
+   FOR EACH ROW EXECUTE FUNCTION blog_tags_search_vector_update()`,
+  `UPDATE blog_posts SET search_vector = blog_post_search_document(id, title, excerpt, content)
+   WHERE search_vector IS NULL`,
+  'CREATE INDEX IF NOT EXISTS idx_blog_posts_search_vector ON blog_posts USING GIN (search_vector)'
+];
+
+// Private-use characters mark highlights so they survive HTML escaping
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_STOP = '\uE001';
+const SNIPPET_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MinWords=8, MaxWords=24, FragmentDelimiter=" … "`;
+const TITLE_HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, HighlightAll=true`;
+
+/**
+ * Turn a ts_headline result into safe HTML with <mark> highlights
+ * @param {string} text - Headline text containing highlight markers
+ */
+function formatSearchHighlight(text) {
+  if (!text) return '';
+  return text
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1') // Markdown links and images -> label
+    .replace(/[#*_`>~]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(new RegExp(HIGHLIGHT_START, 'g'), '<mark>')
+    .replace(new RegExp(HIGHLIGHT_STOP, 'g'), '</mark>');
+}
+
+// ============================================
+// CONTENT RENDERING (Markdown -> sanitized HTML, outline and length)
+// ============================================
+
+// Bump when the renderer or allowlist changes so cached HTML is rebuilt on next read
+const CONTENT_RENDERER_VERSION = 4;
+
+const CONTENT_HTML_SCHEMA = [
+  'ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS content_html TEXT',
+  'ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS content_html_version INTEGER',
+  'ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS word_count INTEGER',
+  'ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS reading_time INTEGER',
+  'ALTER TABLE blog_posts ADD COLUMN IF NOT EXISTS toc JSONB'
+];
+
+const WORDS_PER_MINUTE = parseInt(process.env.WORDS_PER_MINUTE) || 230;
+
+// Element ids used by post.html; a heading must not take one of them
+const RESERVED_HEADING_IDS = [
+  'post-content', 'post-title', 'post-meta', 'post-image', 'post-body', 'post-tags', 'post-toc', 'post-toc-list',
+  'preview-banner', 'comments-section', 'comments-container', 'comment-form', 'related-posts', 'related-posts-grid'
+];
+
+const CONTENT_SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote', 'pre', 'code',
+    'em', 'strong', 'del', 's', 'sup', 'sub', 'kbd', 'mark', 'a', 'img',
+    'ul', 'ol', 'li', 'input', 'table', 'thead', 'tbody', 'tr', 'th', 'td',
+    'figure', 'figcaption', 'details', 'summary', 'picture', 'source'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'srcset', 'sizes', 'alt', 'title', 'width', 'height', 'loading'],
+    source: ['type', 'srcset', 'sizes'],
+    // GFM task list checkboxes
+    input: ['type', 'checked', 'disabled'],
+    ol: ['start'],
+    th: ['align', 'colspan', 'rowspan'],
+    td: ['align', 'colspan', 'rowspan'],
+    h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id']
+  },
+  // Prism picks the highlighter from the language class
+  allowedClasses: {
+    code: ['language-*'],
+    pre: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  selfClosing: [...sanitizeHtml.defaults.selfClosing, 'source'],
+  transformTags: {
+    a: (tagName, attribs) => ({ tagName, attribs: secureLinkAttributes(attribs) }),
+    img: (tagName, attribs) => ({ tagName, attribs: { ...attribs, loading: 'lazy' } }),
+    input: (tagName, attribs) => ({ tagName, attribs: { ...attribs, disabled: '' } })
+  },
+  // Checkboxes are the only form control Markdown produces
+  exclusiveFilter: frame => frame.tag === 'input' && frame.attribs.type !== 'checkbox'
+};
+
+/**
+ * rel/target for a content link: off-site links open normally but get
+ * noopener/noreferrer, and any target="_blank" is always noopener
+ */
+function secureLinkAttributes(attribs) {
+  const result = { ...attribs };
+  const rel = new Set((attribs.rel || '').split(/\s+/).filter(Boolean));
+
+  let external = false;
+  try {
+    external = new URL(attribs.href || '', `${PUBLIC_SITE_URL}/`).origin !== new URL(PUBLIC_SITE_URL).origin;
+  } catch (error) {
+    // Unparseable hrefs are dropped by the scheme check
+  }
+
+  if (attribs.target && attribs.target !== '_blank') {
+    delete result.target;
+  }
+  if (external || result.target === '_blank') {
+    rel.add('noopener');
+    rel.add('noreferrer');
+  }
+
+  if (rel.size > 0) {
+    result.rel = [...rel].join(' ');
+  } else {
+    delete result.rel;
+  }
+  return result;
+}
+
+function decodeHtmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Nest a flat heading list by level: an h3 after an h2 becomes its child
+function buildHeadingTree(headings) {
+  const tree = [];
+  const stack = [];
+  for (const heading of headings) {
+    const node = { ...heading, children: [] };
+    while (stack.length > 0 && stack[stack.length - 1].level >= node.level) {
+      stack.pop();
+    }
+    (stack.length > 0 ? stack[stack.length - 1].children : tree).push(node);
+    stack.push(node);
+  }
+  return tree;
+}
+
+/**
+ * Render post Markdown to HTML that is safe to assign to innerHTML, giving every
+ * heading an anchor id, and measure the result.
+ * @param {string} markdown - Raw post content
+ * content_html_version is null when a new upload had to be linked on raw GitHub, so the
+ * HTML is rendered again on a later read once the Pages site has the image.
+ * @param {Map} images - Uploads by repo path (loadContentImages); processed ones get srcset
+ * @param {object} [options] - { imagesDeployed }: link uploads on the Pages site even if they are new
+ * @returns {{content_html: string, content_html_version: number|null, toc: Array, word_count: number, reading_time: number}}
+ */
+function renderPostContent(markdown, images = new Map(), options = {}) {
+  const headings = [];
+  const usedIds = new Set(RESERVED_HEADING_IDS);
+  let provisional = false;
+
+  const renderer = {
+    heading({ tokens, depth }) {
+      const inner = this.parser.parseInline(tokens);
+      const text = decodeHtmlEntities(inner.replace(/<[^>]+>/g, '')).trim();
+      // Same text, same anchor: ids only shift when an earlier duplicate heading is added
+      const base = slugify(text) || 'section';
+      let id = base;
+      for (let n = 1; usedIds.has(id); n++) {
+        id = `${base}-${n}`;
+      }
+      usedIds.add(id);
+      headings.push({ id, text, level: depth });
+      return `<h${depth} id="${id}">${inner}</h${depth}>\n`;
+    },
+    // Returning false keeps marked's plain <img> for images on other hosts
+    image({ href, title, text }) {
+      const path = repoImagePath(href);
+      if (!path) return false;
+      const asset = images.get(path);
+      const deployed = !!options.imagesDeployed || isImageDeployed(asset);
+      provisional = provisional || !deployed;
+      return PostTemplates.responsiveImage(resolveRepoImageUrl(path, deployed), responsiveImage(asset, { deployed }), {
+        alt: decodeHtmlEntities(text || ''),
+        title,
+        sizes: PostTemplates.IMAGE_SIZES.post
+      });
+    }
+  };
+
+  const html = sanitizeHtml(new Marked({ renderer }).parse(markdown || ''), CONTENT_SANITIZE_OPTIONS);
+  const words = decodeHtmlEntities(html.replace(/<[^>]+>/g, ' '))
+    .split(/\s+/)
+    .filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+
+  return {
+    content_html: html,
+    content_html_version: provisional ? null : CONTENT_RENDERER_VERSION,
+    toc: buildHeadingTree(headings),
+    word_count: words,
+    reading_time: Math.ceil(words / WORDS_PER_MINUTE)
+  };
+}
+
+/**
+ * Fill in content_html, toc, word_count and reading_time for rows saved before they
+ * existed or by an older renderer, and store them so the next read uses the columns.
+ * @param {Array<Object>} rows - blog_posts rows with id, content, content_html and content_html_version
+ * @param {object} [options] - renderPostContent options; HTML rendered with imagesDeployed is not stored
+ */
+async function withRenderedContent(rows, options = {}) {
+  const stale = rows.filter(row => row.content_html == null || row.content_html_version !== CONTENT_RENDERER_VERSION);
+  if (stale.length === 0) return rows;
+
+  await ensureSchema('content', CONTENT_HTML_SCHEMA);
+  for (const row of stale) {
+    Object.assign(row, renderPostContent(row.content, await loadContentImages(row.content), options));
+    if (options.imagesDeployed) continue;
+    try {
+      await dbQuery(
+        // Skip if the post was edited since it was read
+        `UPDATE blog_posts
+         SET content_html = $1, toc = $2, word_count = $3, reading_time = $4, content_html_version = $5
+         WHERE id = $6 AND content IS NOT DISTINCT FROM $7`,
+        [row.content_html, JSON.stringify(row.toc), row.word_count, row.reading_time, row.content_html_version, row.id, row.content]
+      );
+    } catch (error) {
+      // Serving the freshly rendered HTML matters more than caching it
+      secureErrorLog('[CONTENT] Could not store rendered HTML:', error.message);
+    }
+  }
+  return rows;
+}
+
+// ============================================
+// PAGINATION
+// ============================================
+
+// Cursors carry published_at as Postgres text so microseconds survive the round trip
+const CURSOR_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?([+-]\d{2}(:?\d{2})?|Z)?$/;
+const CURSOR_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Opaque keyset cursor pointing after a post row
+ * @param {Object} row - Last row of a page, with cursor_published_at and id
+ */
+function encodePostCursor(row) {
+  return Buffer.from(JSON.stringify({ p: row.cursor_published_at, i: row.id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodePostCursor
+ * @returns {{published_at: string|null, id: string}|null} null if malformed
+ */
+function decodePostCursor(cursor) {
+  try {
+    const { p, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!CURSOR_ID_PATTERN.test(i)) return null;
+    if (p !== null && !CURSOR_TIMESTAMP_PATTERN.test(p)) return null;
+    return { published_at: p, id: i };
+  } catch (error) {
+    return null;
+  }
+}
+
+// ============================================
+// MEDIA ROUTES
+// ============================================
+
+app.get('/api/media/:assetId', async (req, res) => {
+  try {
+    const { assetId } = req.params;
+    if (!assetId) {
+      return res.status(400).json({ error: 'Asset ID required' });
+    }
+    
+    const asset = await getMediaAsset(assetId);
+    if (!asset || !asset.data) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
 
     const imageBuffer = Buffer.isBuffer(asset.data) ? asset.data : Buffer.from(asset.data, 'binary');
     res.setHeader('Content-Type', asset.mime_type || 'application/octet-stream');
@@ -590,901 +2252,4943 @@ app.get('/api/media/:assetId', async (req, res) => {
     if (asset.filename) {
       res.setHeader('Content-Disposition', `inline; filename="${asset.filename}"`);
     }
-    res.send(imageBuffer);
+    res.send(imageBuffer);
+  } catch (error) {
+    secureErrorLog('[MEDIA ROUTE] Error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// AUTH ROUTES
+// ============================================
+
+// Register - DISABLED: Registration is disabled. Admins must be created directly in the database.
+app.post('/api/auth/register', (req, res) => {
+  res.status(403).json({ error: 'Registration is disabled. Contact an administrator.' });
+});
+
+// Login
+app.post('/api/auth/login', [
+  body('email').isEmail().normalizeEmail(),
+  body('password').notEmpty().isLength({ min: 1, max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      secureErrorLog('[LOGIN] Validation errors:', errors.array());
+      return res.status(400).json({ error: 'Invalid email or password' });
+    }
+
+    const { email, password } = req.body;
+    const normalizedEmail = email.toLowerCase().trim();
+    
+    secureLog('[LOGIN] Attempting login for:', normalizedEmail);
+
+    // Try to select with all possible columns, handle missing columns gracefully
+    // Try both exact match and case-insensitive match
+    let result = await dbQuery(
+      'SELECT id, email, password_hash, created_at, name, role FROM users WHERE LOWER(email) = LOWER($1)',
+      [normalizedEmail]
+    );
+    
+    if (result.rows.length === 0) {
+      // Try exact match as fallback
+      result = await dbQuery(
+        'SELECT id, email, password_hash, created_at, name, role FROM users WHERE email = $1',
+        [normalizedEmail]
+      );
+    }
+
+    if (result.rows.length === 0) {
+      secureErrorLog('[LOGIN] User not found:', email);
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const user = result.rows[0];
+    
+    if (!user.password_hash) {
+      secureErrorLog('[LOGIN] User found but password_hash is missing:', email);
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    secureLog('[LOGIN] User found:', {
+      id: user.id,
+      email: user.email,
+      has_password: !!user.password_hash
+    });
+    
+    secureLog('[LOGIN] Comparing password for:', normalizedEmail);
+    const validPassword = await bcrypt.compare(password, user.password_hash);
+    
+    secureLog('[LOGIN] Password comparison result:', validPassword);
+    
+    if (!validPassword) {
+      secureErrorLog('[LOGIN] Password mismatch for:', normalizedEmail);
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    secureLog('[LOGIN] Password valid, generating token for:', email);
+    const token = jwt.sign(
+      { id: user.id, email: user.email },
+      JWT_SECRET,
+      { expiresIn: '7d' }
+    );
+
+    res.json({
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name || null,
+        role: normalizeRole(user.role),
+        permissions: permissionsForRole(user.role),
+        created_at: user.created_at
+      },
+      access_token: token
+    });
+  } catch (error) {
+    secureErrorLog('[LOGIN] Error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Test endpoint to check if user exists (for debugging)
+// Usage: /api/auth/test-user?email=chriswdixon@gmail.com
+// Test endpoint - REMOVED for security
+// This endpoint exposed sensitive user information and internal structure
+// Use database tools directly for testing in development
+
+// Get current user
+app.get('/api/auth/user', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id, email, name, role, created_at FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = result.rows[0];
+    res.json({
+      user: {
+        ...user,
+        role: normalizeRole(user.role),
+        permissions: permissionsForRole(user.role)
+      }
+    });
+  } catch (error) {
+    secureErrorLog('Get user error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// RELATED POSTS
+// ============================================
+
+// Score = shared tags, same category, title overlap and freshness, weighted
+const RELATED_WEIGHTS = { tag: 3, category: 2, text: 4, recency: 1 };
+// A post this many days old gets half the recency score of a new one
+const RELATED_RECENCY_DAYS = 180;
+const RELATED_DEFAULT_LIMIT = 3;
+const RELATED_MAX_LIMIT = 12;
+// Saves and tag deletions purge 'posts', so related lists can stay cached longer than other listings
+const RELATED_CACHE_SECONDS = 3600;
+
+/**
+ * Published posts most related to the post with this slug, best first
+ * @param {string} slug - Source post slug
+ * @param {number} limit - Number of posts to return
+ * @returns {Array|null} - Post rows with related_score, or null if the source post isn't public
+ */
+async function loadRelatedPosts(slug, limit) {
+  await ensureSchema('search', SEARCH_SCHEMA);
+  await ensureSchema('authors', AUTHOR_SCHEMA);
+  await ensureSchema('trash', TRASH_SCHEMA);
+
+  const source = await dbQuery(
+    `SELECT bp.id FROM blog_posts bp WHERE bp.slug = $1 AND ${PUBLIC_POST_CONDITION}`,
+    [slug]
+  );
+  if (source.rows.length === 0) return null;
+
+  // The source title becomes an OR query, so any shared significant word counts
+  const result = await dbQuery(`
+    WITH source AS (
+      SELECT
+        bp.id,
+        bp.category_id,
+        websearch_to_tsquery('english', array_to_string(
+          regexp_split_to_array(trim(regexp_replace(bp.title, '[^[:alnum:]]+', ' ', 'g')), '\\s+'),
+          ' or '
+        )) as title_query
+      FROM blog_posts bp
+      WHERE bp.id = $1
+    ),
+    scored AS (
+      SELECT
+        bp.id,
+        (SELECT COUNT(*) FROM blog_post_tags st
+         JOIN blog_post_tags ct ON ct.tag_id = st.tag_id
+         WHERE st.post_id = s.id AND ct.post_id = bp.id) * $2::float8
+        + CASE WHEN bp.category_id = s.category_id THEN $3::float8 ELSE 0 END
+        + COALESCE(ts_rank(bp.search_vector, s.title_query, 32), 0) * $4::float8
+        + $5::float8 / (1 + EXTRACT(EPOCH FROM (NOW() - COALESCE(bp.published_at, bp.created_at)))::float8 / 86400 / $6::float8)
+        as related_score
+      FROM blog_posts bp
+      CROSS JOIN source s
+      WHERE bp.id <> s.id AND ${PUBLIC_POST_CONDITION}
+      ORDER BY related_score DESC, bp.published_at DESC NULLS LAST, bp.id DESC
+      LIMIT $7
+    )
+    SELECT
+      bp.*,
+      scored.related_score,
+      bc.name as category_name,
+      bc.slug as category_slug,
+      bc.color as category_color,
+      fia.id as featured_image_asset_id,
+      fia.mime_type as featured_image_asset_mime_type,
+      ${FEATURED_IMAGE_SELECT} as featured_image,
+      ${POST_AUTHORS_SELECT} as authors,
+      COALESCE(
+        json_agg(DISTINCT jsonb_build_object('id', bt.id, 'name', bt.name, 'slug', bt.slug)) FILTER (WHERE bt.id IS NOT NULL),
+        '[]'
+      ) as tags
+    FROM scored
+    JOIN blog_posts bp ON bp.id = scored.id
+    LEFT JOIN media_assets fia ON bp.featured_image_asset_id = fia.id
+    LEFT JOIN blog_categories bc ON bp.category_id = bc.id AND bc.deleted_at IS NULL
+    LEFT JOIN blog_post_tags bpt ON bp.id = bpt.post_id
+    LEFT JOIN blog_tags bt ON bpt.tag_id = bt.id
+    GROUP BY bp.id, scored.related_score, bc.id, fia.id, fia.mime_type
+    ORDER BY scored.related_score DESC, bp.published_at DESC NULLS LAST, bp.id DESC
+  `, [
+    source.rows[0].id,
+    RELATED_WEIGHTS.tag,
+    RELATED_WEIGHTS.category,
+    RELATED_WEIGHTS.text,
+    RELATED_WEIGHTS.recency,
+    RELATED_RECENCY_DAYS,
+    limit
+  ]);
+
+  return result.rows;
+}
+
+// ============================================
+// BLOG PUBLIC ROUTES
+// ============================================
+
+// Get single post by slug
+app.get('/api/blog/posts/:slug', async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { preview } = req.query;
+
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+    await ensureSchema('trash', TRASH_SCHEMA);
+
+    // A valid preview token unlocks its own post whatever the status
+    let previewToken = null;
+    if (preview) {
+      previewToken = await verifyPreviewToken(preview);
+      if (!previewToken) {
+        res.setHeader('Cache-Control', 'private, no-store');
+        return res.status(403).json({ error: 'This preview link is invalid, expired or has been revoked' });
+      }
+    }
+    
+    const result = await dbQuery(`
+      SELECT 
+        bp.*,
+        bc.name as category_name,
+        bc.slug as category_slug,
+        bc.color as category_color,
+        fia.id as featured_image_asset_id,
+        fia.mime_type as featured_image_asset_mime_type,
+        ${FEATURED_IMAGE_SELECT} as featured_image,
+        ${POST_AUTHORS_SELECT} as authors,
+        COALESCE(
+          json_agg(
+            DISTINCT jsonb_build_object(
+              'id', bt.id,
+              'name', bt.name,
+              'slug', bt.slug
+            )
+          ) FILTER (WHERE bt.id IS NOT NULL),
+          '[]'
+        ) as tags
+      FROM blog_posts bp
+      LEFT JOIN media_assets fia ON bp.featured_image_asset_id = fia.id
+      LEFT JOIN blog_categories bc ON bp.category_id = bc.id AND bc.deleted_at IS NULL
+      LEFT JOIN blog_post_tags bpt ON bp.id = bpt.post_id
+      LEFT JOIN blog_tags bt ON bpt.tag_id = bt.id
+      WHERE ${previewToken ? 'bp.id = $1 AND bp.deleted_at IS NULL' : `bp.slug = $1 AND ${PUBLIC_POST_CONDITION}`}
+      GROUP BY bp.id, bc.id, bc.name, bc.slug, bc.color, fia.id, fia.mime_type
+    `, [previewToken ? previewToken.post_id : slug]);
+
+    if (result.rows.length === 0) {
+      if (!previewToken) {
+        // Old slug: send the client to the post's current address
+        await ensureSchema('slugs', SLUG_HISTORY_SCHEMA);
+        const moved = await dbQuery(
+          `SELECT bp.slug FROM blog_post_slug_history sh
+           JOIN blog_posts bp ON bp.id = sh.post_id
+           WHERE sh.slug = $1 AND ${PUBLIC_POST_CONDITION}`,
+          [slug]
+        );
+        if (moved.rows.length > 0) {
+          const currentSlug = moved.rows[0].slug;
+          // Relative, so it resolves the same behind the /api redirect and the function path
+          const queryIndex = req.originalUrl.indexOf('?');
+          const location = encodeURIComponent(currentSlug) + (queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '');
+          setPublicCacheHeaders(res, ['posts', `post-${slug}`]);
+          return res.status(301).location(location).json({ redirect: true, slug: currentSlug, location });
+        }
+      }
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    await withRenderedContent(result.rows);
+
+    if (previewToken) {
+      // Previews must never be cached or indexed
+      res.setHeader('Cache-Control', 'private, no-store');
+      res.setHeader('X-Robots-Tag', 'noindex, nofollow');
+      return res.json({
+        ...transformBlogPost(result.rows[0]),
+        preview: true,
+        preview_expires_at: previewToken.expires_at
+      });
+    }
+
+    setPublicCacheHeaders(res, ['posts', `post-${slug}`]);
+    res.json(transformBlogPost(result.rows[0]));
+  } catch (error) {
+    secureErrorLog('Get post error:', error.message);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: isDevelopment ? error.message : 'Failed to fetch post'
+    });
+  }
+});
+
+// Posts to read next, scored against this one
+app.get('/api/blog/posts/:slug/related', async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || RELATED_DEFAULT_LIMIT, 1), RELATED_MAX_LIMIT);
+
+    const rows = await loadRelatedPosts(slug, limit);
+    if (!rows) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    await withRenderedContent(rows);
+
+    // Cards don't need the bodies
+    const posts = rows.map(row => {
+      const { content: _content, content_html: _contentHtml, toc: _toc, ...post } = transformBlogPost(row);
+      post.related_score = Number(row.related_score);
+      return post;
+    });
+
+    setPublicCacheHeaders(res, ['posts', 'tags', `post-${slug}`], RELATED_CACHE_SECONDS);
+    res.json(posts);
+  } catch (error) {
+    secureErrorLog('Get related posts error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get blog posts (public)
+app.get('/api/blog/posts', async (req, res) => {
+  try {
+    const {
+      featured,
+      category,
+      tag,
+      tag_mode = 'any',
+      year,
+      month,
+      search,
+      sort = search ? 'relevance' : 'newest',
+      page = 1,
+      limit = 6,
+      cursor
+    } = req.query;
+
+    // ?envelope=true returns { items, total, page, limit, has_more, next_cursor };
+    // without it the response stays a bare array for older clients
+    const envelope = req.query.envelope === 'true';
+    const pageSize = Math.min(Math.max(parseInt(limit) || 6, 1), 100);
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+    await ensureSchema('trash', TRASH_SCHEMA);
+
+    const params = [];
+    let paramCount = 1;
+
+    // websearch_to_tsquery understands "quoted phrases", -excluded terms and OR
+    let searchQuery = null;
+    if (search) {
+      await ensureSchema('search', SEARCH_SCHEMA);
+      searchQuery = `websearch_to_tsquery('english', $${paramCount})`;
+      params.push(search);
+      paramCount++;
+    }
+
+    let filters = '';
+
+    if (featured === 'true') {
+      filters += ` AND bp.featured = true`;
+    }
+
+    if (category && category !== 'all') {
+      filters += ` AND bc.slug = $${paramCount}`;
+      params.push(category);
+      paramCount++;
+    }
+
+    // tag=a,b (or repeated tag params); tag_mode=all requires every tag, any requires one
+    const tagSlugs = parseTagSlugs(tag);
+    if (tagSlugs.length > 0) {
+      if (tag_mode === 'all') {
+        filters += ` AND bp.id IN (
+          SELECT fbpt.post_id FROM blog_post_tags fbpt
+          JOIN blog_tags fbt ON fbpt.tag_id = fbt.id
+          WHERE fbt.slug = ANY($${paramCount})
+          GROUP BY fbpt.post_id
+          HAVING COUNT(DISTINCT fbt.slug) = $${paramCount + 1}
+        )`;
+        params.push(tagSlugs, tagSlugs.length);
+        paramCount += 2;
+      } else {
+        filters += ` AND EXISTS (
+          SELECT 1 FROM blog_post_tags fbpt
+          JOIN blog_tags fbt ON fbpt.tag_id = fbt.id
+          WHERE fbpt.post_id = bp.id AND fbt.slug = ANY($${paramCount})
+        )`;
+        params.push(tagSlugs);
+        paramCount++;
+      }
+    }
+
+    // year=2025 or year=2025&month=3, as a range so the published_at index applies
+    if (year !== undefined || month !== undefined) {
+      const yearNumber = Number(year);
+      const monthNumber = month !== undefined ? Number(month) : null;
+      if (!Number.isInteger(yearNumber) || yearNumber < 1000 || yearNumber > 9999) {
+        return res.status(400).json({ error: 'year must be a four-digit year' });
+      }
+      if (monthNumber !== null && (!Number.isInteger(monthNumber) || monthNumber < 1 || monthNumber > 12)) {
+        return res.status(400).json({ error: 'month must be between 1 and 12' });
+      }
+
+      const interval = monthNumber !== null ? '1 month' : '1 year';
+      filters += ` AND bp.published_at >= make_date($${paramCount}, $${paramCount + 1}, 1)
+        AND bp.published_at < make_date($${paramCount}, $${paramCount + 1}, 1) + INTERVAL '${interval}'`;
+      params.push(yearNumber, monthNumber || 1);
+      paramCount += 2;
+    }
+
+    if (searchQuery) {
+      filters += ` AND bp.search_vector @@ ${searchQuery}`;
+    }
+
+    // The total ignores the cursor, so snapshot the filter params here
+    const filterParams = [...params];
+
+    // Keyset cursors work for date ordering; popular and ranked search use pages
+    const dateDirection = sort === 'oldest' ? 'ASC'
+      : (sort === 'popular' || (sort === 'relevance' && searchQuery)) ? null
+      : 'DESC';
+
+    let cursorCondition = '';
+    if (envelope && cursor && dateDirection) {
+      const position = decodePostCursor(cursor);
+      if (!position) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+
+      // Undated posts sort last in both directions
+      const comparison = dateDirection === 'DESC' ? '<' : '>';
+      if (position.published_at === null) {
+        cursorCondition = ` AND bp.published_at IS NULL AND bp.id ${comparison} $${paramCount}`;
+        params.push(position.id);
+        paramCount++;
+      } else {
+        cursorCondition = ` AND (
+          bp.published_at ${comparison} $${paramCount}::timestamptz
+          OR (bp.published_at = $${paramCount}::timestamptz AND bp.id ${comparison} $${paramCount + 1})
+          OR bp.published_at IS NULL
+        )`;
+        params.push(position.published_at, position.id);
+        paramCount += 2;
+      }
+    }
+
+    let query = `
+      SELECT 
+        bp.*,${searchQuery ? `
+        ts_rank(bp.search_vector, ${searchQuery}) as search_rank,` : ''}${envelope ? `
+        bp.published_at::text as cursor_published_at,` : ''}
+        bc.name as category_name,
+        bc.slug as category_slug,
+        bc.color as category_color,
+        fia.id as featured_image_asset_id,
+        fia.mime_type as featured_image_asset_mime_type,
+        ${FEATURED_IMAGE_SELECT} as featured_image,
+        ${POST_AUTHORS_SELECT} as authors,
+        COALESCE(
+          json_agg(
+            DISTINCT jsonb_build_object(
+              'name', bt.name,
+              'slug', bt.slug
+            )
+          ) FILTER (WHERE bt.id IS NOT NULL),
+          '[]'
+        ) as tags
+      FROM blog_posts bp
+      LEFT JOIN media_assets fia ON bp.featured_image_asset_id = fia.id
+      LEFT JOIN blog_categories bc ON bp.category_id = bc.id AND bc.deleted_at IS NULL
+      LEFT JOIN blog_post_tags bpt ON bp.id = bpt.post_id
+      LEFT JOIN blog_tags bt ON bpt.tag_id = bt.id
+      WHERE ${PUBLIC_POST_CONDITION}${filters}${cursorCondition}
+    `;
+
+    query += ` GROUP BY bp.id, bc.id, bp.title, bp.slug, bp.excerpt, bp.content, bp.featured_image_url, bp.category_id, bp.status, bp.featured, bp.view_count, bp.published_at, bp.created_at, bp.updated_at, fia.id, fia.mime_type`;
+
+    // Ordering is repeated on the outer highlight query, so build it per table alias.
+    // bp.id breaks ties so pages and cursors never skip or repeat a post.
+    const orderBy = (alias) => {
+      switch (sort) {
+        case 'relevance':
+          if (searchQuery) return `search_rank DESC, ${alias}published_at DESC NULLS LAST, ${alias}id DESC`;
+          return `${alias}published_at DESC NULLS LAST, ${alias}id DESC`;
+        case 'oldest':
+          return `${alias}published_at ASC NULLS LAST, ${alias}id ASC`;
+        case 'popular':
+          return `${alias}view_count DESC, ${alias}id DESC`;
+        default:
+          return `${alias}published_at DESC NULLS LAST, ${alias}id DESC`;
+      }
+    };
+    query += ` ORDER BY ${orderBy('bp.')}`;
+
+    // Fetch one extra row in envelope mode to know whether another page exists
+    const offset = cursorCondition ? 0 : (pageNumber - 1) * pageSize;
+    query += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+    params.push(envelope ? pageSize + 1 : pageSize, offset);
+
+    // Highlight only the page of results, not every match
+    if (searchQuery) {
+      query = `
+        SELECT results.*,
+          ts_headline('english', results.title, ${searchQuery}, $${paramCount + 2}) as search_title,
+          ts_headline('english', COALESCE(results.excerpt, '') || ' ' || COALESCE(results.content, ''), ${searchQuery}, $${paramCount + 3}) as search_snippet
+        FROM (${query}) results
+        ORDER BY ${orderBy('results.')}
+      `;
+      params.push(TITLE_HEADLINE_OPTIONS, SNIPPET_HEADLINE_OPTIONS);
+    }
+
+    const result = await dbQuery(query, params);
+    const rows = result.rows.slice(0, pageSize);
+    // Cards show reading time, which older rows only get once rendered
+    await withRenderedContent(rows);
+    const items = rows.map(row => {
+      const { cursor_published_at: _cursorPublishedAt, ...post } = transformBlogPost(row);
+      if (searchQuery) {
+        post.search_title = formatSearchHighlight(row.search_title);
+        post.search_snippet = formatSearchHighlight(row.search_snippet);
+      }
+      return post;
+    });
+
+    setPublicCacheHeaders(res, ['posts']);
+
+    if (!envelope) {
+      return res.json(items);
+    }
+
+    const countResult = await dbQuery(
+      `SELECT COUNT(*)::int as total
+       FROM blog_posts bp
+       LEFT JOIN blog_categories bc ON bp.category_id = bc.id AND bc.deleted_at IS NULL
+       WHERE ${PUBLIC_POST_CONDITION}${filters}`,
+      filterParams
+    );
+
+    const hasMore = result.rows.length > pageSize;
+    res.json({
+      items,
+      total: countResult.rows[0].total,
+      page: cursorCondition ? null : pageNumber,
+      limit: pageSize,
+      has_more: hasMore,
+      next_cursor: hasMore && dateDirection ? encodePostCursor(rows[rows.length - 1]) : null
+    });
+  } catch (error) {
+    // Error logged above via secureErrorLog
+    const isDevelopment = process.env.NODE_ENV === 'development' || process.env.NETLIFY_DEV === 'true';
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: isDevelopment ? error.message : 'Failed to fetch posts. Please check database setup.',
+      code: error.code || 'UNKNOWN'
+    });
+  }
+});
+
+// Get categories
+app.get('/api/blog/categories', async (req, res) => {
+  try {
+    await ensureSchema('trash', TRASH_SCHEMA);
+    const result = await dbQuery('SELECT * FROM blog_categories WHERE deleted_at IS NULL ORDER BY name ASC');
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get categories error:', error);
+    const isDevelopment = process.env.NODE_ENV === 'development' || process.env.NETLIFY_DEV === 'true';
+    res.status(500).json({ 
+      error: 'Internal server error',
+      message: isDevelopment ? error.message : 'Failed to fetch categories. Please check database setup.',
+      code: error.code || 'UNKNOWN'
+    });
+  }
+});
+
+// Published post counts by year and month
+app.get('/api/blog/archive', async (req, res) => {
+  try {
+    await ensureSchema('trash', TRASH_SCHEMA);
+    const result = await dbQuery(`
+      SELECT
+        EXTRACT(YEAR FROM bp.published_at)::int as year,
+        EXTRACT(MONTH FROM bp.published_at)::int as month,
+        COUNT(*)::int as count
+      FROM blog_posts bp
+      WHERE ${PUBLIC_POST_CONDITION} AND bp.published_at IS NOT NULL
+      GROUP BY 1, 2
+      ORDER BY 1 DESC, 2 DESC
+    `);
+
+    // [{ year, count, months: [{ month, count }] }], newest first
+    const years = [];
+    for (const row of result.rows) {
+      let entry = years[years.length - 1];
+      if (!entry || entry.year !== row.year) {
+        entry = { year: row.year, count: 0, months: [] };
+        years.push(entry);
+      }
+      entry.count += row.count;
+      entry.months.push({ month: row.month, count: row.count });
+    }
+
+    setPublicCacheHeaders(res, ['posts']);
+    res.json(years);
+  } catch (error) {
+    secureErrorLog('Get archive error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get tags with published post counts (?used=true hides unused tags)
+app.get('/api/blog/tags', async (req, res) => {
+  try {
+    await ensureSchema('trash', TRASH_SCHEMA);
+    const result = await pool.query(`
+      SELECT bt.*, COUNT(bp.id)::int as post_count
+      FROM blog_tags bt
+      LEFT JOIN blog_post_tags bpt ON bpt.tag_id = bt.id
+      LEFT JOIN blog_posts bp ON bp.id = bpt.post_id AND ${PUBLIC_POST_CONDITION}
+      GROUP BY bt.id
+      ${req.query.used === 'true' ? 'HAVING COUNT(bp.id) > 0' : ''}
+      ORDER BY ${req.query.sort === 'popular' ? 'post_count DESC, bt.name ASC' : 'bt.name ASC'}
+    `);
+    setPublicCacheHeaders(res, ['posts', 'tags']);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single tag for its archive page
+app.get('/api/blog/tags/:slug', async (req, res) => {
+  try {
+    await ensureSchema('trash', TRASH_SCHEMA);
+    const result = await pool.query(`
+      SELECT bt.*, COUNT(bp.id)::int as post_count
+      FROM blog_tags bt
+      LEFT JOIN blog_post_tags bpt ON bpt.tag_id = bt.id
+      LEFT JOIN blog_posts bp ON bp.id = bpt.post_id AND ${PUBLIC_POST_CONDITION}
+      WHERE bt.slug = $1
+      GROUP BY bt.id
+    `, [req.params.slug]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    setPublicCacheHeaders(res, ['posts', 'tags']);
+    res.json(result.rows[0]);
+  } catch (error) {
+    console.error('Get tag error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get authors with at least one published post
+app.get('/api/blog/authors', async (req, res) => {
+  try {
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+    await ensureSchema('trash', TRASH_SCHEMA);
+
+    const result = await dbQuery(`
+      SELECT u.name, u.slug, u.bio, u.avatar_url, u.links, COUNT(DISTINCT bp.id)::int as post_count
+      FROM users u
+      JOIN blog_posts bp ON (
+        bp.author_id = u.id
+        OR EXISTS (SELECT 1 FROM blog_post_authors bpa WHERE bpa.post_id = bp.id AND bpa.user_id = u.id)
+      )
+      WHERE ${PUBLIC_POST_CONDITION}
+      GROUP BY u.id
+      ORDER BY post_count DESC, u.name ASC
+    `);
+
+    setPublicCacheHeaders(res, ['posts', 'authors']);
+    res.json(result.rows);
+  } catch (error) {
+    secureErrorLog('Get authors error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get an author's profile and published posts
+app.get('/api/blog/authors/:slug', async (req, res) => {
+  try {
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+    await ensureSchema('trash', TRASH_SCHEMA);
+
+    const authorResult = await dbQuery(
+      'SELECT id, name, slug, bio, avatar_url, links FROM users WHERE slug = $1',
+      [req.params.slug]
+    );
+
+    if (authorResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+
+    const author = authorResult.rows[0];
+
+    const postsResult = await dbQuery(`
+      SELECT 
+        bp.*,
+        bc.name as category_name,
+        bc.slug as category_slug,
+        bc.color as category_color,
+        fia.id as featured_image_asset_id,
+        fia.mime_type as featured_image_asset_mime_type,
+        ${FEATURED_IMAGE_SELECT} as featured_image,
+        ${POST_AUTHORS_SELECT} as authors,
+        COALESCE(
+          json_agg(
+            DISTINCT jsonb_build_object(
+              'name', bt.name,
+              'slug', bt.slug
+            )
+          ) FILTER (WHERE bt.id IS NOT NULL),
+          '[]'
+        ) as tags
+      FROM blog_posts bp
+      LEFT JOIN media_assets fia ON bp.featured_image_asset_id = fia.id
+      LEFT JOIN blog_categories bc ON bp.category_id = bc.id AND bc.deleted_at IS NULL
+      LEFT JOIN blog_post_tags bpt ON bp.id = bpt.post_id
+      LEFT JOIN blog_tags bt ON bpt.tag_id = bt.id
+      WHERE ${PUBLIC_POST_CONDITION}
+        AND (
+          bp.author_id = $1
+          OR EXISTS (SELECT 1 FROM blog_post_authors bpa WHERE bpa.post_id = bp.id AND bpa.user_id = $1)
+        )
+      GROUP BY bp.id, bc.id, fia.id, fia.mime_type
+      ORDER BY bp.published_at DESC NULLS LAST
+    `, [author.id]);
+
+    // Only people with published work have a public page
+    if (postsResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Author not found' });
+    }
+
+    await withRenderedContent(postsResult.rows);
+
+    setPublicCacheHeaders(res, ['posts', 'authors', `author-${author.slug}`]);
+    res.json({
+      author: {
+        name: author.name || 'Anonymous',
+        slug: author.slug,
+        bio: author.bio,
+        avatar_url: author.avatar_url,
+        links: author.links || {},
+        post_count: postsResult.rows.length
+      },
+      posts: postsResult.rows.map(transformBlogPost)
+    });
+  } catch (error) {
+    secureErrorLog('Get author error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Increment view count
+app.post('/api/blog/posts/:id/view', async (req, res) => {
+  try {
+    await pool.query(
+      'UPDATE blog_posts SET view_count = view_count + 1 WHERE id = $1',
+      [req.params.id]
+    );
+    res.json({ success: true });
+  } catch (error) {
+    secureErrorLog('Increment view error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get comments for a post
+app.get('/api/blog/posts/:postId/comments', async (req, res) => {
+  try {
+    const { postId } = req.params;
+    
+    // Helper function to check if string is a UUID
+    const isUUID = (str) => {
+      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+      return uuidRegex.test(str);
+    };
+    
+    await ensureSchema('trash', TRASH_SCHEMA);
+
+    // Resolve post ID - check if it's a UUID or a slug
+    let actualPostId = postId;
+    if (!isUUID(postId)) {
+      // It's a slug (possibly an old one), look up the post ID
+      actualPostId = await findPostIdBySlug(postId);
+      if (!actualPostId) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+    }
+    
+    const result = await pool.query(`
+      SELECT 
+        c.*,
+        u.name as user_name,
+        u.email as user_email
+      FROM comments c
+      JOIN blog_posts bp ON bp.id = c.post_id AND bp.deleted_at IS NULL
+      LEFT JOIN users u ON c.user_id = u.id
+      WHERE c.post_id = $1 AND c.status = 'approved' AND c.deleted_at IS NULL
+      ORDER BY c.created_at ASC
+    `, [actualPostId]);
+
+    // Build nested structure
+    const commentsMap = new Map();
+    const rootComments = [];
+
+    result.rows.forEach(comment => {
+      commentsMap.set(comment.id, { ...comment, replies: [] });
+    });
+
+    result.rows.forEach(comment => {
+      const commentObj = commentsMap.get(comment.id);
+      if (comment.parent_id) {
+        const parent = commentsMap.get(comment.parent_id);
+        if (parent) {
+          parent.replies.push(commentObj);
+        }
+      } else {
+        rootComments.push(commentObj);
+      }
+    });
+
+    res.json(rootComments);
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Post comment
+app.post('/api/blog/posts/:postId/comments', [
+  body('author_name').notEmpty().trim(),
+  body('author_email').optional().isEmail().normalizeEmail(),
+  body('content').notEmpty().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid input' });
+    }
+
+    const { postId } = req.params;
+    const { author_name, author_email, author_url, content, parent_id, user_id } = req.body;
+
+    // Helper function to check if string is a UUID
+    const isUUID = (str) => {
+      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+      return uuidRegex.test(str);
+    };
+    
+    await ensureSchema('trash', TRASH_SCHEMA);
+
+    // Resolve post ID - check if it's a UUID or a slug
+    let actualPostId = postId;
+    if (!isUUID(postId)) {
+      // It's a slug (possibly an old one), look up the post ID
+      actualPostId = await findPostIdBySlug(postId);
+      if (!actualPostId) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+    } else {
+      // It's a UUID, verify post exists
+      const postCheck = await pool.query('SELECT id FROM blog_posts WHERE id = $1 AND deleted_at IS NULL', [postId]);
+      if (postCheck.rows.length === 0) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+    }
+
+    const result = await pool.query(
+      `INSERT INTO comments (post_id, parent_id, author_name, author_email, author_url, content, status, user_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        actualPostId,
+        parent_id || null,
+        author_name,
+        author_email || null,
+        author_url || null,
+        content,
+        user_id ? 'approved' : 'pending', // Auto-approve authenticated users
+        user_id || null
+      ]
+    );
+
+    res.status(201).json(result.rows[0]);
+  } catch (error) {
+    secureErrorLog('Post comment error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Newsletter subscription
+app.post('/api/blog/newsletter', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid email' });
+    }
+
+    const { email } = req.body;
+
+    const existing = await pool.query(
+      'SELECT id FROM newsletter_subscribers WHERE email = $1',
+      [email]
+    );
+
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: 'Email already subscribed' });
+    }
+
+    await pool.query(
+      'INSERT INTO newsletter_subscribers (email, subscribed_at) VALUES ($1, NOW())',
+      [email]
+    );
+
+    res.json({ message: 'Successfully subscribed to newsletter' });
+  } catch (error) {
+    secureErrorLog('Newsletter subscription error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// FEEDS (RSS 2.0, Atom, JSON Feed)
+// ============================================
+
+const FEED_TITLE = process.env.SITE_TITLE || "Life's Quirks";
+const FEED_DESCRIPTION = process.env.SITE_DESCRIPTION || "Life's Quirks - Read the latest articles and posts";
+const FEED_LIMIT = parseInt(process.env.FEED_LIMIT) || 20;
+// 'full' puts the rendered post in each entry, 'excerpt' only the summary; ?content= overrides per request
+const FEED_CONTENT = process.env.FEED_CONTENT === 'excerpt' ? 'excerpt' : 'full';
+
+const FEED_FORMATS = {
+  'feed.xml': { type: 'application/rss+xml; charset=utf-8', render: renderRssFeed },
+  'atom.xml': { type: 'application/atom+xml; charset=utf-8', render: renderAtomFeed },
+  'feed.json': { type: 'application/feed+json; charset=utf-8', render: renderJsonFeed }
+};
+
+function escapeXml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Feed readers need absolute URLs; API paths live on the function host, the rest on the site
+function absoluteFeedUrl(url, apiBase) {
+  if (!url || /^https?:\/\//i.test(url)) return url || null;
+  return `${url.startsWith('/api/') ? apiBase : PUBLIC_SITE_URL}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+function guessImageType(url) {
+  const extension = (url.split('?')[0].split('.').pop() || '').toLowerCase();
+  return { png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml', avif: 'image/avif' }[extension] || 'image/jpeg';
+}
+
+/**
+ * Load published posts (and the category/tag they're scoped to) for a feed
+ * @param {string|null} scope - 'category', 'tag' or null for the whole blog
+ * @param {string|null} slug - Category or tag slug for scoped feeds
+ */
+async function loadFeedData(scope, slug) {
+  await ensureSchema('authors', AUTHOR_SCHEMA);
+  await ensureSchema('trash', TRASH_SCHEMA);
+  await ensureSchema('content', CONTENT_HTML_SCHEMA);
+
+  let scopeRow = null;
+  if (scope) {
+    const query = scope === 'category'
+      ? 'SELECT id, name, slug FROM blog_categories WHERE slug = $1 AND deleted_at IS NULL'
+      : 'SELECT id, name, slug FROM blog_tags WHERE slug = $1';
+    const result = await dbQuery(query, [slug]);
+    if (result.rows.length === 0) return null;
+    scopeRow = result.rows[0];
+  }
+
+  const params = [FEED_LIMIT];
+  let filter = '';
+  if (scope === 'category') {
+    filter = 'AND bp.category_id = $2';
+    params.push(scopeRow.id);
+  } else if (scope === 'tag') {
+    filter = 'AND EXISTS (SELECT 1 FROM blog_post_tags fbpt WHERE fbpt.post_id = bp.id AND fbpt.tag_id = $2)';
+    params.push(scopeRow.id);
+  }
+
+  const result = await dbQuery(`
+    SELECT
+      bp.id, bp.title, bp.slug, bp.excerpt, bp.content, bp.content_html, bp.content_html_version, bp.featured_image_url, bp.published_at,
+      GREATEST(bp.updated_at, bp.published_at) as updated_at,
+      bc.name as category_name,
+      fia.id as featured_image_asset_id,
+      fia.mime_type as featured_image_asset_mime_type,
+      ${POST_AUTHORS_SELECT} as authors,
+      COALESCE(
+        (SELECT array_agg(bt.name ORDER BY bt.name) FROM blog_post_tags bpt JOIN blog_tags bt ON bt.id = bpt.tag_id WHERE bpt.post_id = bp.id),
+        '{}'
+      ) as tag_names
+    FROM blog_posts bp
+    LEFT JOIN media_assets fia ON bp.featured_image_asset_id = fia.id
+    LEFT JOIN blog_categories bc ON bp.category_id = bc.id AND bc.deleted_at IS NULL
+    WHERE ${PUBLIC_POST_CONDITION} ${filter}
+    ORDER BY bp.published_at DESC NULLS LAST, bp.id DESC
+    LIMIT $1
+  `, params);
+
+  await withRenderedContent(result.rows);
+  return { scope: scopeRow, posts: result.rows.map(transformBlogPost) };
+}
+
+// Everything the three renderers need about one entry
+function buildFeedEntry(post, contentMode, apiBase) {
+  const imageUrl = absoluteFeedUrl(post.featured_image_url, apiBase);
+  return {
+    id: post.id,
+    url: buildPostUrl(post.slug),
+    title: post.title,
+    summary: post.excerpt || '',
+    html: contentMode === 'full' ? post.content_html : null,
+    published: new Date(post.published_at || post.updated_at),
+    updated: new Date(post.updated_at || post.published_at),
+    authors: (post.authors || []).map(author => ({
+      name: author.name,
+      url: author.slug ? `${PUBLIC_SITE_URL}/author.html?slug=${encodeURIComponent(author.slug)}` : null
+    })),
+    categories: [post.category_name, ...(post.tag_names || [])].filter(Boolean),
+    image: imageUrl ? { url: imageUrl, type: post.featured_image_asset_mime_type || guessImageType(imageUrl) } : null
+  };
+}
+
+function renderRssFeed(feed) {
+  const items = feed.entries.map(entry => `
+    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <guid isPermaLink="false">urn:uuid:${escapeXml(entry.id)}</guid>
+      <pubDate>${entry.published.toUTCString()}</pubDate>
+      ${entry.authors.map(author => `<dc:creator>${escapeXml(author.name)}</dc:creator>`).join('\n      ')}
+      ${entry.categories.map(category => `<category>${escapeXml(category)}</category>`).join('\n      ')}
+      <description>${escapeXml(entry.summary)}</description>
+      ${entry.html !== null ? `<content:encoded>${escapeXml(entry.html)}</content:encoded>` : ''}
+      ${entry.image ? `<enclosure url="${escapeXml(entry.image.url)}" type="${escapeXml(entry.image.type)}" length="0"/>` : ''}
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtomFeed(feed) {
+  const entries = feed.entries.map(entry => `
+  <entry>
+    <id>urn:uuid:${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>
+    ${entry.image ? `<link rel="enclosure" type="${escapeXml(entry.image.type)}" href="${escapeXml(entry.image.url)}"/>` : ''}
+    <published>${entry.published.toISOString()}</published>
+    <updated>${entry.updated.toISOString()}</updated>
+    ${entry.authors.map(author => `<author><name>${escapeXml(author.name)}</name>${author.url ? `<uri>${escapeXml(author.url)}</uri>` : ''}</author>`).join('\n    ')}
+    ${entry.categories.map(category => `<category term="${escapeXml(category)}"/>`).join('\n    ')}
+    <summary>${escapeXml(entry.summary)}</summary>
+    ${entry.html !== null ? `<content type="html">${escapeXml(entry.html)}</content>` : ''}
+  </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.selfUrl)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>
+  <updated>${feed.updated.toISOString()}</updated>${entries}
+</feed>
+`;
+}
+
+function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.selfUrl,
+    language: 'en',
+    items: feed.entries.map(entry => ({
+      id: entry.id,
+      url: entry.url,
+      title: entry.title,
+      ...(entry.html !== null ? { content_html: entry.html } : { content_text: entry.summary }),
+      summary: entry.summary || undefined,
+      image: entry.image ? entry.image.url : undefined,
+      date_published: entry.published.toISOString(),
+      date_modified: entry.updated.toISOString(),
+      authors: entry.authors.map(author => ({ name: author.name, url: author.url || undefined })),
+      tags: entry.categories
+    }))
+  }, null, 2);
+}
+
+// /api/feed.xml, /api/atom.xml, /api/feed.json and the same under /api/category/:slug/ and /api/tag/:slug/
+app.get(['/api/:format(feed.xml|atom.xml|feed.json)', '/api/:scope(category|tag)/:slug/:format(feed.xml|atom.xml|feed.json)'], async (req, res) => {
+  try {
+    const { format, scope = null, slug = null } = req.params;
+    const contentMode = ['full', 'excerpt'].includes(req.query.content) ? req.query.content : FEED_CONTENT;
+
+    const data = await loadFeedData(scope, slug);
+    if (!data) {
+      return res.status(404).json({ error: `${scope === 'tag' ? 'Tag' : 'Category'} not found` });
+    }
+
+    const apiBase = apiBaseUrl(req);
+    const feedPath = scope ? `/api/${scope}/${encodeURIComponent(slug)}/${format}` : `/api/${format}`;
+    const updated = data.posts.reduce(
+      (latest, post) => Math.max(latest, new Date(post.updated_at || post.published_at).getTime()),
+      0
+    );
+
+    // Validators come from what the feed would contain, so an unchanged feed is never re-rendered
+    const etag = `"${crypto.createHash('sha1')
+      .update(JSON.stringify([format, feedPath, contentMode, data.posts.map(post => [post.id, post.updated_at])]))
+      .digest('hex')}"`;
+    const lastModified = new Date(updated || Date.now());
+
+    setPublicCacheHeaders(res, ['posts', 'feeds']);
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', lastModified.toUTCString());
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const feed = {
+      title: data.scope ? `${FEED_TITLE} - ${data.scope.name}` : FEED_TITLE,
+      description: FEED_DESCRIPTION,
+      homeUrl: scope === 'tag' ? `${PUBLIC_SITE_URL}/tag.html?slug=${encodeURIComponent(data.scope.slug)}` : `${PUBLIC_SITE_URL}/`,
+      selfUrl: `${apiBase}${feedPath}`,
+      updated: lastModified,
+      entries: data.posts.map(post => buildFeedEntry(post, contentMode, apiBase))
+    };
+
+    res.type(FEED_FORMATS[format].type).send(FEED_FORMATS[format].render(feed));
+  } catch (error) {
+    secureErrorLog('Feed error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ============================================
+// SITEMAP & ROBOTS
+// ============================================
+
+// URLs per sitemap file; past this sitemap.xml becomes a sitemap index
+const SITEMAP_PAGE_SIZE = parseInt(process.env.SITEMAP_PAGE_SIZE) || 5000;
+
+function toW3CDate(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function renderUrlset(urls) {
+  const entries = urls.map(url => `
+  <url>
+    <loc>${escapeXml(url.loc)}</loc>${url.lastmod ? `
+    <lastmod>${toW3CDate(url.lastmod)}</lastmod>` : ''}
+  </url>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries}
+</urlset>
+`;
+}
+
+function renderSitemapIndex(sitemaps) {
+  const entries = sitemaps.map(sitemap => `
+  <sitemap>
+    <loc>${escapeXml(sitemap.loc)}</loc>${sitemap.lastmod ? `
+    <lastmod>${toW3CDate(sitemap.lastmod)}</lastmod>` : ''}
+  </sitemap>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${entries}
+</sitemapindex>
+`;
+}
+
+// Home, category, tag and author pages, each dated by its newest published post
+async function loadSitemapPageUrls() {
+  await ensureSchema('authors', AUTHOR_SCHEMA);
+  await ensureSchema('trash', TRASH_SCHEMA);
+
+  const [home, categories, tags, authors] = await Promise.all([
+    dbQuery(`SELECT MAX(bp.updated_at) as lastmod FROM blog_posts bp WHERE ${PUBLIC_POST_CONDITION}`),
+    dbQuery(`
+      SELECT bc.slug, MAX(bp.updated_at) as lastmod
+      FROM blog_categories bc
+      JOIN blog_posts bp ON bp.category_id = bc.id
+      WHERE ${PUBLIC_POST_CONDITION} AND bc.deleted_at IS NULL
+      GROUP BY bc.id ORDER BY bc.slug
+    `),
+    dbQuery(`
+      SELECT bt.slug, MAX(bp.updated_at) as lastmod
+      FROM blog_tags bt
+      JOIN blog_post_tags bpt ON bpt.tag_id = bt.id
+      JOIN blog_posts bp ON bp.id = bpt.post_id
+      WHERE ${PUBLIC_POST_CONDITION}
+      GROUP BY bt.id ORDER BY bt.slug
+    `),
+    dbQuery(`
+      SELECT u.slug, MAX(bp.updated_at) as lastmod
+      FROM users u
+      JOIN blog_posts bp ON (
+        bp.author_id = u.id
+        OR EXISTS (SELECT 1 FROM blog_post_authors bpa WHERE bpa.post_id = bp.id AND bpa.user_id = u.id)
+      )
+      WHERE ${PUBLIC_POST_CONDITION} AND u.slug IS NOT NULL
+      GROUP BY u.id ORDER BY u.slug
+    `)
+  ]);
+
+  return [
+    { loc: `${PUBLIC_SITE_URL}/`, lastmod: home.rows[0].lastmod },
+    { loc: `${PUBLIC_SITE_URL}/archive.html`, lastmod: home.rows[0].lastmod },
+    ...categories.rows.map(row => ({ loc: `${PUBLIC_SITE_URL}/index.html?category=${encodeURIComponent(row.slug)}`, lastmod: row.lastmod })),
+    ...tags.rows.map(row => ({ loc: `${PUBLIC_SITE_URL}/tag.html?slug=${encodeURIComponent(row.slug)}`, lastmod: row.lastmod })),
+    ...authors.rows.map(row => ({ loc: `${PUBLIC_SITE_URL}/author.html?slug=${encodeURIComponent(row.slug)}`, lastmod: row.lastmod }))
+  ];
+}
+
+/**
+ * One page of published post URLs, oldest first so pages stay stable as posts are added
+ * @param {number} page - 1-based sitemap page
+ */
+async function loadSitemapPostUrls(page) {
+  await ensureSchema('trash', TRASH_SCHEMA);
+  const result = await dbQuery(`
+    SELECT bp.slug, bp.updated_at
+    FROM blog_posts bp
+    WHERE ${PUBLIC_POST_CONDITION}
+    ORDER BY bp.published_at ASC NULLS LAST, bp.id ASC
+    LIMIT $1 OFFSET $2
+  `, [SITEMAP_PAGE_SIZE, (page - 1) * SITEMAP_PAGE_SIZE]);
+  return result.rows.map(row => ({ loc: buildPostUrl(row.slug), lastmod: row.updated_at }));
+}
+
+/**
+ * Sitemap files for the root of the Pages site: sitemap.xml, or once pages + posts
+ * outgrow one file a sitemap index over sitemap-pages.xml and sitemap-posts-N.xml.
+ * Search engines only take URLs on the sitemap's own host, so these are published
+ * with the static mirror rather than served from this API.
+ * @returns {Array<{path: string, content: string}>}
+ */
+async function buildSitemapFiles() {
+  const pageUrls = await loadSitemapPageUrls();
+  const stats = await dbQuery(`
+    SELECT COUNT(*)::int as total, MAX(bp.updated_at) as lastmod
+    FROM blog_posts bp WHERE ${PUBLIC_POST_CONDITION}
+  `);
+  const { total, lastmod } = stats.rows[0];
+
+  if (pageUrls.length + total <= SITEMAP_PAGE_SIZE) {
+    return [{ path: 'sitemap.xml', content: renderUrlset([...pageUrls, ...(await loadSitemapPostUrls(1))]) }];
+  }
+
+  const parts = [{ path: 'sitemap-pages.xml', content: renderUrlset(pageUrls) }];
+  for (let page = 1; page <= Math.ceil(total / SITEMAP_PAGE_SIZE); page++) {
+    parts.push({ path: `sitemap-posts-${page}.xml`, content: renderUrlset(await loadSitemapPostUrls(page)) });
+  }
+  const index = renderSitemapIndex(parts.map(part => ({ loc: `${PUBLIC_SITE_URL}/${part.path}`, lastmod })));
+  return [{ path: 'sitemap.xml', content: index }, ...parts];
+}
+
+// The sitemap lives on the Pages site (see buildSitemapFiles); this host only points there.
+// The root path is served through the netlify.toml rewrites, which keep the original path.
+app.get(['/api/sitemap.xml', '/sitemap.xml'], (req, res) => {
+  res.redirect(301, `${PUBLIC_SITE_URL}/sitemap.xml`);
+});
+
+// Covers this host only. A project Pages site has no robots.txt of its own, so the
+// admin pages there carry a noindex meta tag instead.
+app.get(['/api/robots.txt', '/robots.txt'], (req, res) => {
+  setPublicCacheHeaders(res, ['sitemap']);
+  res.type('text/plain').send([
+    'User-agent: *',
+    'Disallow: /admin/',
+    'Disallow: /api/admin/',
+    // Draft preview links must never be indexed
+    'Disallow: /*?*preview=',
+    '',
+    `Sitemap: ${PUBLIC_SITE_URL}/sitemap.xml`,
+    ''
+  ].join('\n'));
+});
+
+// ============================================
+// POST SHARE PAGES (server-rendered metadata)
+// ============================================
+
+// Page templates (post.html, tag.html) are bundled with the function (netlify.toml
+// included_files); the live site copy is the fallback when the file isn't on disk
+const pageTemplatePromises = new Map();
+
+function loadPageTemplate(fileName) {
+  if (!pageTemplatePromises.has(fileName)) {
+    const promise = (async () => {
+      for (const candidate of [path.join(__dirname, '..', '..', fileName), path.join(process.cwd(), fileName)]) {
+        try {
+          return await fs.promises.readFile(candidate, 'utf8');
+        } catch (error) {
+          // Try the next location
+        }
+      }
+      const response = await fetch(`${PUBLIC_SITE_URL}/${fileName}`);
+      if (!response.ok) {
+        throw new Error(`Could not load ${fileName} template (${response.status})`);
+      }
+      return response.text();
+    })().catch(error => {
+      pageTemplatePromises.delete(fileName);
+      throw error;
+    });
+    pageTemplatePromises.set(fileName, promise);
+  }
+  return pageTemplatePromises.get(fileName);
+}
+
+// Plain-text description from the excerpt, or the start of the Markdown body
+function describePost(post) {
+  const text = (post.excerpt || post.content || '')
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/[#*_`>~|]+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text.length > 200 ? `${text.slice(0, 197).replace(/\s+\S*$/, '')}...` : text;
+}
+
+/**
+ * Inject title, description, canonical, Open Graph, Twitter Card and JSON-LD into post.html
+ * @param {string} template - post.html source
+ * @param {Object} post - Published post row (transformBlogPost output)
+ * @param {string} apiBase - Absolute API base for share and media URLs
+ */
+function renderPostShareHtml(template, post, apiBase) {
+  const title = `${post.title} - Life's Quirks`;
+  const description = describePost(post);
+  const canonicalUrl = buildPostUrl(post.slug);
+  const shareUrl = buildShareUrl(post.slug);
+  const imageUrl = absoluteFeedUrl(post.featured_image_url, apiBase);
+  const publishedAt = toW3CDate(post.published_at);
+  const modifiedAt = toW3CDate(post.updated_at || post.published_at);
+  const authors = post.authors || [];
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: post.title,
+    description,
+    url: canonicalUrl,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': canonicalUrl },
+    ...(imageUrl ? { image: [imageUrl] } : {}),
+    ...(publishedAt ? { datePublished: publishedAt } : {}),
+    ...(modifiedAt ? { dateModified: modifiedAt } : {}),
+    author: authors.map(author => ({
+      '@type': 'Person',
+      name: author.name,
+      ...(author.slug ? { url: `${PUBLIC_SITE_URL}/author.html?slug=${encodeURIComponent(author.slug)}` } : {})
+    })),
+    ...(post.word_count ? { wordCount: post.word_count } : {}),
+    ...(post.category_name ? { articleSection: post.category_name } : {}),
+    ...(post.tags && post.tags.length > 0 ? { keywords: post.tags.map(tag => tag.name).join(', ') } : {}),
+    publisher: { '@type': 'Organization', name: "Life's Quirks", url: `${PUBLIC_SITE_URL}/` }
+  };
+
+  const meta = [
+    `<link rel="canonical" href="${escapeXml(canonicalUrl)}">`,
+    `<meta property="og:type" content="article">`,
+    `<meta property="og:site_name" content="Life's Quirks">`,
+    `<meta property="og:title" content="${escapeXml(post.title)}">`,
+    `<meta property="og:description" content="${escapeXml(description)}">`,
+    `<meta property="og:url" content="${escapeXml(shareUrl)}">`,
+    ...(imageUrl ? [
+      `<meta property="og:image" content="${escapeXml(imageUrl)}">`,
+      `<meta property="og:image:alt" content="${escapeXml(post.title)}">`
+    ] : []),
+    ...(publishedAt ? [`<meta property="article:published_time" content="${publishedAt}">`] : []),
+    ...(modifiedAt ? [`<meta property="article:modified_time" content="${modifiedAt}">`] : []),
+    ...authors.map(author => `<meta property="article:author" content="${escapeXml(author.name)}">`),
+    ...(post.category_name ? [`<meta property="article:section" content="${escapeXml(post.category_name)}">`] : []),
+    ...(post.tags || []).map(tag => `<meta property="article:tag" content="${escapeXml(tag.name)}">`),
+    `<meta name="twitter:card" content="${imageUrl ? 'summary_large_image' : 'summary'}">`,
+    `<meta name="twitter:title" content="${escapeXml(post.title)}">`,
+    `<meta name="twitter:description" content="${escapeXml(description)}">`,
+    ...(imageUrl ? [`<meta name="twitter:image" content="${escapeXml(imageUrl)}">`] : []),
+    // </script> inside a string must not end the JSON-LD block
+    `<script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script>`,
+    // The page script reads the slug from here since this URL has no ?slug=
+    `<script>window.POST_SLUG = ${JSON.stringify(post.slug).replace(/</g, '\\u003c')};</script>`
+  ].map(tag => `    ${tag}`).join('\n');
+
+  return template
+    // Relative asset and page links keep pointing at the static site; must precede any URL in <head>
+    .replace(/<meta charset="[^"]*">/, match => `${match}\n    <base href="${escapeXml(PUBLIC_SITE_URL)}/">`)
+    .replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeXml(title)}</title>`)
+    .replace(/<meta name="description"[^>]*>/, `<meta name="description" content="${escapeXml(description)}">`)
+    .replace('</head>', `${meta}\n</head>`);
+}
+
+// Crawler-friendly post page; the share URL used for LinkedIn and other cross-posts
+app.get('/api/share/:slug', async (req, res) => {
+  try {
+    const { slug } = req.params;
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+    await ensureSchema('trash', TRASH_SCHEMA);
+
+    const result = await dbQuery(`
+      SELECT
+        bp.*,
+        bc.name as category_name,
+        fia.id as featured_image_asset_id,
+        fia.mime_type as featured_image_asset_mime_type,
+        ${FEATURED_IMAGE_SELECT} as featured_image,
+        ${POST_AUTHORS_SELECT} as authors,
+        COALESCE(
+          json_agg(DISTINCT jsonb_build_object('name', bt.name, 'slug', bt.slug)) FILTER (WHERE bt.id IS NOT NULL),
+          '[]'
+        ) as tags
+      FROM blog_posts bp
+      LEFT JOIN media_assets fia ON bp.featured_image_asset_id = fia.id
+      LEFT JOIN blog_categories bc ON bp.category_id = bc.id AND bc.deleted_at IS NULL
+      LEFT JOIN blog_post_tags bpt ON bp.id = bpt.post_id
+      LEFT JOIN blog_tags bt ON bpt.tag_id = bt.id
+      WHERE bp.slug = $1 AND ${PUBLIC_POST_CONDITION}
+      GROUP BY bp.id, bc.id, fia.id, fia.mime_type
+    `, [slug]);
+
+    if (result.rows.length === 0) {
+      await ensureSchema('slugs', SLUG_HISTORY_SCHEMA);
+      const moved = await dbQuery(
+        `SELECT bp.slug FROM blog_post_slug_history sh
+         JOIN blog_posts bp ON bp.id = sh.post_id
+         WHERE sh.slug = $1 AND ${PUBLIC_POST_CONDITION}`,
+        [slug]
+      );
+      if (moved.rows.length > 0) {
+        return res.redirect(301, buildShareUrl(moved.rows[0].slug));
+      }
+      return res.redirect(302, `${PUBLIC_SITE_URL}/`);
+    }
+
+    const template = await loadPageTemplate('post.html');
+    const html = renderPostShareHtml(template, transformBlogPost(result.rows[0]), apiBaseUrl(req));
+
+    setPublicCacheHeaders(res, ['posts', `post-${slug}`]);
+    res.type('html').send(html);
+  } catch (error) {
+    secureErrorLog('Share page error:', error.message);
+    // Fall back to the client-rendered page rather than an error for readers
+    res.redirect(302, buildPostUrl(req.params.slug));
+  }
+});
+
+// ============================================
+// STATIC EXPORT (pre-rendered mirror for GitHub Pages)
+// ============================================
+
+// Everything is written under static/ so the mirror never overwrites the live pages.
+// Pages keep a <base> pointing at the site root, so links are root-relative paths.
+const STATIC_EXPORT_DIR = 'static';
+
+const STATIC_LINKS = {
+  post: post => `${STATIC_EXPORT_DIR}/posts/${encodeURIComponent(post.slug)}.html`,
+  tag: tag => `${STATIC_EXPORT_DIR}/tag/${encodeURIComponent(tag.slug)}.html`,
+  // Author pages are not mirrored
+  author: PostTemplates.defaultLinks.author
+};
+
+function staticPostPath(slug) {
+  return `${STATIC_EXPORT_DIR}/posts/${slug}.html`;
+}
+
+// Slugs become file names in the mirror, so anything slugify would not produce is refused
+const STATIC_SLUG_PATTERN = /^[a-z0-9-]+$/;
+
+// Category and tag slugs of the post aliased bp, taken before a change so the
+// archives it drops out of (unpublished, trashed, recategorised, untagged) are re-rendered
+const POST_ARCHIVE_SLUGS_SELECT = `
+  (SELECT slug FROM blog_categories WHERE id = bp.category_id) as archive_category_slug,
+  ARRAY(
+    SELECT bt.slug FROM blog_post_tags bpt JOIN blog_tags bt ON bpt.tag_id = bt.id WHERE bpt.post_id = bp.id
+  ) as archive_tag_slugs`;
+
+// { categorySlugs, tagSlugs } for refreshStaticMirror from rows with POST_ARCHIVE_SLUGS_SELECT
+function staticArchivesOf(rows) {
+  return {
+    categorySlugs: [...new Set(rows.map(row => row.archive_category_slug).filter(Boolean))],
+    tagSlugs: [...new Set(rows.flatMap(row => row.archive_tag_slugs || []))]
+  };
+}
+
+// Every public post with what the templates need, newest first
+async function loadStaticExportPosts() {
+  await ensureSchema('authors', AUTHOR_SCHEMA);
+  await ensureSchema('trash', TRASH_SCHEMA);
+
+  const result = await dbQuery(`
+    SELECT
+      bp.*,
+      bc.name as category_name,
+      bc.slug as category_slug,
+      bc.color as category_color,
+      ${FEATURED_IMAGE_SELECT} as featured_image,
+      ${POST_AUTHORS_SELECT} as authors,
+      COALESCE(
+        json_agg(DISTINCT jsonb_build_object('name', bt.name, 'slug', bt.slug)) FILTER (WHERE bt.id IS NOT NULL),
+        '[]'
+      ) as tags
+    FROM blog_posts bp
+    LEFT JOIN blog_categories bc ON bp.category_id = bc.id AND bc.deleted_at IS NULL
+    LEFT JOIN blog_post_tags bpt ON bp.id = bpt.post_id
+    LEFT JOIN blog_tags bt ON bpt.tag_id = bt.id
+    WHERE ${PUBLIC_POST_CONDITION}
+    GROUP BY bp.id, bc.id
+    ORDER BY bp.published_at DESC NULLS LAST, bp.id DESC
+  `);
+
+  // The mirror goes live in the same Pages build as any upload committed before it
+  await withRenderedContent(result.rows, { imagesDeployed: true });
+  return result.rows.map(row => transformBlogPost(row, { imagesDeployed: true }));
+}
+
+// Replace the contents of the element with the given id (no nested elements of the same tag)
+function fillElement(html, id, content) {
+  const pattern = new RegExp(`(<(\\w+)[^>]*\\sid="${id}"[^>]*>)[\\s\\S]*?(</\\2>)`);
+  return html.replace(pattern, (match, open, tag, close) => `${open}${content}${close}`);
+}
+
+// Marks the page as pre-rendered so its script keeps the content if the API is unreachable
+function markStaticExport(html) {
+  return html.replace('</head>', `    <script>window.STATIC_EXPORT = true;</script>\n</head>`);
+}
+
+/**
+ * post.html with share metadata and the post itself rendered in
+ * @param {string} template - post.html source
+ * @param {Object} post - Public post (transformBlogPost output)
+ */
+function renderStaticPost(template, post) {
+  let html = markStaticExport(renderPostShareHtml(template, post, PUBLIC_API_URL));
+
+  html = fillElement(html, 'post-title', escapeXml(post.title));
+  html = fillElement(html, 'post-meta', PostTemplates.postMeta(post, STATIC_LINKS));
+  html = fillElement(html, 'post-body', post.content_html);
+  html = fillElement(html, 'post-tags', PostTemplates.tagChips(post.tags, STATIC_LINKS));
+
+  if (PostTemplates.hasToc(post)) {
+    html = fillElement(html, 'post-toc-list', PostTemplates.toc(post.toc))
+      .replace(/(<nav[^>]*\sid="post-toc"[^>]*?)\s+hidden>/, '$1>')
+      .replace('class="post-detail-layout"', 'class="post-detail-layout has-toc"');
+  }
+
+  const imageUrl = absoluteFeedUrl(post.featured_image_url, PUBLIC_API_URL);
+  if (imageUrl) {
+    html = html.replace(/<img id="post-image"[^>]*>/, () => PostTemplates.responsiveImage(imageUrl, post.featured_image, {
+      alt: post.title,
+      id: 'post-image',
+      className: 'post-detail-image',
+      loading: null
+    }));
+  }
+
+  return html;
+}
+
+/**
+ * tag.html filled with a list of post cards; used for the home page, categories and tags
+ * @param {string} template - tag.html source
+ * @param {Object} page - { title, description, canonicalUrl, posts }
+ */
+function renderStaticArchive(template, { title, description, canonicalUrl, posts }) {
+  let html = template
+    .replace(/<meta charset="[^"]*">/, match => `${match}\n    <base href="${escapeXml(PUBLIC_SITE_URL)}/">`)
+    .replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeXml(title)} - Life's Quirks</title>`)
+    .replace(/<meta name="description"[^>]*>/, `<meta name="description" content="${escapeXml(description)}">`)
+    .replace('</head>', `    <link rel="canonical" href="${escapeXml(canonicalUrl)}">\n</head>`);
+  html = markStaticExport(html);
+
+  html = fillElement(html, 'tag-title', escapeXml(title));
+  html = fillElement(html, 'tag-count', `${posts.length} post${posts.length === 1 ? '' : 's'}`);
+  html = fillElement(html, 'tag-posts', posts.map(post => PostTemplates.postCard(post, STATIC_LINKS)).join('\n'));
+
+  return html;
+}
+
+/**
+ * Render published posts, their archives and the home page to static HTML, and
+ * regenerate the sitemap. By default everything goes to GitHub in a single commit.
+ * @param {Object} options
+ * @param {Array<string>} [options.postIds] - Only re-render these posts (and the archives they appear in); all when omitted
+ * @param {Array<string>} [options.removedSlugs] - Post pages to delete from the mirror
+ * @param {Array<string>} [options.categorySlugs] - Category archives to re-render as well, e.g. ones a post just left
+ * @param {Array<string>} [options.tagSlugs] - Tag archives to re-render as well
+ * @param {Function} [options.writeFile] - (path, html) => Promise; writes each page with this instead of committing
+ * @param {Function} [options.deleteFile] - (path) => Promise; removes pages when writeFile is given
+ * @returns {Object} - { written, unchanged, deleted, failed }
+ */
+async function exportStaticSite(options = {}) {
+  const [allPosts, postTemplate, archiveTemplate] = await Promise.all([
+    loadStaticExportPosts(),
+    loadPageTemplate('post.html'),
+    loadPageTemplate('tag.html')
+  ]);
+
+  // Saved before slugs were checked; they stay out of the mirror until renamed
+  const refused = [];
+  const exportable = (slug, label) => {
+    if (STATIC_SLUG_PATTERN.test(slug)) return true;
+    secureErrorLog(`[STATIC] Skipping ${label} with unusable slug:`, slug);
+    refused.push(`${label}:${slug}`);
+    return false;
+  };
+  const posts = allPosts.filter(post => exportable(post.slug, 'post'));
+
+  const selected = options.postIds
+    ? posts.filter(post => options.postIds.includes(post.id))
+    : posts;
+
+  // Only archives that list one of the selected posts, or listed a changed post before, need to change
+  const categorySlugs = new Set([
+    ...selected.map(post => post.category_slug).filter(Boolean),
+    ...(options.categorySlugs || [])
+  ].filter(slug => exportable(slug, 'category')));
+  const tagSlugs = new Set([
+    ...selected.flatMap(post => (post.tags || []).map(tag => tag.slug)),
+    ...(options.tagSlugs || [])
+  ].filter(slug => exportable(slug, 'tag')));
+  // Archives left with no public posts are removed rather than rendered empty
+  const emptyArchives = [];
+
+  const pages = [{
+    path: `${STATIC_EXPORT_DIR}/index.html`,
+    render: () => renderStaticArchive(archiveTemplate, {
+      title: "Life's Quirks",
+      description: FEED_DESCRIPTION,
+      canonicalUrl: `${PUBLIC_SITE_URL}/`,
+      posts: posts.slice(0, FEED_LIMIT)
+    })
+  }];
+
+  for (const post of selected) {
+    pages.push({ path: staticPostPath(post.slug), render: () => renderStaticPost(postTemplate, post) });
+  }
+
+  for (const slug of categorySlugs) {
+    const categoryPosts = posts.filter(post => post.category_slug === slug);
+    if (categoryPosts.length === 0) {
+      emptyArchives.push(`${STATIC_EXPORT_DIR}/category/${slug}.html`);
+      continue;
+    }
+    pages.push({
+      path: `${STATIC_EXPORT_DIR}/category/${slug}.html`,
+      render: () => renderStaticArchive(archiveTemplate, {
+        title: categoryPosts[0].category_name,
+        description: `Posts in ${categoryPosts[0].category_name}`,
+        canonicalUrl: `${PUBLIC_SITE_URL}/index.html?category=${encodeURIComponent(slug)}`,
+        posts: categoryPosts
+      })
+    });
+  }
+
+  for (const slug of tagSlugs) {
+    const tagPosts = posts.filter(post => (post.tags || []).some(tag => tag.slug === slug));
+    if (tagPosts.length === 0) {
+      emptyArchives.push(`${STATIC_EXPORT_DIR}/tag/${slug}.html`);
+      continue;
+    }
+    const tag = tagPosts[0].tags.find(t => t.slug === slug);
+    pages.push({
+      path: `${STATIC_EXPORT_DIR}/tag/${slug}.html`,
+      render: () => renderStaticArchive(archiveTemplate, {
+        title: `#${tag.name}`,
+        description: `Posts tagged ${tag.name}`,
+        canonicalUrl: `${PUBLIC_SITE_URL}/tag.html?slug=${encodeURIComponent(slug)}`,
+        posts: tagPosts
+      })
+    });
+  }
+
+  const summary = { written: [], unchanged: [], deleted: [], failed: [...refused] };
+
+  const files = [];
+  for (const page of pages) {
+    try {
+      files.push({ path: page.path, content: page.render() });
+    } catch (error) {
+      secureErrorLog(`[STATIC] Failed to render ${page.path}:`, error.message);
+      summary.failed.push(page.path);
+    }
+  }
+  try {
+    files.push(...await buildSitemapFiles());
+  } catch (error) {
+    secureErrorLog('[STATIC] Failed to build the sitemap:', error.message);
+    summary.failed.push('sitemap.xml');
+  }
+  const removals = [
+    ...(options.removedSlugs || []).filter(slug => STATIC_SLUG_PATTERN.test(slug)).map(staticPostPath),
+    ...emptyArchives
+  ];
+
+  if (options.writeFile) {
+    for (const file of files) {
+      try {
+        const result = await options.writeFile(file.path, file.content);
+        summary[result && result.unchanged ? 'unchanged' : 'written'].push(file.path);
+      } catch (error) {
+        secureErrorLog(`[STATIC] Failed to write ${file.path}:`, error.message);
+        summary.failed.push(file.path);
+      }
+    }
+    for (const filePath of options.deleteFile ? removals : []) {
+      try {
+        const result = await options.deleteFile(filePath);
+        if (!result || result.deleted !== false) summary.deleted.push(filePath);
+      } catch (error) {
+        secureErrorLog(`[STATIC] Failed to delete ${filePath}:`, error.message);
+        summary.failed.push(filePath);
+      }
+    }
+  } else if (files.length > 0 || removals.length > 0) {
+    try {
+      const result = await commitFilesToGitHub(
+        [...files, ...removals.map(filePath => ({ path: filePath, content: null }))],
+        `Update static mirror (${files.length} page(s)${removals.length > 0 ? `, ${removals.length} removed` : ''})`
+      );
+      summary[result.unchanged ? 'unchanged' : 'written'].push(...files.map(file => file.path));
+      summary.deleted.push(...removals.filter(filePath => result.paths.includes(filePath)));
+    } catch (error) {
+      secureErrorLog('[STATIC] Commit failed:', error.message);
+      summary.failed.push(...files.map(file => file.path), ...removals);
+    }
+  }
+
+  secureLog(`[STATIC] Export: ${summary.written.length} written, ${summary.unchanged.length} unchanged, ${summary.deleted.length} deleted, ${summary.failed.length} failed`);
+  return summary;
+}
+
+/**
+ * Hand a static export to the static-export-background function, which may run
+ * for up to 15 minutes. The job is signed so only this API can queue one.
+ * @param {Object} job - exportStaticSite options: { postIds, removedSlugs, categorySlugs, tagSlugs }; everything when empty
+ */
+async function queueStaticExport(job) {
+  const token = jwt.sign({ type: 'static-export', ...job }, JWT_SECRET, { expiresIn: '10m' });
+  const response = await fetch(`${PUBLIC_API_URL}/.netlify/functions/static-export-background`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ token }),
+    signal: AbortSignal.timeout(5000)
+  });
+  if (!response.ok) {
+    throw new Error(`Background function returned ${response.status}`);
+  }
+}
+
+/**
+ * Run an export queued by queueStaticExport
+ * @param {string} token - Signed job
+ * @returns {Object} - exportStaticSite summary
+ */
+async function runStaticExportJob(token) {
+  const job = jwt.verify(token, JWT_SECRET);
+  if (job.type !== 'static-export') {
+    throw new Error('Not a static export job');
+  }
+  return exportStaticSite({
+    postIds: job.postIds,
+    removedSlugs: job.removedSlugs,
+    categorySlugs: job.categorySlugs,
+    tagSlugs: job.tagSlugs
+  });
+}
+
+/**
+ * Keep the GitHub Pages mirror in step with a post change. The export runs in the
+ * background so saves never wait on GitHub.
+ * Skipped without GITHUB_TOKEN; failures are logged so a save never fails because of them.
+ * @param {Array<string>} postIds - Public posts to re-render
+ * @param {Object} [changes] - { removedSlugs, categorySlugs, tagSlugs }: post pages to delete
+ *   and archives the posts were listed on before the change (see staticArchivesOf)
+ */
+async function refreshStaticMirror(postIds, { removedSlugs = [], categorySlugs = [], tagSlugs = [] } = {}) {
+  if (!process.env.GITHUB_TOKEN || process.env.STATIC_EXPORT_ENABLED === 'false') {
+    return;
+  }
+  try {
+    await queueStaticExport({ postIds, removedSlugs, categorySlugs, tagSlugs });
+  } catch (error) {
+    secureErrorLog('[STATIC] Could not queue mirror refresh:', error.message);
+  }
+}
+
+/**
+ * Re-render a category's archive page, and its posts that show the category,
+ * after it is trashed or restored. An archive with no public posts left is removed.
+ * @param {Object} category - blog_categories row with id and slug
+ */
+async function refreshStaticCategory(category) {
+  try {
+    await ensureSchema('trash', TRASH_SCHEMA);
+    const posts = await dbQuery(
+      `SELECT bp.id FROM blog_posts bp WHERE bp.category_id = $1 AND ${PUBLIC_POST_CONDITION}`,
+      [category.id]
+    );
+    await refreshStaticMirror(posts.rows.map(row => row.id), { categorySlugs: [category.slug] });
+  } catch (error) {
+    secureErrorLog('[STATIC] Could not refresh category pages:', error.message);
+  }
+}
+
+// ============================================
+// IMPORT (WordPress WXR and Markdown with front matter)
+// ============================================
+
+// Netlify caps function request bodies at 6MB; bigger archives go through scripts/import-posts.js
+const IMPORT_MAX_BYTES = 6 * 1024 * 1024;
+// What the admin route will import in one request. Each image is downloaded, resized and
+// committed (a few seconds apiece; the variants follow in the background) and synchronous
+// functions stop after 10 seconds, so anything bigger goes through scripts/import-posts.js.
+const IMPORT_WEB_MAX_POSTS = parseInt(process.env.IMPORT_WEB_MAX_POSTS) || 25;
+const IMPORT_WEB_MAX_IMAGES = parseInt(process.env.IMPORT_WEB_MAX_IMAGES) || 2;
+// Limits on what a zip may expand to
+const IMPORT_MAX_ZIP_ENTRIES = 5000;
+const IMPORT_MAX_UNZIPPED_BYTES = 200 * 1024 * 1024;
+const IMPORT_IMAGE_MAX_BYTES = 10 * 1024 * 1024;
+const IMPORT_IMAGE_TYPES = {
+  jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp'
+};
+
+// WordPress post statuses; anything else (trash, auto-draft, inherit) is skipped
+const WXR_STATUSES = { publish: 'published', future: 'scheduled', draft: 'draft', pending: 'draft', private: 'draft' };
+
+const IMPORT_STATUSES = {
+  published: 'published', publish: 'published', draft: 'draft', scheduled: 'scheduled', future: 'scheduled'
+};
+
+// Front matter is YAML only; gray-matter would otherwise eval "---js" blocks
+const rejectScriptFrontMatter = () => {
+  throw importError('JavaScript front matter is not supported');
+};
+const FRONT_MATTER_OPTIONS = { engines: { js: rejectScriptFrontMatter, javascript: rejectScriptFrontMatter } };
+
+const MARKDOWN_IMAGE_PATTERN = /!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+const HTML_IMAGE_PATTERN = /<img\b[^>]*\bsrc=["']([^"']+)["']/gi;
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(xml|zip|md|markdown)$/i.test(file.originalname || '')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Import a WordPress export (.xml), a Markdown file or a .zip of Markdown files'));
+    }
+  }
+});
+
+const turndown = new TurndownService({
+  headingStyle: 'atx',
+  codeBlockStyle: 'fenced',
+  bulletListMarker: '-',
+  emDelimiter: '*'
+});
+
+// Problems with the uploaded file itself; the route answers 400 for these
+function importError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_IMPORT';
+  return error;
+}
+
+function xmlText(value) {
+  if (value == null) return '';
+  if (typeof value === 'object') return String(value['#text'] ?? '');
+  return String(value);
+}
+
+function toList(value) {
+  if (value == null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// WordPress dates are "2019-05-01 12:00:00"; never-published drafts have zeros
+function parseWxrDate(gmt, local) {
+  for (const value of [gmt, local]) {
+    const text = xmlText(value).trim();
+    if (text && !text.startsWith('0000')) {
+      const date = toDate(`${text.replace(' ', 'T')}Z`);
+      if (date) return date;
+    }
+  }
+  return null;
+}
+
+// Classic-editor posts are stored without <p> tags; WordPress adds them when displaying
+function wordpressAutop(html) {
+  if (/<p[\s>]/i.test(html)) return html;
+
+  const preserved = [];
+  return html
+    .replace(/<pre[\s\S]*?<\/pre>/gi, match => `\n\n<!--pre:${preserved.push(match) - 1}-->\n\n`)
+    .split(/\n\s*\n/)
+    .map(block => block.trim())
+    .filter(Boolean)
+    .map(block => (/^<(h[1-6]|ul|ol|blockquote|pre|figure|table|div|hr|!--)/i.test(block)
+      ? block
+      : `<p>${block.replace(/\n/g, '<br>\n')}</p>`))
+    .join('\n')
+    .replace(/<!--pre:(\d+)-->/g, (match, index) => preserved[index]);
+}
+
+function wordpressHtmlToMarkdown(html) {
+  // [caption]<img> Caption[/caption] keeps the image and caption text; bare <pre> needs <code> to become a fence
+  const cleaned = html
+    .replace(/\[caption[^\]]*\]([\s\S]*?)\[\/caption\]/g, '$1')
+    .replace(/<pre([^>]*)>(?!\s*<code)([\s\S]*?)<\/pre>/gi, '<pre$1><code>$2</code></pre>');
+  return turndown.turndown(wordpressAutop(cleaned)).trim();
+}
+
+/**
+ * Posts from a WordPress eXtended RSS export
+ * @returns {{entries: Array, skipped: Array, imageHosts: Set}}
+ */
+function parseWxr(xml) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    parseTagValue: false,
+    isArray: name => ['item', 'category', 'wp:postmeta'].includes(name)
+  });
+
+  let channel;
+  try {
+    channel = parser.parse(xml)?.rss?.channel;
+  } catch (error) {
+    throw importError(`Could not read the WordPress export: ${error.message}`);
+  }
+  if (!channel) {
+    throw importError('This XML file is not a WordPress export');
+  }
+
+  // Images hosted by the old blog are copied; anything else stays hotlinked
+  const imageHosts = new Set();
+  for (const url of [channel['wp:base_site_url'], channel['wp:base_blog_url'], channel.link]) {
+    try {
+      imageHosts.add(new URL(xmlText(url)).host);
+    } catch (error) {
+      // Missing or relative; nothing to match against
+    }
+  }
+
+  const items = channel.item || [];
+  const attachments = new Map(items
+    .filter(item => xmlText(item['wp:post_type']) === 'attachment')
+    .map(item => [xmlText(item['wp:post_id']), xmlText(item['wp:attachment_url'])]));
+
+  const entries = [];
+  const skipped = [];
+  for (const item of items) {
+    if (xmlText(item['wp:post_type']) !== 'post') continue;
+
+    const title = xmlText(item.title).trim() || '(untitled)';
+    const wpStatus = xmlText(item['wp:status']);
+    if (!WXR_STATUSES[wpStatus]) {
+      skipped.push({ source: title, reason: `WordPress status "${wpStatus}"` });
+      continue;
+    }
+
+    const terms = domain => (item.category || [])
+      .filter(term => term['@_domain'] === domain)
+      .map(term => xmlText(term).trim())
+      .filter(Boolean);
+    const thumbnail = (item['wp:postmeta'] || []).find(meta => xmlText(meta['wp:meta_key']) === '_thumbnail_id');
+
+    let slug = xmlText(item['wp:post_name']);
+    try {
+      // Non-ASCII slugs are stored percent-encoded
+      slug = decodeURIComponent(slug);
+    } catch (error) {
+      // Keep it as it is
+    }
+
+    entries.push({
+      source: xmlText(item.link) || title,
+      title,
+      slug,
+      excerpt: xmlText(item['excerpt:encoded']).replace(/<[^>]+>/g, '').trim() || null,
+      content: wordpressHtmlToMarkdown(xmlText(item['content:encoded'])),
+      status: WXR_STATUSES[wpStatus],
+      published_at: parseWxrDate(item['wp:post_date_gmt'], item['wp:post_date']),
+      updated_at: parseWxrDate(item['wp:post_modified_gmt'], item['wp:post_modified']),
+      categories: terms('category'),
+      tags: terms('post_tag'),
+      featured_image: thumbnail ? attachments.get(xmlText(thumbnail['wp:meta_value'])) || null : null,
+      featured: xmlText(item['wp:is_sticky']) === '1',
+      baseDir: ''
+    });
+  }
+
+  return { entries, skipped, imageHosts };
+}
+
+/**
+ * One post from a Markdown file with optional YAML front matter.
+ * Jekyll-style "2020-01-31-my-post.md" names supply the date and slug when front matter doesn't.
+ */
+function parseMarkdownPost(filePath, text) {
+  let parsed;
+  try {
+    parsed = matter(text, FRONT_MATTER_OPTIONS);
+  } catch (error) {
+    throw importError(`${filePath}: ${error.message}`);
+  }
+  const { data, content } = parsed;
+
+  const baseName = path.posix.basename(filePath).replace(/\.(md|markdown)$/i, '');
+  const datedName = baseName.match(/^(\d{4}-\d{2}-\d{2})-(.+)$/);
+  const heading = content.match(/^\s*#\s+(.+?)\s*#*\s*$/m);
+  const title = String(data.title || (heading && heading[1]) || (datedName ? datedName[2] : baseName)).trim();
+
+  // A leading "# Title" would repeat the title shown above the post
+  let body = content.trim();
+  if (heading && heading[1].trim() === title && body.startsWith(heading[0].trim())) {
+    body = body.slice(heading[0].trim().length).trim();
+  }
+
+  const status = data.draft === true ? 'draft' : IMPORT_STATUSES[String(data.status || 'published').toLowerCase()];
+
+  return {
+    source: filePath,
+    title,
+    slug: String(data.slug || (datedName ? datedName[2] : baseName)),
+    excerpt: data.excerpt || data.description || data.summary || null,
+    content: body,
+    status: status || 'draft',
+    published_at: toDate(data.date) || toDate(datedName && datedName[1]),
+    updated_at: toDate(data.updated || data.lastmod || data.modified),
+    categories: toList(data.categories || data.category),
+    tags: toList(data.tags || data.keywords),
+    featured_image: data.featured_image || data.image || data.cover || null,
+    featured: data.featured === true,
+    baseDir: path.posix.dirname(filePath)
+  };
+}
+
+/**
+ * Parse an upload into import entries, whatever its format
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - Original name (.xml, .md, .markdown or .zip)
+ * @returns {{format: string, entries: Array, skipped: Array, imageHosts: Set, zipFiles: Map|null}}
+ */
+function readImportSource(buffer, filename = '') {
+  const isZip = buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+
+  if (isZip) {
+    let zipEntries;
+    try {
+      zipEntries = new AdmZip(buffer).getEntries().filter(entry => !entry.isDirectory);
+    } catch (error) {
+      throw importError(`Could not read the zip file: ${error.message}`);
+    }
+    if (zipEntries.length > IMPORT_MAX_ZIP_ENTRIES ||
+        zipEntries.reduce((total, entry) => total + entry.header.size, 0) > IMPORT_MAX_UNZIPPED_BYTES) {
+      throw importError('The zip file is too large to import');
+    }
+
+    const zipFiles = new Map(zipEntries
+      .filter(entry => !entry.entryName.startsWith('__MACOSX/'))
+      .map(entry => [path.posix.normalize(entry.entryName), entry]));
+    const markdownPaths = [...zipFiles.keys()]
+      .filter(name => /\.(md|markdown)$/i.test(name) && !path.posix.basename(name).startsWith('.'))
+      .sort();
+    if (markdownPaths.length === 0) {
+      throw importError('The zip file contains no Markdown (.md) files');
+    }
+
+    return {
+      format: 'markdown',
+      entries: markdownPaths.map(name => parseMarkdownPost(name, zipFiles.get(name).getData().toString('utf8'))),
+      skipped: [],
+      imageHosts: new Set(),
+      zipFiles
+    };
+  }
+
+  const text = buffer.toString('utf8');
+  if (/\.(md|markdown)$/i.test(filename)) {
+    return { format: 'markdown', entries: [parseMarkdownPost(filename, text)], skipped: [], imageHosts: new Set(), zipFiles: null };
+  }
+  if (/<rss[\s>]/.test(text)) {
+    return { format: 'wxr', ...parseWxr(text), zipFiles: null };
+  }
+  throw importError('Unrecognised file. Import a WordPress export (.xml), a Markdown file or a .zip of Markdown files.');
+}
+
+function findImageReferences(markdown) {
+  const refs = new Set();
+  for (const pattern of [MARKDOWN_IMAGE_PATTERN, HTML_IMAGE_PATTERN]) {
+    for (const match of markdown.matchAll(pattern)) {
+      refs.add(match[1]);
+    }
+  }
+  return [...refs];
+}
+
+// Swap image references for new URLs inside the image tokens only, so replacing a
+// short reference (a.png) cannot touch a longer one (images/a.png) or the alt text
+function replaceImageReferences(markdown, urls) {
+  let result = markdown;
+  for (const pattern of [MARKDOWN_IMAGE_PATTERN, HTML_IMAGE_PATTERN]) {
+    let output = '';
+    let last = 0;
+    for (const match of result.matchAll(new RegExp(pattern.source, `${pattern.flags}d`))) {
+      if (!urls.has(match[1])) continue;
+      const [start, end] = match.indices[1];
+      output += result.slice(last, start) + urls.get(match[1]);
+      last = end;
+    }
+    result = output + result.slice(last);
+  }
+  return result;
+}
+
+/**
+ * Where an image reference can be copied from
+ * @returns {Object|null} - { url }, { zipPath }, { missing: true } or null to leave the reference alone
+ */
+function resolveImportImage(ref, entry, source) {
+  if (/^https?:\/\//i.test(ref)) {
+    try {
+      return source.imageHosts.has(new URL(ref).host) ? { url: ref } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+  if (!source.zipFiles || /^[a-z][a-z0-9+.-]*:/i.test(ref) || ref.startsWith('//')) {
+    return null;
+  }
+
+  let clean = ref.split(/[?#]/)[0];
+  try {
+    clean = decodeURI(clean);
+  } catch (error) {
+    // Use the reference as written
+  }
+  const candidates = clean.startsWith('/')
+    ? [clean.slice(1)]
+    : [path.posix.join(entry.baseDir, clean), path.posix.normalize(clean)];
+  const zipPath = candidates.find(candidate => source.zipFiles.has(candidate));
+  return zipPath ? { zipPath } : { missing: true };
+}
+
+// Copy one image into the media library; the same source is only uploaded once per import
+function importImage(image, source, uploads, mediaOptions = {}) {
+  const key = image.url || `zip:${image.zipPath}`;
+  if (!uploads.has(key)) {
+    uploads.set(key, (async () => {
+      let buffer;
+      let name;
+      if (image.url) {
+        const response = await fetch(image.url, { signal: AbortSignal.timeout(15000) });
+        if (!response.ok) {
+          throw new Error(`download failed (${response.status})`);
+        }
+        buffer = Buffer.from(await response.arrayBuffer());
+        name = decodeURIComponent(new URL(image.url).pathname.split('/').pop() || 'image');
+      } else {
+        buffer = source.zipFiles.get(image.zipPath).getData();
+        name = path.posix.basename(image.zipPath);
+      }
+
+      const mimetype = IMPORT_IMAGE_TYPES[(name.split('.').pop() || '').toLowerCase()];
+      if (!mimetype) {
+        throw new Error('unsupported image type');
+      }
+      if (buffer.length > IMPORT_IMAGE_MAX_BYTES) {
+        throw new Error('image is larger than 10MB');
+      }
+
+      return createMediaAsset({ buffer, originalname: name, mimetype, size: buffer.length }, 'blog', null, mediaOptions);
+    })());
+  }
+  return uploads.get(key);
+}
+
+/**
+ * Import posts from a WordPress export or Markdown files. Categories and tags are
+ * created as needed, original dates and slugs are kept and images are copied in
+ * through createMediaAsset. A dry run (the default) writes nothing and reports
+ * what the import would do.
+ * @param {Buffer} buffer - .xml, .md/.markdown or .zip contents
+ * @param {string} filename - Original file name
+ * @param {Object} options
+ * @param {boolean} [options.dryRun=true]
+ * @param {string} [options.authorId] - User the posts are credited to
+ * @param {string} [options.authorEmail] - Alternative to authorId, for the CLI
+ * @param {string} [options.onConflict='skip'] - 'skip' posts whose slug is taken, or 'rename' them
+ * @param {boolean} [options.inlineImageVariants=false] - Make image variants here rather than in the background (the CLI)
+ * @returns {Object} - Report: { format, dry_run, posts, categories, tags, images, skipped, summary }
+ */
+async function importPosts(buffer, filename, options = {}) {
+  const { dryRun = true, onConflict = 'skip' } = options;
+  const mediaOptions = { inlineVariants: !!options.inlineImageVariants };
+
+  let authorId = options.authorId;
+  if (!authorId && options.authorEmail) {
+    const author = await dbQuery('SELECT id FROM users WHERE LOWER(email) = LOWER($1)', [options.authorEmail.trim()]);
+    if (author.rows.length === 0) {
+      throw importError(`No user with the email ${options.authorEmail}`);
+    }
+    authorId = author.rows[0].id;
+  }
+  if (!authorId) {
+    throw importError('An author is required');
+  }
+
+  await ensureSchema('publishing', PUBLISHING_SCHEMA);
+  await ensureSchema('slugs', SLUG_HISTORY_SCHEMA);
+  await ensureSchema('content', CONTENT_HTML_SCHEMA);
+  await ensureSchema('trash', TRASH_SCHEMA);
+
+  const source = readImportSource(buffer, filename);
+
+  // Trashed categories keep their slug, so posts filed under one are reported rather than imported
+  const [categoryRows, tagRows] = await Promise.all([
+    dbQuery('SELECT id, name, slug, deleted_at IS NOT NULL AS trashed FROM blog_categories'),
+    dbQuery('SELECT id, name, slug FROM blog_tags')
+  ]);
+  const categories = new Map(categoryRows.rows.map(row => [row.slug, row]));
+  const tags = new Map(tagRows.rows.map(row => [row.slug, row]));
+
+  const report = {
+    format: source.format,
+    dry_run: dryRun,
+    posts: [],
+    categories: { existing: [], new: [] },
+    tags: { existing: [], new: [] },
+    images: { to_import: 0, imported: 0, missing: [], failed: [] },
+    skipped: source.skipped
+  };
+
+  // Note each term once, as existing or new, and remember new ones so later posts reuse them
+  function planTerm(name, known, bucket) {
+    const slug = slugify(name);
+    if (!slug) return null;
+    if (!known.has(slug)) {
+      known.set(slug, { id: null, name, slug });
+      bucket.new.push(name);
+    } else if (known.get(slug).id && !known.get(slug).trashed && !bucket.existing.includes(known.get(slug).name)) {
+      bucket.existing.push(known.get(slug).name);
+    }
+    return known.get(slug);
+  }
+
+  async function ensureTerm(term, table) {
+    if (!term.id) {
+      // A category trashed since the plan makes the INSERT fail on its slug instead of reviving it
+      const live = table === 'blog_categories' ? ' AND deleted_at IS NULL' : '';
+      const existing = await dbQuery(`SELECT id FROM ${table} WHERE slug = $1${live}`, [term.slug]);
+      term.id = existing.rows.length > 0
+        ? existing.rows[0].id
+        : (await dbQuery(`INSERT INTO ${table} (name, slug) VALUES ($1, $2) RETURNING id`, [term.name, term.slug])).rows[0].id;
+    }
+    return term.id;
+  }
+
+  const usedSlugs = new Set();
+  const uploads = new Map();
+  const createdIds = [];
+
+  for (const entry of source.entries) {
+    const item = { source: entry.source, title: entry.title };
+    report.posts.push(item);
+
+    try {
+      // Slug: the original, else one from the title; taken slugs are skipped or renamed
+      const baseSlug = slugify(entry.slug || '') || slugify(entry.title) || 'post';
+      let slug = baseSlug;
+      for (let n = 2; usedSlugs.has(slug) || await isPostSlugTaken(slug); n++) {
+        if (onConflict !== 'rename') {
+          Object.assign(item, { slug, action: 'skip', reason: 'A post with this slug already exists' });
+          break;
+        }
+        slug = `${baseSlug}-${n}`;
+      }
+      if (item.action === 'skip') continue;
+      usedSlugs.add(slug);
+
+      const publishState = resolvePublishState(entry.status, entry.published_at);
+      if (publishState.error) {
+        Object.assign(item, { slug, action: 'skip', reason: publishState.error });
+        continue;
+      }
+
+      // One category per post here; WordPress allows several, so the rest become tags
+      const categoryNames = entry.categories.filter(name => slugify(name) !== 'uncategorized');
+      const category = categoryNames.length > 0 ? planTerm(categoryNames[0], categories, report.categories) : null;
+      if (category && category.trashed) {
+        Object.assign(item, {
+          slug,
+          action: 'skip',
+          reason: `The category "${category.name}" is in the trash. Restore it or delete it permanently first.`
+        });
+        continue;
+      }
+      const postTags = [...new Set([...entry.tags, ...categoryNames.slice(1)])]
+        .map(name => planTerm(name, tags, report.tags))
+        .filter(Boolean);
+
+      const images = findImageReferences(entry.content)
+        .map(ref => ({ ref, ...resolveImportImage(ref, entry, source) }))
+        .filter(image => image.url || image.zipPath || image.missing);
+      const featuredImage = entry.featured_image
+        ? { ref: entry.featured_image, ...resolveImportImage(String(entry.featured_image), entry, source) }
+        : null;
+      for (const image of images.filter(image => image.missing)) {
+        report.images.missing.push({ post: entry.title, image: image.ref });
+      }
+      const copies = images.filter(image => !image.missing);
+      report.images.to_import += copies.length + (featuredImage && (featuredImage.url || featuredImage.zipPath) ? 1 : 0);
+
+      Object.assign(item, {
+        slug,
+        status: publishState.status,
+        published_at: publishState.published_at,
+        category: category ? category.name : null,
+        tags: postTags.map(tag => tag.name),
+        images: copies.length,
+        action: 'create'
+      });
+      if (slug !== baseSlug) {
+        item.reason = `Renamed from "${baseSlug}"`;
+      }
+
+      if (dryRun) continue;
+
+      const imageUrls = new Map();
+      for (const image of copies) {
+        try {
+          const asset = await importImage(image, source, uploads, mediaOptions);
+          // Content is rendered on the public site, so link the committed file there
+          imageUrls.set(image.ref, `${PUBLIC_SITE_URL}${asset.url}`);
+          report.images.imported++;
+        } catch (error) {
+          report.images.failed.push({ post: entry.title, image: image.ref, error: error.message });
+        }
+      }
+      const content = replaceImageReferences(entry.content, imageUrls);
+
+      // Like the editor, featured images are stored by their repo path (/assets/images/posts/...)
+      let featuredImageUrl = featuredImage && /^https?:\/\//i.test(featuredImage.ref) ? featuredImage.ref : null;
+      if (featuredImage && (featuredImage.url || featuredImage.zipPath)) {
+        try {
+          featuredImageUrl = (await importImage(featuredImage, source, uploads, mediaOptions)).url;
+          report.images.imported++;
+        } catch (error) {
+          report.images.failed.push({ post: entry.title, image: featuredImage.ref, error: error.message });
+        }
+      }
+
+      const categoryId = category ? await ensureTerm(category, 'blog_categories') : null;
+      const rendered = renderPostContent(content, await loadContentImages(content));
+      const createdAt = entry.published_at || new Date();
+
+      const result = await dbQuery(
+        `INSERT INTO blog_posts
+         (title, slug, excerpt, content, featured_image_url, category_id, status, featured, published_at,
+          author_id, last_edited_by, content_html, toc, word_count, reading_time, content_html_version,
+          created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $10, $11, $12, $13, $14, $15, $16, $17)
+         RETURNING id`,
+        [
+          entry.title,
+          slug,
+          entry.excerpt,
+          content,
+          featuredImageUrl,
+          categoryId,
+          publishState.status,
+          entry.featured,
+          publishState.published_at,
+          authorId,
+          rendered.content_html,
+          JSON.stringify(rendered.toc),
+          rendered.word_count,
+          rendered.reading_time,
+          rendered.content_html_version,
+          createdAt,
+          entry.updated_at || createdAt
+        ]
+      );
+      const postId = result.rows[0].id;
+
+      for (const tag of postTags) {
+        await dbQuery(
+          'INSERT INTO blog_post_tags (post_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+          [postId, await ensureTerm(tag, 'blog_tags')]
+        );
+      }
+      await recordPostRevision(postId, authorId);
+
+      Object.assign(item, { id: postId, action: 'created' });
+      createdIds.push(postId);
+    } catch (error) {
+      if (error.code === 'INVALID_IMPORT') throw error;
+      secureErrorLog(`[IMPORT] ${entry.source}:`, error.message);
+      Object.assign(item, { action: 'error', reason: error.message });
+    }
+  }
+
+  if (createdIds.length > 0) {
+    await purgePublicCache(['posts', 'tags']);
+    // Drafts among them are skipped by the export; it runs in the background, so size is no concern
+    await refreshStaticMirror(createdIds);
+  }
+
+  const count = action => report.posts.filter(post => post.action === action).length;
+  report.summary = {
+    posts: report.posts.length,
+    [dryRun ? 'to_create' : 'created']: count(dryRun ? 'create' : 'created'),
+    skipped: count('skip') + report.skipped.length,
+    errors: count('error'),
+    new_categories: report.categories.new.length,
+    new_tags: report.tags.new.length,
+    images: dryRun ? report.images.to_import : report.images.imported
+  };
+
+  secureLog(`[IMPORT] ${dryRun ? 'Dry run' : 'Import'} of ${filename}: ${JSON.stringify(report.summary)}`);
+  return report;
+}
+
+// ============================================
+// BACKUP AND RESTORE
+// ============================================
+
+const BACKUP_FORMAT = 'blog-platform-backup';
+const BACKUP_VERSION = 1;
+
+// Everything needed to rebuild the site. Preview tokens are short-lived secrets and stay out.
+const BACKUP_TABLES = [
+  'users', 'blog_categories', 'blog_tags', 'media_assets', 'blog_posts', 'blog_post_tags',
+  'blog_post_authors', 'blog_post_slug_history', 'blog_post_revisions', 'comments', 'settings',
+  'linkedin_posts', 'newsletter_subscribers'
+];
+
+// Readers' email addresses; only exported when asked for
+const BACKUP_OPT_IN_TABLES = ['newsletter_subscribers'];
+
+// Login secrets; only exported when asked for, so a copied archive cannot be cracked offline
+const BACKUP_OPT_IN_USER_COLUMNS = ['password_hash'];
+
+// Synchronous functions cap responses at 6MB and binary bodies are sent base64-encoded,
+// so bigger archives have to come from the CLI
+const BACKUP_WEB_MAX_BYTES = parseInt(process.env.BACKUP_WEB_MAX_BYTES, 10) || 4 * 1024 * 1024;
+
+// Post bodies live in posts/<slug>.md; these are rebuilt from them on restore
+const BACKUP_DERIVED_POST_COLUMNS = ['content', 'content_html', 'content_html_version', 'toc', 'word_count', 'reading_time', 'search_vector'];
+
+const BACKUP_INSERT_BATCH = 500;
+
+// Every lazily applied schema group, re-run after a restore for triggers and functions
+const APP_SCHEMA_GROUPS = [
+  ['revisions', REVISION_SCHEMA],
+  ['publishing', PUBLISHING_SCHEMA],
+  ['previews', PREVIEW_SCHEMA],
+  ['authors', AUTHOR_SCHEMA],
+  ['slugs', SLUG_HISTORY_SCHEMA],
+  ['search', SEARCH_SCHEMA],
+  ['content', CONTENT_HTML_SCHEMA]
+];
+
+function backupError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_BACKUP';
+  return error;
+}
+
+function quoteIdent(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+async function existingTables(tables) {
+  const result = await dbQuery(
+    `SELECT table_name FROM information_schema.tables
+     WHERE table_schema = 'public' AND table_name = ANY($1)`,
+    [tables]
+  );
+  const found = new Set(result.rows.map(row => row.table_name));
+  return tables.filter(table => found.has(table));
+}
+
+/**
+ * Column, constraint and index definitions read from the catalog, so a restore
+ * can recreate tables that only ever existed in Neon
+ */
+async function readTableDefinitions(tables) {
+  const [columns, constraints, indexes] = await Promise.all([
+    dbQuery(
+      `SELECT c.relname AS table_name, a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type,
+              a.attnotnull AS not_null, pg_get_expr(d.adbin, d.adrelid) AS default_value,
+              a.attgenerated = 's' AS generated
+       FROM pg_attribute a
+       JOIN pg_class c ON c.oid = a.attrelid
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+       WHERE n.nspname = 'public' AND c.relname = ANY($1) AND a.attnum > 0 AND NOT a.attisdropped
+       ORDER BY c.relname, a.attnum`,
+      [tables]
+    ),
+    dbQuery(
+      `SELECT c.relname AS table_name, con.conname AS name, con.contype AS type,
+              pg_get_constraintdef(con.oid) AS definition
+       FROM pg_constraint con
+       JOIN pg_class c ON c.oid = con.conrelid
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE n.nspname = 'public' AND c.relname = ANY($1) AND con.contype IN ('p', 'u', 'c', 'f')
+       ORDER BY c.relname, con.conname`,
+      [tables]
+    ),
+    dbQuery(
+      `SELECT i.tablename AS table_name, i.indexname AS name, i.indexdef AS definition
+       FROM pg_indexes i
+       WHERE i.schemaname = 'public' AND i.tablename = ANY($1)
+       AND NOT EXISTS (SELECT 1 FROM pg_constraint con WHERE con.conname = i.indexname)
+       ORDER BY i.tablename, i.indexname`,
+      [tables]
+    )
+  ]);
+
+  const forTable = (rows, table) => rows
+    .filter(row => row.table_name === table)
+    .map(({ table_name: _tableName, ...definition }) => definition);
+
+  return tables.map(table => ({
+    name: table,
+    columns: forTable(columns.rows, table),
+    constraints: forTable(constraints.rows, table),
+    indexes: forTable(indexes.rows, table)
+  }));
+}
+
+// Rows as Postgres serialises them, so timestamps and JSON survive the round trip unchanged
+async function loadBackupRows(table, omitColumns = []) {
+  const result = await dbQuery(
+    `SELECT COALESCE(json_agg(to_jsonb(t) - $1::text[]), '[]'::json) AS rows FROM ${quoteIdent(table)} t`,
+    [omitColumns]
+  );
+  return result.rows[0].rows;
+}
+
+// Front matter values are written as JSON, which YAML reads back unchanged
+function backupPostMarkdown(frontMatter, content) {
+  const lines = Object.entries(frontMatter)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+  return `---\n${lines.join('\n')}\n---\n${content || ''}`;
+}
+
+/**
+ * Write every post as Markdown with front matter, plus the data and table
+ * definitions needed to rebuild the database, into one zip archive.
+ * The post files use the same front matter the importer reads.
+ * @param {Object} options
+ * @param {boolean} [options.includeSubscribers=false] - Add newsletter subscribers
+ * @param {boolean} [options.includePasswordHashes=false] - Add users' password hashes
+ * @returns {{buffer: Buffer, manifest: Object}}
+ */
+async function exportBackup(options = {}) {
+  const { includeSubscribers = false, includePasswordHashes = false } = options;
+
+  const tables = await existingTables(BACKUP_TABLES);
+  const schema = await readTableDefinitions(tables);
+
+  // Opted-out tables keep their definition so the restored site still works, just without the rows
+  const data = {};
+  for (const table of tables) {
+    let omit = [];
+    if (table === 'blog_posts') {
+      omit = BACKUP_DERIVED_POST_COLUMNS.filter(column => column !== 'content');
+    } else if (table === 'users' && !includePasswordHashes) {
+      omit = BACKUP_OPT_IN_USER_COLUMNS;
+    }
+    data[table] = includeSubscribers || !BACKUP_OPT_IN_TABLES.includes(table)
+      ? await loadBackupRows(table, omit)
+      : [];
+  }
+
+  const byId = rows => new Map((rows || []).map(row => [row.id, row]));
+  const users = byId(data.users);
+  const categories = byId(data.blog_categories);
+  const tags = byId(data.blog_tags);
+
+  const zip = new AdmZip();
+  const posts = data.blog_posts || [];
+  for (const post of posts) {
+    const postTags = (data.blog_post_tags || [])
+      .filter(link => link.post_id === post.id)
+      .map(link => tags.get(link.tag_id))
+      .filter(Boolean);
+    const category = categories.get(post.category_id);
+    const author = users.get(post.author_id);
+
+    zip.addFile(`posts/${post.slug}.md`, Buffer.from(backupPostMarkdown({
+      id: post.id,
+      title: post.title,
+      slug: post.slug,
+      status: post.status,
+      date: post.published_at,
+      updated: post.updated_at,
+      author: author ? author.email : null,
+      categories: category ? [category.name] : [],
+      tags: postTags.map(tag => tag.name),
+      excerpt: post.excerpt,
+      featured_image: post.featured_image_url,
+      featured: post.featured
+    }, post.content), 'utf8'));
+    delete post.content;
+  }
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    created_at: new Date().toISOString(),
+    renderer_version: CONTENT_RENDERER_VERSION,
+    subscribers_included: includeSubscribers,
+    password_hashes_included: includePasswordHashes,
+    tables: Object.fromEntries(tables.map(table => [table, data[table].length])),
+    posts: posts.length,
+    // Uploaded files are committed to the site repository (or were kept in Netlify Blobs); this lists them
+    media_manifest: tables.includes('media_assets') ? 'data/media_assets.json' : null
+  };
+
+  zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+  zip.addFile('schema.json', Buffer.from(JSON.stringify(schema, null, 2)));
+  for (const table of tables) {
+    zip.addFile(`data/${table}.json`, Buffer.from(JSON.stringify(data[table], null, 2)));
+  }
+
+  secureLog(`[BACKUP] Exported ${posts.length} posts from ${tables.length} tables`);
+  return { buffer: zip.toBuffer(), manifest };
+}
+
+/**
+ * Read and check a backup archive
+ * @returns {{manifest: Object, schema: Array, data: Object}}
+ */
+function readBackupArchive(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw backupError(`Could not read the backup: ${error.message}`);
+  }
+
+  const readJson = name => {
+    const entry = zip.getEntry(name);
+    if (!entry) {
+      throw backupError(`The backup is missing ${name}`);
+    }
+    return JSON.parse(entry.getData().toString('utf8'));
+  };
+
+  const manifest = readJson('manifest.json');
+  if (manifest.format !== BACKUP_FORMAT || manifest.version > BACKUP_VERSION) {
+    throw backupError('This file is not a backup this version can restore');
+  }
+
+  const schema = readJson('schema.json');
+  const data = Object.fromEntries(schema.map(table => [table.name, readJson(`data/${table.name}.json`)]));
+
+  // Post bodies come back from the Markdown files, matched on the id in their front matter
+  const contents = new Map();
+  for (const entry of zip.getEntries()) {
+    if (!entry.isDirectory && /^posts\/.+\.md$/.test(entry.entryName)) {
+      const { data: frontMatter, content } = matter(entry.getData().toString('utf8'), FRONT_MATTER_OPTIONS);
+      contents.set(frontMatter.id, content);
+    }
+  }
+  for (const post of data.blog_posts || []) {
+    if (!contents.has(post.id)) {
+      throw backupError(`The backup has no Markdown file for post "${post.slug}"`);
+    }
+    post.content = contents.get(post.id);
+  }
+
+  return { manifest, schema, data };
+}
+
+/**
+ * Rebuild an empty database from a backup archive, keeping every ID and
+ * relationship. Runs in one transaction; the archive's table definitions are
+ * executed as SQL, so only restore archives you made.
+ * @param {Buffer} buffer - Archive written by exportBackup
+ * @returns {Object} - { tables: { name: rows }, posts }
+ */
+async function restoreBackup(buffer) {
+  const { manifest, schema, data } = readBackupArchive(buffer);
+
+  const clashes = await existingTables(schema.map(table => table.name));
+  if (clashes.length > 0) {
+    throw backupError(`Restore needs an empty database; these tables already exist: ${clashes.join(', ')}`);
+  }
+
+  // Without hashes the users still load, but each needs a new password before they can log in
+  if (manifest.password_hashes_included === false) {
+    for (const column of (schema.find(table => table.name === 'users') || { columns: [] }).columns) {
+      if (BACKUP_OPT_IN_USER_COLUMNS.includes(column.name)) {
+        column.not_null = false;
+      }
+    }
+  }
+
+  // Cached HTML and reading times are recomputed with the current renderer
+  const images = new Map((data.media_assets || []).map(asset => [asset.blob_key, asset]));
+  for (const post of data.blog_posts || []) {
+    Object.assign(post, renderPostContent(post.content, images));
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Sequences behind serial columns
+    const sequences = [];
+    for (const table of schema) {
+      for (const column of table.columns) {
+        const sequence = (column.default_value || '').match(/^nextval\('([^']+)'::regclass\)$/);
+        if (sequence) {
+          sequences.push({ table: table.name, column: column.name, name: sequence[1] });
+          await client.query(`CREATE SEQUENCE IF NOT EXISTS ${sequence[1]}`);
+        }
+      }
+    }
+
+    // Tables first, foreign keys once every row is in
+    for (const table of schema) {
+      const definitions = table.columns.map(column => [
+        quoteIdent(column.name),
+        column.type,
+        column.generated
+          ? `GENERATED ALWAYS AS (${column.default_value}) STORED`
+          : (column.default_value ? `DEFAULT ${column.default_value}` : ''),
+        column.not_null ? 'NOT NULL' : ''
+      ].filter(Boolean).join(' '))
+        .concat(table.constraints
+          .filter(constraint => constraint.type !== 'f')
+          .map(constraint => `CONSTRAINT ${quoteIdent(constraint.name)} ${constraint.definition}`));
+      await client.query(`CREATE TABLE ${quoteIdent(table.name)} (\n  ${definitions.join(',\n  ')}\n)`);
+    }
+
+    for (const table of schema) {
+      const rows = data[table.name];
+      const columns = table.columns.filter(column => !column.generated).map(column => quoteIdent(column.name)).join(', ');
+      for (let start = 0; start < rows.length; start += BACKUP_INSERT_BATCH) {
+        await client.query(
+          `INSERT INTO ${quoteIdent(table.name)} (${columns})
+           SELECT ${columns} FROM json_populate_recordset(NULL::${quoteIdent(table.name)}, $1::json)`,
+          [JSON.stringify(rows.slice(start, start + BACKUP_INSERT_BATCH))]
+        );
+      }
+    }
+
+    for (const table of schema) {
+      for (const constraint of table.constraints.filter(constraint => constraint.type === 'f')) {
+        await client.query(
+          `ALTER TABLE ${quoteIdent(table.name)} ADD CONSTRAINT ${quoteIdent(constraint.name)} ${constraint.definition}`
+        );
+      }
+      for (const index of table.indexes) {
+        await client.query(index.definition.replace(/^CREATE (UNIQUE )?INDEX /, 'CREATE $1INDEX IF NOT EXISTS '));
+      }
+    }
+
+    for (const sequence of sequences) {
+      await client.query(
+        `SELECT setval('${sequence.name}', COALESCE(MAX(${quoteIdent(sequence.column)}), 0) + 1, false)
+         FROM ${quoteIdent(sequence.table)}`
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Triggers, functions and columns added since the backup was taken
+  for (const [name, statements] of APP_SCHEMA_GROUPS) {
+    await ensureSchema(name, statements);
+  }
+
+  const summary = {
+    tables: Object.fromEntries(schema.map(table => [table.name, data[table.name].length])),
+    posts: (data.blog_posts || []).length,
+    password_hashes_included: manifest.password_hashes_included !== false
+  };
+  secureLog(`[BACKUP] Restored backup from ${manifest.created_at}: ${JSON.stringify(summary.tables)}`);
+  return summary;
+}
+
+// ============================================
+// ADMIN ROUTES (Protected)
+// ============================================
+
+/**
+ * Load posts for the admin screens with category, byline, editor and tags
+ * @param {string} condition - Extra WHERE condition on bp (trashed posts are always excluded)
+ * @param {Array} params - Query parameters referenced by the condition
+ * @param {object} options - { orderBy, limit, offset }; all posts, newest first, by default
+ * @returns {Array} - Raw rows
+ */
+async function queryAdminPosts(condition = 'TRUE', params = [], { orderBy = 'bp.created_at DESC', limit = null, offset = 0 } = {}) {
+  const queryParams = [...params];
+  let paging = '';
+  if (limit) {
+    queryParams.push(limit, offset);
+    paging = ` LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}`;
+  }
+
+  const result = await pool.query(`
+    SELECT 
+      bp.*,
+      bc.name as category_name,
+      bc.slug as category_slug,
+      bc.color as category_color,
+      fia.id as featured_image_asset_id,
+      fia.mime_type as featured_image_asset_mime_type,
+      ${FEATURED_IMAGE_SELECT} as featured_image,
+      le.name as last_edited_by_name,
+      ${POST_AUTHORS_SELECT} as authors,
+      ${POST_COAUTHOR_IDS_SELECT} as coauthor_ids,
+      COALESCE(
+        json_agg(
+          DISTINCT jsonb_build_object(
+            'id', bt.id,
+            'name', bt.name,
+            'slug', bt.slug
+          )
+        ) FILTER (WHERE bt.id IS NOT NULL),
+        '[]'
+      ) as tags
+    FROM blog_posts bp
+    LEFT JOIN media_assets fia ON bp.featured_image_asset_id = fia.id
+    LEFT JOIN blog_categories bc ON bp.category_id = bc.id AND bc.deleted_at IS NULL
+    LEFT JOIN users le ON bp.last_edited_by = le.id
+    LEFT JOIN blog_post_tags bpt ON bp.id = bpt.post_id
+    LEFT JOIN blog_tags bt ON bpt.tag_id = bt.id
+    WHERE bp.deleted_at IS NULL AND ${condition}
+    GROUP BY bp.id, bc.id, bc.name, bc.slug, bc.color, fia.id, fia.mime_type, le.name
+    ORDER BY ${orderBy}${paging}
+  `, queryParams);
+  return result.rows;
+}
+
+// Sortable admin list columns; bp.id breaks ties so pages never repeat a post
+const ADMIN_POST_SORTS = {
+  title: 'LOWER(bp.title)',
+  status: 'bp.status',
+  created_at: 'bp.created_at',
+  updated_at: 'bp.updated_at',
+  published_at: 'bp.published_at',
+  view_count: 'bp.view_count'
+};
+const ADMIN_POST_DATE_FIELDS = ['created_at', 'updated_at', 'published_at'];
+const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+/**
+ * Turn admin list query parameters into a WHERE condition
+ * @param {object} query - req.query: status, category, tag, author, from, to, date_field, q
+ * @returns {object} - { condition, params } or { error }
+ */
+function buildAdminPostFilters(query) {
+  const conditions = [];
+  const params = [];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  // status=draft,scheduled (or repeated status params)
+  const statuses = [].concat(query.status || []).flatMap(value => String(value).split(',')).filter(Boolean);
+  if (statuses.some(status => !POST_STATUSES.includes(status))) {
+    return { error: `status must be one of: ${POST_STATUSES.join(', ')}` };
+  }
+  if (statuses.length > 0) {
+    conditions.push(`bp.status = ANY(${param(statuses)})`);
+  }
+
+  // Category slug, or "none" for uncategorised posts
+  if (query.category === 'none') {
+    conditions.push('bc.id IS NULL');
+  } else if (query.category) {
+    conditions.push(`bc.slug = ${param(String(query.category))}`);
+  }
+
+  if (query.tag) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM blog_post_tags fbpt
+      JOIN blog_tags fbt ON fbpt.tag_id = fbt.id
+      WHERE fbpt.post_id = bp.id AND fbt.slug = ${param(String(query.tag))}
+    )`);
+  }
+
+  // Primary author or co-author
+  if (query.author) {
+    const authorParam = param(String(query.author));
+    conditions.push(`(bp.author_id::text = ${authorParam} OR EXISTS (
+      SELECT 1 FROM blog_post_authors fbpa WHERE fbpa.post_id = bp.id AND fbpa.user_id::text = ${authorParam}
+    ))`);
+  }
+
+  // from/to are inclusive calendar dates (YYYY-MM-DD)
+  const dateField = query.date_field || 'created_at';
+  if (!ADMIN_POST_DATE_FIELDS.includes(dateField)) {
+    return { error: `date_field must be one of: ${ADMIN_POST_DATE_FIELDS.join(', ')}` };
+  }
+  for (const [key, operator, offset] of [['from', '>=', ''], ['to', '<', " + INTERVAL '1 day'"]]) {
+    if (!query[key]) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(query[key]) || isNaN(new Date(query[key]).getTime())) {
+      return { error: `${key} must be a date (YYYY-MM-DD)` };
+    }
+    conditions.push(`bp.${dateField} ${operator} ${param(query[key])}::date${offset}`);
+  }
+
+  if (query.q) {
+    const pattern = `%${String(query.q).trim().replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    conditions.push(`bp.title ILIKE ${param(pattern)}`);
+  }
+
+  return { condition: conditions.length > 0 ? conditions.join(' AND ') : 'TRUE', params };
+}
+
+// Admin post list. ?envelope=true returns { items, total, page, limit, total_pages }
+// one page at a time; without it every matching post comes back as a bare array.
+app.get('/api/admin/posts', authenticateToken, requirePermission('posts:view'), async (req, res) => {
+  try {
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+    await ensureSchema('trash', TRASH_SCHEMA);
+
+    const filters = buildAdminPostFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+
+    const sort = req.query.sort || 'created_at';
+    if (!ADMIN_POST_SORTS[sort]) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(ADMIN_POST_SORTS).join(', ')}` });
+    }
+    const direction = req.query.order === 'asc' ? 'ASC' : 'DESC';
+    const orderBy = `${ADMIN_POST_SORTS[sort]} ${direction} NULLS LAST, bp.id ${direction}`;
+
+    const envelope = req.query.envelope === 'true';
+    const pageSize = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const pageNumber = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const rows = await queryAdminPosts(filters.condition, filters.params, envelope
+      ? { orderBy, limit: pageSize, offset: (pageNumber - 1) * pageSize }
+      : { orderBy });
+    const items = rows.map(row => ({
+      ...transformBlogPost(row),
+      permissions: postPermissions(req.user, row)
+    }));
+
+    if (!envelope) {
+      return res.json(items);
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int as total
+       FROM blog_posts bp
+       LEFT JOIN blog_categories bc ON bp.category_id = bc.id AND bc.deleted_at IS NULL
+       WHERE bp.deleted_at IS NULL AND ${filters.condition}`,
+      filters.params
+    );
+    const total = countResult.rows[0].total;
+
+    res.json({
+      items,
+      total,
+      page: pageNumber,
+      limit: pageSize,
+      total_pages: Math.max(Math.ceil(total / pageSize), 1)
+    });
+  } catch (error) {
+    secureErrorLog('Get admin posts error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single post for the editor
+app.get('/api/admin/posts/:id', authenticateToken, requirePermission('posts:view'), async (req, res) => {
+  try {
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+    await ensureSchema('trash', TRASH_SCHEMA);
+
+    const rows = await queryAdminPosts('bp.id::text = $1', [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    res.json({
+      ...transformBlogPost(rows[0]),
+      permissions: postPermissions(req.user, rows[0])
+    });
+  } catch (error) {
+    secureErrorLog('Get admin post error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Resolve the status and publish time stored for a save.
+ * A published post with a future date becomes scheduled, and a scheduled
+ * post whose time has already passed is published straight away.
+ * @param {string} status - Requested status
+ * @param {string} publishedAt - Requested publish time (ISO string)
+ * @returns {object} - { status, published_at } or { error }
+ */
+function resolvePublishState(status, publishedAt) {
+  const requested = status || 'draft';
+  const date = publishedAt ? new Date(publishedAt) : null;
+
+  if (date && isNaN(date.getTime())) {
+    return { error: 'Invalid publish date' };
+  }
+
+  const isFuture = date && date.getTime() > Date.now();
+
+  if (requested === 'scheduled') {
+    if (!date) {
+      return { error: 'A publish time is required to schedule a post' };
+    }
+    return { status: isFuture ? 'scheduled' : 'published', published_at: date };
+  }
+
+  if (requested === 'published') {
+    if (!date) {
+      return { status: 'published', published_at: new Date() };
+    }
+    return { status: isFuture ? 'scheduled' : 'published', published_at: date };
+  }
+
+  return { status: requested, published_at: date };
+}
+
+/**
+ * 409 body for a save made against an out-of-date copy of a post.
+ * Carries the current server copy and a field diff from the submitted
+ * version to it, so the editor can offer a merge.
+ * @param {string} postId - Post being saved
+ * @param {object} submitted - Fields from the rejected save
+ * @param {object} user - User making the save
+ * @returns {object|null} - Conflict body, or null when the post is gone
+ */
+async function postConflictResponse(postId, submitted, user) {
+  const rows = await queryAdminPosts('bp.id = $1', [postId]);
+  if (rows.length === 0) return null;
+
+  const server = transformBlogPost(rows[0]);
+  const tagIds = (Array.isArray(submitted.tags) ? submitted.tags : []).filter(Boolean).map(String);
+  const submittedTags = tagIds.length > 0
+    ? (await dbQuery('SELECT id, name, slug FROM blog_tags WHERE id::text = ANY($1)', [tagIds])).rows
+    : [];
+
+  return {
+    error: `This post was changed by ${server.last_edited_by_name || 'someone else'} after you opened it`,
+    code: 'POST_CONFLICT',
+    server: { ...server, permissions: postPermissions(user, rows[0]) },
+    fields: diffRevisions({ ...submitted, tags: submittedTags }, server)
+  };
+}
+
+// Create/Update post
+app.post('/api/admin/posts', authenticateToken, requirePermission('posts:create'), async (req, res) => {
+  try {
+    console.log('[POST /api/admin/posts] Request received');
+    console.log('[POST /api/admin/posts] Body:', JSON.stringify(req.body, null, 2));
+    console.log('[POST /api/admin/posts] User:', req.user);
+    
+    const {
+      id,
+      title,
+      slug: providedSlug,
+      excerpt,
+      content,
+      featured_image_url,
+      featured_image_asset_id,
+      category_id,
+      status,
+      featured,
+      published_at,
+      crosspost_linkedin,
+      author_id,
+      coauthor_ids,
+      tags,
+      expected_updated_at
+    } = req.body;
+    
+    if (!title || !content) {
+      console.error('[POST /api/admin/posts] Missing required fields:', { title: !!title, content: !!content });
+      return res.status(400).json({ error: 'Title and content are required' });
+    }
+
+    const publishState = resolvePublishState(status, published_at);
+    if (publishState.error) {
+      return res.status(400).json({ error: publishState.error });
+    }
+
+    if (['published', 'scheduled'].includes(publishState.status) && !hasPermission(req.user.role, 'posts:publish')) {
+      return res.status(403).json({ error: 'You do not have permission to publish posts. Save it as a draft for review.' });
+    }
+
+    // The updated_at the editor loaded; saves without it keep last-write-wins
+    const expectedUpdatedAt = id && expected_updated_at ? new Date(expected_updated_at) : null;
+    if (expectedUpdatedAt && isNaN(expectedUpdatedAt.getTime())) {
+      return res.status(400).json({ error: 'Invalid expected_updated_at' });
+    }
+
+    await ensureSchema('publishing', PUBLISHING_SCHEMA);
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+    await ensureSchema('trash', TRASH_SCHEMA);
+    await ensureSchema('slugs', SLUG_HISTORY_SCHEMA);
+    await ensureSchema('content', CONTENT_HTML_SCHEMA);
+    // Before the UPDATE, so posts without a revision yet keep their current state
+    await ensureSchema('revisions', REVISION_SCHEMA);
+
+    const rendered = renderPostContent(content, await loadContentImages(content));
+
+    // Authorship only changes when an editor/admin reassigns it explicitly
+    const canReassignAuthor = hasPermission(req.user.role, 'posts:edit_any');
+
+    // Slugs are file names in the static mirror, so they are normalised like generated ones
+    const slug = slugify(String(providedSlug || '')) || slugify(title);
+    if (!slug) {
+      return res.status(400).json({ error: 'The slug needs at least one letter or number' });
+    }
+    if (await isPostSlugTaken(slug, id || null)) {
+      return res.status(409).json(await slugConflictResponse(slug, id || null));
+    }
+
+    const featuredImageAssetId = featured_image_asset_id || null;
+    const resolvedImageUrl = featuredImageAssetId ? null : (featured_image_url || null);
+    let previousAssetId = null;
+
+    if (id) {
+      const existingImage = await pool.query(
+        `SELECT bp.featured_image_asset_id, bp.status, bp.slug, bp.author_id, bp.updated_at,
+                ${POST_COAUTHOR_IDS_SELECT} as coauthor_ids,
+                ${POST_ARCHIVE_SLUGS_SELECT}
+         FROM blog_posts bp WHERE bp.id = $1 AND bp.deleted_at IS NULL`,
+        [id]
+      );
+
+      if (existingImage.rows.length === 0) {
+        return res.status(404).json({ error: 'Post not found' });
+      }
+
+      if (!canAccessPost(req.user, existingImage.rows[0], 'edit')) {
+        return res.status(403).json({ error: 'You do not have permission to change this post' });
+      }
+
+      const submitted = {
+        ...req.body,
+        status: publishState.status,
+        published_at: publishState.published_at
+      };
+      if (expectedUpdatedAt && new Date(existingImage.rows[0].updated_at).getTime() !== expectedUpdatedAt.getTime()) {
+        return res.status(409).json(await postConflictResponse(id, submitted, req.user));
+      }
+
+      previousAssetId = existingImage.rows[0].featured_image_asset_id;
+      const previousStatus = existingImage.rows[0].status;
+      const previousSlug = existingImage.rows[0].slug;
+      const authorId = (canReassignAuthor && author_id) || existingImage.rows[0].author_id || req.user.id;
+
+      const result = await pool.query(
+        `UPDATE blog_posts bp
+         SET title = $1, slug = $2, excerpt = $3, content = $4, 
+             featured_image_url = $5, featured_image_asset_id = $6,
+             category_id = $7, status = $8, 
+             featured = $9, published_at = $10, author_id = $11,
+             crosspost_linkedin = $13, last_edited_by = $14,
+             content_html = $15, toc = $16, word_count = $17, reading_time = $18,
+             content_html_version = $19, updated_at = NOW()
+         WHERE id = $12 AND deleted_at IS NULL
+           AND ($20::timestamp IS NULL OR date_trunc('milliseconds', updated_at) = $20::timestamp)
+         RETURNING bp.*, ${FEATURED_IMAGE_SELECT} as featured_image`,
+        [
+          title,
+          slug,
+          excerpt,
+          content,
+          resolvedImageUrl || null,
+          featuredImageAssetId,
+          category_id,
+          publishState.status,
+          featured,
+          publishState.published_at,
+          authorId,
+          id,
+          !!crosspost_linkedin,
+          req.user.id,
+          rendered.content_html,
+          JSON.stringify(rendered.toc),
+          rendered.word_count,
+          rendered.reading_time,
+          rendered.content_html_version,
+          expectedUpdatedAt
+        ]
+      );
+
+      // Another save (or the trash) got in between the check above and this write
+      if (result.rows.length === 0) {
+        const conflict = await postConflictResponse(id, submitted, req.user);
+        return conflict
+          ? res.status(409).json(conflict)
+          : res.status(404).json({ error: 'Post not found' });
+      }
+
+      // Update tags
+      if (tags && Array.isArray(tags)) {
+        await pool.query('DELETE FROM blog_post_tags WHERE post_id = $1', [id]);
+        for (const tagId of tags) {
+          if (tagId) {
+            await pool.query(
+              'INSERT INTO blog_post_tags (post_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+              [id, tagId]
+            );
+          }
+        }
+      }
+
+      if (Array.isArray(coauthor_ids)) {
+        await setPostCoauthors(id, coauthor_ids, authorId);
+      }
+
+      await recordSlugChange(id, previousSlug, slug);
+      await recordPostRevision(id, req.user.id);
+
+      const savedPost = result.rows[0];
+      if (savedPost.status === 'published' && previousStatus !== 'published') {
+        await handlePostPublished(savedPost);
+      } else {
+        await purgePublicCache([...postCacheTags(savedPost), `post-${previousSlug}`]);
+        if (previousStatus === 'published') {
+          // Edits, renames and unpublishing of a live post update the static mirror
+          const removedSlugs = savedPost.status !== 'published' || previousSlug !== savedPost.slug ? [previousSlug] : [];
+          await refreshStaticMirror([savedPost.id], { removedSlugs, ...staticArchivesOf(existingImage.rows) });
+        }
+      }
+
+      res.json(transformBlogPost(savedPost));
+    } else {
+      const authorId = (canReassignAuthor && author_id) || req.user.id;
+
+      console.log('[POST /api/admin/posts] Creating new post');
+      console.log('[POST /api/admin/posts] Insert values:', {
+        title,
+        slug,
+        excerpt: excerpt ? excerpt.substring(0, 50) + '...' : null,
+        content: content ? content.substring(0, 50) + '...' : null,
+        resolvedImageUrl,
+        featuredImageAssetId,
+        category_id,
+        status: publishState.status,
+        featured,
+        published_at: publishState.published_at,
+        author_id: authorId
+      });
+      
+      const result = await pool.query(
+        `INSERT INTO blog_posts AS bp
+         (title, slug, excerpt, content, featured_image_url, featured_image_asset_id, category_id, status, featured, published_at, author_id, crosspost_linkedin, last_edited_by,
+          content_html, toc, word_count, reading_time, content_html_version)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+         RETURNING bp.*, ${FEATURED_IMAGE_SELECT} as featured_image`,
+        [
+          title,
+          slug,
+          excerpt || null,
+          content,
+          resolvedImageUrl || null,
+          featuredImageAssetId,
+          category_id || null,
+          publishState.status,
+          featured || false,
+          publishState.published_at,
+          authorId,
+          !!crosspost_linkedin,
+          req.user.id,
+          rendered.content_html,
+          JSON.stringify(rendered.toc),
+          rendered.word_count,
+          rendered.reading_time,
+          rendered.content_html_version
+        ]
+      );
+      
+      console.log('[POST /api/admin/posts] Insert result:', result.rows.length > 0 ? 'Success' : 'No rows returned');
+
+      const newPost = transformBlogPost(result.rows[0]);
+
+      // Add tags
+      if (tags && Array.isArray(tags)) {
+        for (const tagId of tags) {
+          if (tagId) {
+            await pool.query(
+              'INSERT INTO blog_post_tags (post_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+              [newPost.id, tagId]
+            );
+          }
+        }
+      }
+
+      if (Array.isArray(coauthor_ids)) {
+        await setPostCoauthors(newPost.id, coauthor_ids, authorId);
+      }
+
+      await recordPostRevision(newPost.id, req.user.id);
+
+      if (newPost.status === 'published') {
+        await handlePostPublished(result.rows[0]);
+      }
+
+      console.log('[POST /api/admin/posts] Post created successfully:', newPost.id);
+      res.status(201).json(newPost);
+    }
+  } catch (error) {
+    console.error('[POST /api/admin/posts] Error details:', {
+      message: error.message,
+      code: error.code,
+      detail: error.detail,
+      constraint: error.constraint,
+      stack: error.stack
+    });
+    // Another save took the slug between our check and the write
+    if (error.code === '23505' && /slug/.test(error.constraint || error.detail || '')) {
+      const slug = slugify(String(req.body.slug || '')) || slugify(req.body.title);
+      try {
+        return res.status(409).json(await slugConflictResponse(slug, req.body.id || null));
+      } catch (suggestError) {
+        return res.status(409).json({ error: 'Slug already exists', code: 'SLUG_TAKEN' });
+      }
+    }
+    res.status(500).json({ 
+      error: error.message || 'Internal server error',
+      details: isDevelopment ? error.stack : undefined
+    });
+  }
+});
+
+// Delete post (moves it to the trash; tags, comments and revisions stay with it)
+app.delete('/api/admin/posts/:id', authenticateToken, requirePostAccess('delete'), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE blog_posts bp SET deleted_at = NOW(), deleted_by = $2
+       WHERE bp.id = $1 AND bp.deleted_at IS NULL
+       RETURNING bp.slug, bp.status, ${POST_ARCHIVE_SLUGS_SELECT}`,
+      [req.params.id, req.user.id]
+    );
+    if (result.rows.length > 0) {
+      await purgePublicCache(postCacheTags(result.rows[0]));
+      if (result.rows[0].status === 'published') {
+        await refreshStaticMirror([], { removedSlugs: [result.rows[0].slug], ...staticArchivesOf(result.rows) });
+      }
+    }
+    res.json({ success: true, trashed: true, retention_days: TRASH_RETENTION_DAYS });
+  } catch (error) {
+    console.error('Delete post error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Bulk actions: the access each needs on every selected post
+const BULK_POST_ACTIONS = {
+  publish: 'edit',
+  unpublish: 'edit',
+  feature: 'edit',
+  unfeature: 'edit',
+  set_category: 'edit',
+  add_tag: 'edit',
+  remove_tag: 'edit',
+  trash: 'delete'
+};
+const BULK_MAX_POSTS = 200;
+
+/**
+ * Apply one bulk action to a post locked by the caller's transaction
+ * @param {object} client - Pool client with an open transaction
+ * @param {string} action - Key of BULK_POST_ACTIONS
+ * @param {object} post - Current blog_posts row
+ * @param {object} options - { category_id, tag_id }
+ * @param {string} userId - User making the change
+ * @returns {object|null} - Updated row, or null when the post already matched
+ */
+async function applyBulkPostAction(client, action, post, options, userId) {
+  const update = async (assignments = [], params = []) => {
+    const result = await client.query(
+      `UPDATE blog_posts SET ${[...assignments, 'updated_at = NOW()', 'last_edited_by = $2'].join(', ')}
+       WHERE id = $1 RETURNING *`,
+      [post.id, userId, ...params]
+    );
+    return result.rows[0];
+  };
+
+  switch (action) {
+    case 'publish': {
+      if (post.status === 'published') return null;
+      // Goes live now; an earlier publish date is kept
+      const publishedAt = post.published_at && new Date(post.published_at) <= new Date() ? post.published_at : new Date();
+      return update(["status = 'published'", 'published_at = $3'], [publishedAt]);
+    }
+    case 'unpublish':
+      if (!['published', 'scheduled'].includes(post.status)) return null;
+      return update(["status = 'draft'"]);
+    case 'feature':
+    case 'unfeature': {
+      const featured = action === 'feature';
+      if (!!post.featured === featured) return null;
+      return update(['featured = $3'], [featured]);
+    }
+    case 'set_category':
+      if (String(post.category_id || '') === String(options.category_id || '')) return null;
+      return update(['category_id = $3'], [options.category_id || null]);
+    case 'add_tag':
+    case 'remove_tag': {
+      const result = action === 'add_tag'
+        ? await client.query(
+          'INSERT INTO blog_post_tags (post_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+          [post.id, options.tag_id]
+        )
+        : await client.query('DELETE FROM blog_post_tags WHERE post_id = $1 AND tag_id = $2', [post.id, options.tag_id]);
+      if (result.rowCount === 0) return null;
+      return update();
+    }
+    case 'trash': {
+      const result = await client.query(
+        'UPDATE blog_posts SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1 RETURNING *',
+        [post.id, userId]
+      );
+      return result.rows[0];
+    }
+    default:
+      return null;
+  }
+}
+
+// Apply one action to many posts in a single transaction, with a result per post
+app.post('/api/admin/posts/bulk', authenticateToken, requirePermission('posts:create'), async (req, res) => {
+  try {
+    const { action, ids, category_id, tag_id } = req.body || {};
+
+    if (!BULK_POST_ACTIONS[action]) {
+      return res.status(400).json({ error: `Unknown bulk action. Use one of: ${Object.keys(BULK_POST_ACTIONS).join(', ')}` });
+    }
+
+    const postIds = [...new Set((Array.isArray(ids) ? ids : []).filter(Boolean).map(String))];
+    if (postIds.length === 0) {
+      return res.status(400).json({ error: 'Select at least one post' });
+    }
+    if (postIds.length > BULK_MAX_POSTS) {
+      return res.status(400).json({ error: `Bulk actions are limited to ${BULK_MAX_POSTS} posts at a time` });
+    }
+
+    await ensureSchema('publishing', PUBLISHING_SCHEMA);
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+    await ensureSchema('trash', TRASH_SCHEMA);
+    await ensureSchema('revisions', REVISION_SCHEMA);
+
+    if (action === 'set_category' && category_id) {
+      const category = await pool.query(
+        'SELECT id FROM blog_categories WHERE id::text = $1 AND deleted_at IS NULL',
+        [String(category_id)]
+      );
+      if (category.rows.length === 0) {
+        return res.status(400).json({ error: 'Category not found' });
+      }
+    }
+
+    if (action === 'add_tag' || action === 'remove_tag') {
+      const tag = tag_id
+        ? await pool.query('SELECT id FROM blog_tags WHERE id::text = $1', [String(tag_id)])
+        : { rows: [] };
+      if (tag.rows.length === 0) {
+        return res.status(400).json({ error: 'A valid tag is required' });
+      }
+    }
+
+    const canPublish = hasPermission(req.user.role, 'posts:publish');
+    const results = [];
+    const changed = [];
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const locked = await client.query(
+        `SELECT bp.*, ${POST_COAUTHOR_IDS_SELECT} as coauthor_ids, ${POST_ARCHIVE_SLUGS_SELECT}
+         FROM blog_posts bp
+         WHERE bp.id::text = ANY($1) AND bp.deleted_at IS NULL
+         FOR UPDATE OF bp`,
+        [postIds]
+      );
+      const postsById = new Map(locked.rows.map(post => [String(post.id), post]));
+
+      for (const id of postIds) {
+        const post = postsById.get(id);
+        if (!post) {
+          results.push({ id, status: 'not_found', error: 'Post not found' });
+          continue;
+        }
+
+        const allowed = canAccessPost(req.user, post, BULK_POST_ACTIONS[action]) &&
+          (action !== 'publish' || canPublish);
+        if (!allowed) {
+          results.push({ id, title: post.title, status: 'skipped', error: 'You do not have permission to change this post' });
+          continue;
+        }
+
+        const updated = await applyBulkPostAction(client, action, post, { category_id, tag_id }, req.user.id);
+        if (!updated) {
+          results.push({ id, title: post.title, status: 'unchanged' });
+          continue;
+        }
+
+        results.push({ id, title: post.title, status: 'updated' });
+        changed.push({ before: post, after: updated });
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // History, caches and the static mirror only follow once the batch is committed
+    if (action !== 'trash') {
+      for (const { after } of changed) {
+        await recordPostRevision(after.id, req.user.id);
+      }
+    }
+
+    if (changed.length > 0) {
+      await purgePublicCache([...new Set(changed.flatMap(({ before, after }) => [
+        ...postCacheTags(after),
+        `post-${before.slug}`
+      ]))]);
+    }
+
+    for (const { before, after } of changed) {
+      if (after.status === 'published' && !after.deleted_at && before.status !== 'published') {
+        await handlePostPublished(after);
+      }
+    }
+
+    const wasLive = changed.filter(({ before }) => before.status === 'published');
+    const mirrorIds = wasLive
+      .filter(({ after }) => after.status === 'published' && !after.deleted_at)
+      .map(({ after }) => after.id);
+    const removedSlugs = wasLive
+      .filter(({ after }) => after.status !== 'published' || after.deleted_at)
+      .map(({ before }) => before.slug);
+    if (mirrorIds.length > 0 || removedSlugs.length > 0) {
+      await refreshStaticMirror(mirrorIds, { removedSlugs, ...staticArchivesOf(wasLive.map(({ before }) => before)) });
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+    res.json({
+      action,
+      summary: {
+        updated: count('updated'),
+        unchanged: count('unchanged'),
+        skipped: count('skipped') + count('not_found')
+      },
+      results,
+      ...(action === 'trash' ? { retention_days: TRASH_RETENTION_DAYS } : {})
+    });
+  } catch (error) {
+    secureErrorLog('Bulk post action error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Load a single revision of a post, or the live post when revisionId is 'current'
+async function loadRevisionForCompare(postId, revisionId) {
+  if (revisionId === 'current') {
+    const result = await dbQuery(`
+      SELECT
+        bp.*,
+        COALESCE(
+          json_agg(
+            DISTINCT jsonb_build_object('id', bt.id, 'name', bt.name, 'slug', bt.slug)
+          ) FILTER (WHERE bt.id IS NOT NULL),
+          '[]'
+        ) as tags
+      FROM blog_posts bp
+      LEFT JOIN blog_post_tags bpt ON bp.id = bpt.post_id
+      LEFT JOIN blog_tags bt ON bpt.tag_id = bt.id
+      WHERE bp.id = $1
+      GROUP BY bp.id
+    `, [postId]);
+    if (result.rows.length === 0) return null;
+    return { ...result.rows[0], id: 'current', revision_number: null, created_at: result.rows[0].updated_at };
+  }
+
+  const result = await dbQuery(
+    'SELECT * FROM blog_post_revisions WHERE id = $1 AND post_id = $2',
+    [revisionId, postId]
+  );
+  return result.rows[0] || null;
+}
+
+// List revisions for a post (newest first, content omitted)
+app.get('/api/admin/posts/:id/revisions', authenticateToken, requirePostAccess('edit'), async (req, res) => {
+  try {
+    await ensureSchema('revisions', REVISION_SCHEMA);
+
+    const result = await dbQuery(`
+      SELECT
+        r.id, r.post_id, r.revision_number, r.title, r.status, r.restored_from, r.created_at,
+        r.editor_id, u.name as editor_name, u.email as editor_email,
+        LENGTH(COALESCE(r.content, '')) as content_length
+      FROM blog_post_revisions r
+      LEFT JOIN users u ON r.editor_id = u.id
+      WHERE r.post_id = $1
+      ORDER BY r.revision_number DESC
+    `, [req.params.id]);
+
+    res.json(result.rows);
+  } catch (error) {
+    secureErrorLog('Get revisions error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Compare two revisions: ?from=<revisionId>&to=<revisionId|current>
+app.get('/api/admin/posts/:id/revisions/compare', authenticateToken, requirePostAccess('edit'), async (req, res) => {
+  try {
+    await ensureSchema('revisions', REVISION_SCHEMA);
+
+    const { id } = req.params;
+    const { from, to = 'current' } = req.query;
+
+    if (!from) {
+      return res.status(400).json({ error: 'The "from" revision is required' });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      loadRevisionForCompare(id, from),
+      loadRevisionForCompare(id, to)
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const summarize = revision => ({
+      id: revision.id,
+      revision_number: revision.revision_number,
+      title: revision.title,
+      created_at: revision.created_at
+    });
+
+    res.json({
+      from: summarize(fromRevision),
+      to: summarize(toRevision),
+      fields: diffRevisions(fromRevision, toRevision)
+    });
+  } catch (error) {
+    secureErrorLog('Compare revisions error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single revision with full content
+app.get('/api/admin/posts/:id/revisions/:revisionId', authenticateToken, requirePostAccess('edit'), async (req, res) => {
+  try {
+    await ensureSchema('revisions', REVISION_SCHEMA);
+
+    const revision = await loadRevisionForCompare(req.params.id, req.params.revisionId);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    secureErrorLog('Get revision error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restore a revision as the current draft
+app.post('/api/admin/posts/:id/revisions/:revisionId/restore', authenticateToken, requirePostAccess('edit'), async (req, res) => {
+  try {
+    await ensureSchema('revisions', REVISION_SCHEMA);
+
+    const { id, revisionId } = req.params;
+    const revision = await loadRevisionForCompare(id, revisionId);
+
+    if (!revision || revisionId === 'current') {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    await ensureSchema('content', CONTENT_HTML_SCHEMA);
+    const rendered = renderPostContent(revision.content, await loadContentImages(revision.content));
+
+    // Restoring makes the post a draft, so a published one leaves the static mirror and its archives
+    const before = await dbQuery(
+      `SELECT bp.slug, bp.status, ${POST_ARCHIVE_SLUGS_SELECT} FROM blog_posts bp WHERE bp.id = $1`,
+      [id]
+    );
+
+    // The slug is left alone so existing links keep working.
+    // Categories and tags deleted since the revision are dropped.
+    const result = await dbQuery(
+      `UPDATE blog_posts bp
+       SET title = $1, excerpt = $2, content = $3,
+           featured_image_url = $4, featured_image_asset_id = $5,
+           category_id = (SELECT id FROM blog_categories WHERE id = $6),
+           featured = $7, status = 'draft',
+           content_html = $9, toc = $10, word_count = $11, reading_time = $12,
+           content_html_version = $13, updated_at = NOW()
+       WHERE id = $8
+       RETURNING bp.*, ${FEATURED_IMAGE_SELECT} as featured_image`,
+      [
+        revision.title,
+        revision.excerpt,
+        revision.content,
+        revision.featured_image_url,
+        revision.featured_image_asset_id,
+        revision.category_id,
+        revision.featured,
+        id,
+        rendered.content_html,
+        JSON.stringify(rendered.toc),
+        rendered.word_count,
+        rendered.reading_time,
+        rendered.content_html_version
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const tagIds = (revision.tags || []).map(tag => tag.id).filter(Boolean);
+    await dbQuery('DELETE FROM blog_post_tags WHERE post_id = $1', [id]);
+    if (tagIds.length > 0) {
+      await dbQuery(
+        `INSERT INTO blog_post_tags (post_id, tag_id)
+         SELECT $1, bt.id FROM blog_tags bt WHERE bt.id::text = ANY($2::text[])
+         ON CONFLICT DO NOTHING`,
+        [id, tagIds]
+      );
+    }
+
+    const newRevision = await recordPostRevision(id, req.user.id, revision.id);
+
+    // The post is back to a draft with the revision's tags; drop it from listings and related posts
+    await purgePublicCache(postCacheTags(result.rows[0]));
+    if (before.rows.length > 0 && before.rows[0].status === 'published') {
+      await refreshStaticMirror([], { removedSlugs: [before.rows[0].slug], ...staticArchivesOf(before.rows) });
+    }
+
+    res.json({
+      post: transformBlogPost(result.rows[0]),
+      revision: newRevision
+    });
   } catch (error) {
-    secureErrorLog('[MEDIA ROUTE] Error:', error.message);
+    secureErrorLog('Restore revision error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// ============================================
-// AUTH ROUTES
-// ============================================
-
-// Register - DISABLED: Registration is disabled. Admins must be created directly in the database.
-app.post('/api/auth/register', (req, res) => {
-  res.status(403).json({ error: 'Registration is disabled. Contact an administrator.' });
+// Get categories (admin)
+app.get('/api/admin/categories', authenticateToken, requirePermission('posts:view'), async (req, res) => {
+  try {
+    await ensureSchema('trash', TRASH_SCHEMA);
+    const result = await pool.query('SELECT * FROM blog_categories WHERE deleted_at IS NULL ORDER BY name ASC');
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Login
-app.post('/api/auth/login', [
-  body('email').isEmail().normalizeEmail(),
-  body('password').notEmpty().isLength({ min: 1, max: 200 })
-], async (req, res) => {
+// Create/Update category
+app.post('/api/admin/categories', authenticateToken, requirePermission('categories:manage'), async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      secureErrorLog('[LOGIN] Validation errors:', errors.array());
-      return res.status(400).json({ error: 'Invalid email or password' });
+    const { id, name, slug: providedSlug, description, color } = req.body;
+    
+    // Validate required fields
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Category name is required' });
     }
-
-    const { email, password } = req.body;
-    const normalizedEmail = email.toLowerCase().trim();
     
-    secureLog('[LOGIN] Attempting login for:', normalizedEmail);
-
-    // Try to select with all possible columns, handle missing columns gracefully
-    // Try both exact match and case-insensitive match
-    let result = await dbQuery(
-      'SELECT id, email, password_hash, created_at, name, role FROM users WHERE LOWER(email) = LOWER($1)',
-      [normalizedEmail]
-    );
+    const slug = slugify(String(providedSlug || '')) || slugify(name);
     
-    if (result.rows.length === 0) {
-      // Try exact match as fallback
-      result = await dbQuery(
-        'SELECT id, email, password_hash, created_at, name, role FROM users WHERE email = $1',
-        [normalizedEmail]
-      );
+    if (!slug) {
+      return res.status(400).json({ error: 'Category slug is required' });
     }
 
-    if (result.rows.length === 0) {
-      secureErrorLog('[LOGIN] User not found:', email);
-      return res.status(401).json({ error: 'Invalid email or password' });
-    }
+    // Handle empty string as null for id
+    const categoryId = id && id.trim() !== '' ? id : null;
 
-    const user = result.rows[0];
-    
-    if (!user.password_hash) {
-      secureErrorLog('[LOGIN] User found but password_hash is missing:', email);
-      return res.status(401).json({ error: 'Invalid email or password' });
+    await ensureSchema('trash', TRASH_SCHEMA);
+
+    // Trashed categories keep their slug so they can be restored
+    const trashed = await pool.query(
+      'SELECT id FROM blog_categories WHERE slug = $1 AND deleted_at IS NOT NULL',
+      [slug.trim()]
+    );
+    if (trashed.rows.length > 0) {
+      return res.status(409).json({ error: 'A category with this slug is in the trash. Restore it or delete it permanently first.' });
     }
 
-    secureLog('[LOGIN] User found:', {
-      id: user.id,
-      email: user.email,
-      has_password: !!user.password_hash
-    });
-    
-    secureLog('[LOGIN] Comparing password for:', normalizedEmail);
-    const validPassword = await bcrypt.compare(password, user.password_hash);
+    if (categoryId) {
+      // Update existing category
+      const result = await pool.query(
+        'UPDATE blog_categories SET name = $1, slug = $2, description = $3, color = $4 WHERE id = $5 AND deleted_at IS NULL RETURNING *',
+        [name.trim(), slug.trim(), description ? description.trim() : null, color || '#0c71c3', categoryId]
+      );
+      
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+      
+      res.json(result.rows[0]);
+    } else {
+      // Create new category - check for duplicate slug first
+      const existing = await pool.query(
+        'SELECT id FROM blog_categories WHERE slug = $1',
+        [slug.trim()]
+      );
+      
+      if (existing.rows.length > 0) {
+        return res.status(409).json({ error: 'A category with this slug already exists' });
+      }
+      
+      const result = await pool.query(
+        'INSERT INTO blog_categories (name, slug, description, color) VALUES ($1, $2, $3, $4) RETURNING *',
+        [name.trim(), slug.trim(), description ? description.trim() : null, color || '#0c71c3']
+      );
+      res.status(201).json(result.rows[0]);
+    }
+  } catch (error) {
+    console.error('Save category error:', error);
     
-    secureLog('[LOGIN] Password comparison result:', validPassword);
+    // Handle unique constraint violations
+    if (error.code === '23505') { // PostgreSQL unique violation
+      return res.status(409).json({ error: 'A category with this name or slug already exists' });
+    }
     
-    if (!validPassword) {
-      secureErrorLog('[LOGIN] Password mismatch for:', normalizedEmail);
-      return res.status(401).json({ error: 'Invalid email or password' });
+    // Handle foreign key violations
+    if (error.code === '23503') {
+      return res.status(400).json({ error: 'Invalid category reference' });
     }
+    
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
 
-    secureLog('[LOGIN] Password valid, generating token for:', email);
-    const token = jwt.sign(
-      { id: user.id, email: user.email },
-      JWT_SECRET,
-      { expiresIn: '7d' }
+// Delete category (moves it to the trash; its posts show no category until it is restored)
+app.delete('/api/admin/categories/:id', authenticateToken, requirePermission('categories:manage'), async (req, res) => {
+  try {
+    await ensureSchema('trash', TRASH_SCHEMA);
+    const result = await pool.query(
+      'UPDATE blog_categories SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1 AND deleted_at IS NULL RETURNING id, slug',
+      [req.params.id, req.user.id]
     );
-
-    res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name || null,
-        role: user.role || 'admin',
-        created_at: user.created_at
-      },
-      access_token: token
-    });
+    if (result.rows.length > 0) {
+      await purgePublicCache(['posts']);
+      await refreshStaticCategory(result.rows[0]);
+    }
+    res.json({ success: true, trashed: true, retention_days: TRASH_RETENTION_DAYS });
   } catch (error) {
-    secureErrorLog('[LOGIN] Error:', error.message);
+    console.error('Delete category error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Test endpoint to check if user exists (for debugging)
-// Usage: /api/auth/test-user?email=chriswdixon@gmail.com
-// Test endpoint - REMOVED for security
-// This endpoint exposed sensitive user information and internal structure
-// Use database tools directly for testing in development
-
-// Get current user
-app.get('/api/auth/user', authenticateToken, async (req, res) => {
+// Get tags (admin)
+app.get('/api/admin/tags', authenticateToken, requirePermission('posts:view'), async (req, res) => {
   try {
-    const result = await pool.query(
-      'SELECT id, email, name, role, created_at FROM users WHERE id = $1',
-      [req.user.id]
-    );
+    const result = await pool.query('SELECT * FROM blog_tags ORDER BY name ASC');
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'User not found' });
+// Create or get tag
+app.post('/api/admin/tags', authenticateToken, requirePermission('tags:create'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    const slug = slugify(String(req.body.slug || name || ''));
+    if (!name || !slug) {
+      return res.status(400).json({ error: 'Tag name is required' });
+    }
+    
+    let result = await pool.query('SELECT * FROM blog_tags WHERE slug = $1', [slug]);
+    
+    if (result.rows.length > 0) {
+      res.json(result.rows[0]);
+    } else {
+      result = await pool.query(
+        'INSERT INTO blog_tags (name, slug) VALUES ($1, $2) RETURNING *',
+        [name, slug]
+      );
+      res.status(201).json(result.rows[0]);
     }
-
-    res.json({ user: result.rows[0] });
   } catch (error) {
-    secureErrorLog('Get user error:', error.message);
+    console.error('Create tag error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// ============================================
-// BLOG PUBLIC ROUTES
-// ============================================
+// Delete tag
+app.delete('/api/admin/tags/:id', authenticateToken, requirePermission('tags:manage'), async (req, res) => {
+  try {
+    await pool.query('DELETE FROM blog_tags WHERE id = $1', [req.params.id]);
+    await purgePublicCache(['posts', 'tags']);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-// Get single post by slug
-app.get('/api/blog/posts/:slug', async (req, res) => {
+// Get comments (admin)
+app.get('/api/admin/comments', authenticateToken, requirePermission('comments:moderate'), async (req, res) => {
   try {
-    const { slug } = req.params;
-    
-    const result = await dbQuery(`
+    const { status } = req.query;
+    await ensureSchema('trash', TRASH_SCHEMA);
+
+    // Comments on trashed posts go to the trash with the post
+    let query = `
       SELECT 
-        bp.*,
-        bc.name as category_name,
-        bc.slug as category_slug,
-        bc.color as category_color,
-        fia.id as featured_image_asset_id,
-        fia.mime_type as featured_image_asset_mime_type,
-        COALESCE(
-          json_agg(
-            DISTINCT jsonb_build_object(
-              'id', bt.id,
-              'name', bt.name,
-              'slug', bt.slug
-            )
-          ) FILTER (WHERE bt.id IS NOT NULL),
-          '[]'
-        ) as tags
-      FROM blog_posts bp
-      LEFT JOIN media_assets fia ON bp.featured_image_asset_id = fia.id
-      LEFT JOIN blog_categories bc ON bp.category_id = bc.id
-      LEFT JOIN blog_post_tags bpt ON bp.id = bpt.post_id
-      LEFT JOIN blog_tags bt ON bpt.tag_id = bt.id
-      WHERE bp.slug = $1 AND bp.status = 'published'
-      GROUP BY bp.id, bc.id, bc.name, bc.slug, bc.color, fia.id, fia.mime_type
-    `, [slug]);
+        c.*,
+        bp.title as post_title,
+        bp.slug as post_slug,
+        u.name as user_name
+      FROM comments c
+      LEFT JOIN blog_posts bp ON c.post_id = bp.id
+      LEFT JOIN users u ON c.user_id = u.id
+      WHERE c.deleted_at IS NULL AND bp.deleted_at IS NULL
+    `;
+    
+    const params = [];
+    if (status) {
+      query += ' AND c.status = $1';
+      params.push(status);
+    }
+    
+    query += ' ORDER BY c.created_at DESC';
+    
+    const result = await pool.query(query, params);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update comment status
+app.put('/api/admin/comments/:id', authenticateToken, requirePermission('comments:moderate'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    await ensureSchema('trash', TRASH_SCHEMA);
+    const result = await pool.query(
+      'UPDATE comments SET status = $1 WHERE id = $2 AND deleted_at IS NULL RETURNING *',
+      [status, id]
+    );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Post not found' });
+      return res.status(404).json({ error: 'Comment not found' });
     }
 
-    res.json(transformBlogPost(result.rows[0]));
+    res.json(result.rows[0]);
   } catch (error) {
-    secureErrorLog('Get post error:', error.message);
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: isDevelopment ? error.message : 'Failed to fetch post'
-    });
+    console.error('Update comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get blog posts (public)
-app.get('/api/blog/posts', async (req, res) => {
+// Delete comment (moves it to the trash; its replies are hidden with it)
+app.delete('/api/admin/comments/:id', authenticateToken, requirePermission('comments:moderate'), async (req, res) => {
   try {
-    const {
-      featured,
-      category,
-      search,
-      sort = 'newest',
-      page = 1,
-      limit = 6
-    } = req.query;
-
-    let query = `
-      SELECT 
-        bp.*,
-        bc.name as category_name,
-        bc.slug as category_slug,
-        bc.color as category_color,
-        fia.id as featured_image_asset_id,
-        fia.mime_type as featured_image_asset_mime_type,
-        COALESCE(
-          json_agg(
-            DISTINCT jsonb_build_object(
-              'name', bt.name,
-              'slug', bt.slug
-            )
-          ) FILTER (WHERE bt.id IS NOT NULL),
-          '[]'
-        ) as tags
-      FROM blog_posts bp
-      LEFT JOIN media_assets fia ON bp.featured_image_asset_id = fia.id
-      LEFT JOIN blog_categories bc ON bp.category_id = bc.id
-      LEFT JOIN blog_post_tags bpt ON bp.id = bpt.post_id
-      LEFT JOIN blog_tags bt ON bpt.tag_id = bt.id
-      WHERE bp.status = 'published'
-    `;
+    await ensureSchema('trash', TRASH_SCHEMA);
+    await pool.query(
+      'UPDATE comments SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1 AND deleted_at IS NULL',
+      [req.params.id, req.user.id]
+    );
+    res.json({ success: true, trashed: true, retention_days: TRASH_RETENTION_DAYS });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    const params = [];
-    let paramCount = 1;
+// Who may restore or purge trashed categories and comments; posts use canAccessPost
+const TRASH_PERMISSIONS = {
+  categories: 'categories:manage',
+  comments: 'comments:moderate'
+};
 
-    if (featured === 'true') {
-      query += ` AND bp.featured = true`;
+/**
+ * Middleware: load the trashed item in req.params.type / req.params.id and check
+ * the user may restore or purge it. Must run after authenticateToken. Sets req.trashed.
+ */
+async function requireTrashAccess(req, res, next) {
+  try {
+    const { type, id } = req.params;
+    if (!TRASH_TABLES[type]) {
+      return res.status(404).json({ error: 'Unknown item type' });
     }
 
-    if (category && category !== 'all') {
-      query += ` AND bc.slug = $${paramCount}`;
-      params.push(category);
-      paramCount++;
+    const role = await loadUserRole(req);
+    if (!role) {
+      return res.status(401).json({ error: 'User not found' });
     }
 
-    if (search) {
-      query += ` AND (bp.title ILIKE $${paramCount} OR bp.excerpt ILIKE $${paramCount} OR bp.content ILIKE $${paramCount})`;
-      params.push(`%${search}%`);
-      paramCount++;
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+    await ensureSchema('trash', TRASH_SCHEMA);
+    const result = await dbQuery(
+      type === 'posts'
+        ? `SELECT bp.id, bp.slug, bp.status, bp.author_id, ${POST_COAUTHOR_IDS_SELECT} as coauthor_ids
+           FROM blog_posts bp WHERE bp.id = $1 AND bp.deleted_at IS NOT NULL`
+        : `SELECT id FROM ${TRASH_TABLES[type]} WHERE id = $1 AND deleted_at IS NOT NULL`,
+      [id]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Item not found in the trash' });
     }
 
-    query += ` GROUP BY bp.id, bc.id, bp.title, bp.slug, bp.excerpt, bp.content, bp.featured_image_url, bp.category_id, bp.status, bp.featured, bp.view_count, bp.published_at, bp.created_at, bp.updated_at, fia.id, fia.mime_type`;
-
-    switch (sort) {
-      case 'newest':
-        query += ` ORDER BY bp.published_at DESC NULLS LAST`;
-        break;
-      case 'oldest':
-        query += ` ORDER BY bp.published_at ASC NULLS LAST`;
-        break;
-      case 'popular':
-        query += ` ORDER BY bp.view_count DESC`;
-        break;
-      default:
-        query += ` ORDER BY bp.published_at DESC NULLS LAST`;
-    }
-
-    const offset = (parseInt(page) - 1) * parseInt(limit);
-    query += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
-    params.push(parseInt(limit), offset);
+    const allowed = type === 'posts'
+      ? canAccessPost(req.user, result.rows[0], 'delete')
+      : hasPermission(role, TRASH_PERMISSIONS[type]);
+    if (!allowed) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
 
-    const result = await dbQuery(query, params);
-    res.json(result.rows.map(transformBlogPost));
+    req.trashed = result.rows[0];
+    next();
   } catch (error) {
-    // Error logged above via secureErrorLog
-    const isDevelopment = process.env.NODE_ENV === 'development' || process.env.NETLIFY_DEV === 'true';
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: isDevelopment ? error.message : 'Failed to fetch posts. Please check database setup.',
-      code: error.code || 'UNKNOWN'
-    });
+    secureErrorLog('Trash permission check error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
-});
+}
 
-// Get categories
-app.get('/api/blog/categories', async (req, res) => {
+// List the trash, limited to what this user may restore
+app.get('/api/admin/trash', authenticateToken, requirePermission('posts:view'), async (req, res) => {
   try {
-    const result = await dbQuery('SELECT * FROM blog_categories ORDER BY name ASC');
-    res.json(result.rows);
-  } catch (error) {
-    console.error('Get categories error:', error);
-    const isDevelopment = process.env.NODE_ENV === 'development' || process.env.NETLIFY_DEV === 'true';
-    res.status(500).json({ 
-      error: 'Internal server error',
-      message: isDevelopment ? error.message : 'Failed to fetch categories. Please check database setup.',
-      code: error.code || 'UNKNOWN'
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+    await ensureSchema('trash', TRASH_SCHEMA);
+
+    const purgeAt = "t.deleted_at + make_interval(days => $1) as purge_at";
+    const [posts, categories, comments] = await Promise.all([
+      dbQuery(`
+        SELECT t.id, t.title, t.slug, t.status, t.author_id, t.deleted_at, ${purgeAt},
+          u.name as deleted_by_name,
+          (SELECT COALESCE(array_agg(bpa.user_id::text), '{}') FROM blog_post_authors bpa WHERE bpa.post_id = t.id) as coauthor_ids
+        FROM blog_posts t
+        LEFT JOIN users u ON t.deleted_by = u.id
+        WHERE t.deleted_at IS NOT NULL
+        ORDER BY t.deleted_at DESC
+      `, [TRASH_RETENTION_DAYS]),
+      hasPermission(req.user.role, TRASH_PERMISSIONS.categories)
+        ? dbQuery(`
+            SELECT t.id, t.name, t.slug, t.color, t.deleted_at, ${purgeAt}, u.name as deleted_by_name,
+              (SELECT COUNT(*)::int FROM blog_posts bp WHERE bp.category_id = t.id AND bp.deleted_at IS NULL) as post_count
+            FROM blog_categories t
+            LEFT JOIN users u ON t.deleted_by = u.id
+            WHERE t.deleted_at IS NOT NULL
+            ORDER BY t.deleted_at DESC
+          `, [TRASH_RETENTION_DAYS])
+        : { rows: [] },
+      hasPermission(req.user.role, TRASH_PERMISSIONS.comments)
+        ? dbQuery(`
+            SELECT t.id, t.author_name, t.content, t.status, t.deleted_at, ${purgeAt}, u.name as deleted_by_name,
+              bp.title as post_title, bp.slug as post_slug
+            FROM comments t
+            LEFT JOIN users u ON t.deleted_by = u.id
+            LEFT JOIN blog_posts bp ON t.post_id = bp.id
+            WHERE t.deleted_at IS NOT NULL
+            ORDER BY t.deleted_at DESC
+          `, [TRASH_RETENTION_DAYS])
+        : { rows: [] }
+    ]);
+
+    res.json({
+      retention_days: TRASH_RETENTION_DAYS,
+      posts: posts.rows
+        .filter(post => canAccessPost(req.user, post, 'delete'))
+        .map(({ author_id: _authorId, coauthor_ids: _coauthorIds, ...post }) => post),
+      categories: categories.rows,
+      comments: comments.rows
     });
+  } catch (error) {
+    secureErrorLog('Get trash error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get tags
-app.get('/api/blog/tags', async (req, res) => {
+// Restore an item from the trash
+app.post('/api/admin/trash/:type/:id/restore', authenticateToken, requireTrashAccess, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM blog_tags ORDER BY name ASC');
-    res.json(result.rows);
+    const { type } = req.params;
+    const result = await dbQuery(
+      `UPDATE ${TRASH_TABLES[type]} SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 RETURNING *`,
+      [req.trashed.id]
+    );
+    const restored = result.rows[0];
+
+    if (type === 'posts') {
+      await purgePublicCache(postCacheTags(restored));
+      if (restored.status === 'published') {
+        await refreshStaticMirror([restored.id]);
+      }
+    } else if (type === 'categories') {
+      await purgePublicCache(['posts']);
+      await refreshStaticCategory(restored);
+    }
+
+    res.json(type === 'posts' ? transformBlogPost(restored) : restored);
   } catch (error) {
-    console.error('Get tags error:', error);
+    secureErrorLog('Restore from trash error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Increment view count
-app.post('/api/blog/posts/:id/view', async (req, res) => {
+// Permanently delete an item from the trash
+app.delete('/api/admin/trash/:type/:id', authenticateToken, requireTrashAccess, async (req, res) => {
   try {
-    await pool.query(
-      'UPDATE blog_posts SET view_count = view_count + 1 WHERE id = $1',
-      [req.params.id]
-    );
+    await dbQuery(`DELETE FROM ${TRASH_TABLES[req.params.type]} WHERE id = $1`, [req.trashed.id]);
     res.json({ success: true });
   } catch (error) {
-    secureErrorLog('Increment view error:', error.message);
+    secureErrorLog('Purge from trash error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get comments for a post
-app.get('/api/blog/posts/:postId/comments', async (req, res) => {
+// Upload media - saves to GitHub repo
+app.post('/api/admin/upload', authenticateToken, requirePermission('media:upload'), upload.single('file'), async (req, res) => {
   try {
-    const { postId } = req.params;
-    
-    // Helper function to check if string is a UUID
-    const isUUID = (str) => {
-      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-      return uuidRegex.test(str);
-    };
-    
-    // Resolve post ID - check if it's a UUID or a slug
-    let actualPostId = postId;
-    if (!isUUID(postId)) {
-      // It's a slug, look up the post ID
-      const postResult = await pool.query('SELECT id FROM blog_posts WHERE slug = $1', [postId]);
-      if (postResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Post not found' });
-      }
-      actualPostId = postResult.rows[0].id;
+    const file = req.file;
+    if (!file) {
+      return res.status(400).json({ error: 'File is required' });
     }
-    
-    const result = await pool.query(`
-      SELECT 
-        c.*,
-        u.name as user_name,
-        u.email as user_email
-      FROM comments c
-      LEFT JOIN users u ON c.user_id = u.id
-      WHERE c.post_id = $1 AND c.status = 'approved'
-      ORDER BY c.created_at ASC
-    `, [actualPostId]);
-
-    // Build nested structure
-    const commentsMap = new Map();
-    const rootComments = [];
 
-    result.rows.forEach(comment => {
-      commentsMap.set(comment.id, { ...comment, replies: [] });
-    });
+    const context = (req.body?.context || 'blog').toString().trim().toLowerCase();
+    const asset = await createMediaAsset(file, context, req.user.id);
 
-    result.rows.forEach(comment => {
-      const commentObj = commentsMap.get(comment.id);
-      if (comment.parent_id) {
-        const parent = commentsMap.get(comment.parent_id);
-        if (parent) {
-          parent.replies.push(commentObj);
-        }
-      } else {
-        rootComments.push(commentObj);
-      }
+    res.json({
+      asset_id: asset.id,
+      url: asset.url, // Relative path like /assets/images/posts/uuid.jpg
+      path: asset.path, // Full path in repo
+      mime_type: asset.mime_type,
+      size: asset.file_size,
+      filename: asset.filename,
+      width: asset.width,
+      height: asset.height,
+      variants: asset.variants,
+      github_url: asset.github_url
     });
-
-    res.json(rootComments);
   } catch (error) {
-    console.error('Get comments error:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Upload error:', error);
+    if (error.message.includes('GITHUB_TOKEN')) {
+      res.status(500).json({ error: 'GitHub integration not configured. Please set GITHUB_TOKEN environment variable.' });
+    } else {
+      res.status(500).json({ error: error.message || 'Internal server error' });
+    }
   }
 });
 
-// Post comment
-app.post('/api/blog/posts/:postId/comments', [
-  body('author_name').notEmpty().trim(),
-  body('author_email').optional().isEmail().normalizeEmail(),
-  body('content').notEmpty().trim()
-], async (req, res) => {
-  try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ error: 'Invalid input' });
+// ============================================
+// MEDIA LIBRARY
+// ============================================
+
+// Posts aliased bp that show the asset aliased ma, as their featured image or in their
+// Markdown. Trashed posts count too, since restoring one would bring the reference back.
+const MEDIA_USAGE_CONDITION = `(
+  bp.featured_image_asset_id = ma.id
+  OR position(ma.blob_key in concat_ws(' ', bp.featured_image_url, bp.content)) > 0
+  OR position(('/api/media/' || ma.id) in concat_ws(' ', bp.featured_image_url, bp.content)) > 0
+)`;
+
+const MEDIA_LIBRARY_SELECT = `
+  SELECT
+    ma.id, ma.filename, ma.mime_type, ma.file_size, ma.blob_key, ma.context,
+    ma.width, ma.height, ma.variants, ma.alt_text, ma.caption, ma.uploaded_by,
+    ma.created_at, ma.updated_at,
+    u.name as uploaded_by_name,
+    (SELECT COUNT(*)::int FROM blog_posts bp WHERE ${MEDIA_USAGE_CONDITION}) as usage_count
+  FROM media_assets ma
+  LEFT JOIN users u ON ma.uploaded_by = u.id
+`;
+
+// Uploads committed to the repo, as opposed to early ones kept in Netlify Blobs
+function isRepoAsset(asset) {
+  return !!asset.blob_key && asset.blob_key.startsWith('assets/');
+}
+
+function canManageMedia(user, asset) {
+  return hasPermission(user.role, 'media:manage') ||
+    (!!asset.uploaded_by && String(asset.uploaded_by) === String(user.id) && hasPermission(user.role, 'media:upload'));
+}
+
+/**
+ * Library entry for the admin UI
+ * @param {object} asset - Row from MEDIA_LIBRARY_SELECT
+ * @param {object} user - req.user, for the permission flags
+ */
+function mediaLibraryItem(asset, user) {
+  const { blob_key: blobKey, variants, ...fields } = asset;
+  const repo = isRepoAsset(asset);
+  // The smallest copy in the main file's format is plenty for a thumbnail
+  const thumbnail = (variants || [])
+    .filter(variant => variant.mime_type === asset.mime_type)
+    .sort((a, b) => a.width - b.width)[0];
+  const manage = canManageMedia(user, asset);
+
+  return {
+    ...fields,
+    path: repo ? blobKey : null,
+    url: repo ? `/${blobKey}` : buildMediaUrl(asset.id),
+    // For post Markdown, which is also read on the Pages site where root-relative URLs miss the project path
+    public_url: repo ? `${PUBLIC_SITE_URL}/${blobKey}` : `${PUBLIC_API_URL}${buildMediaUrl(asset.id)}`,
+    preview_url: repo ? resolveRepoImageUrl(thumbnail ? thumbnail.path : blobKey, isImageDeployed(asset)) : buildMediaUrl(asset.id),
+    image: responsiveImage(asset),
+    variant_count: (variants || []).length,
+    permissions: {
+      edit: manage,
+      delete: manage && asset.usage_count === 0
     }
+  };
+}
 
-    const { postId } = req.params;
-    const { author_name, author_email, author_url, content, parent_id, user_id } = req.body;
+/**
+ * Turn media library query parameters into a WHERE condition
+ * @param {object} query - req.query: context, type, q, unused
+ * @returns {object} - { condition, params } or { error }
+ */
+function buildMediaFilters(query) {
+  const conditions = [];
+  const params = [];
+  const param = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
 
-    // Helper function to check if string is a UUID
-    const isUUID = (str) => {
-      const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-      return uuidRegex.test(str);
-    };
-    
-    // Resolve post ID - check if it's a UUID or a slug
-    let actualPostId = postId;
-    if (!isUUID(postId)) {
-      // It's a slug, look up the post ID
-      const postCheck = await pool.query('SELECT id FROM blog_posts WHERE slug = $1', [postId]);
-      if (postCheck.rows.length === 0) {
-        return res.status(404).json({ error: 'Post not found' });
-      }
-      actualPostId = postCheck.rows[0].id;
-    } else {
-      // It's a UUID, verify post exists
-      const postCheck = await pool.query('SELECT id FROM blog_posts WHERE id = $1', [postId]);
-      if (postCheck.rows.length === 0) {
-        return res.status(404).json({ error: 'Post not found' });
-      }
+  if (query.context) {
+    conditions.push(`ma.context = ${param(String(query.context).trim().toLowerCase())}`);
+  }
+
+  // A MIME type (image/png) or just its top-level type (image)
+  if (query.type) {
+    const type = String(query.type).trim().toLowerCase();
+    if (!/^[a-z]+(\/[a-z0-9.+-]+)?$/.test(type)) {
+      return { error: 'type must be a MIME type such as image/png, or image' };
     }
+    conditions.push(type.includes('/')
+      ? `ma.mime_type = ${param(type)}`
+      : `ma.mime_type LIKE ${param(`${type}/%`)}`);
+  }
 
-    const result = await pool.query(
-      `INSERT INTO comments (post_id, parent_id, author_name, author_email, author_url, content, status, user_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       RETURNING *`,
-      [
-        actualPostId,
-        parent_id || null,
-        author_name,
-        author_email || null,
-        author_url || null,
-        content,
-        user_id ? 'approved' : 'pending', // Auto-approve authenticated users
-        user_id || null
-      ]
-    );
+  if (query.q) {
+    const pattern = `%${String(query.q).trim().replace(/[\\%_]/g, match => `\\${match}`)}%`;
+    const patternParam = param(pattern);
+    conditions.push(`(ma.filename ILIKE ${patternParam} OR ma.alt_text ILIKE ${patternParam} OR ma.caption ILIKE ${patternParam})`);
+  }
 
-    res.status(201).json(result.rows[0]);
+  if (query.unused === 'true') {
+    conditions.push(`NOT EXISTS (SELECT 1 FROM blog_posts bp WHERE ${MEDIA_USAGE_CONDITION})`);
+  }
+
+  return { condition: conditions.length > 0 ? conditions.join(' AND ') : 'TRUE', params };
+}
+
+// Posts referencing an asset, and whether as the featured image, in the content or both
+async function loadMediaUsage(assetId) {
+  const result = await dbQuery(
+    `SELECT
+       bp.id, bp.title, bp.slug, bp.status, bp.deleted_at,
+       (bp.featured_image_asset_id = ma.id
+         OR position(ma.blob_key in COALESCE(bp.featured_image_url, '')) > 0
+         OR position(('/api/media/' || ma.id) in COALESCE(bp.featured_image_url, '')) > 0) IS TRUE as featured,
+       (position(ma.blob_key in COALESCE(bp.content, '')) > 0
+         OR position(('/api/media/' || ma.id) in COALESCE(bp.content, '')) > 0) IS TRUE as in_content
+     FROM media_assets ma
+     JOIN blog_posts bp ON ${MEDIA_USAGE_CONDITION}
+     WHERE ma.id = $1
+     ORDER BY bp.deleted_at IS NOT NULL, bp.updated_at DESC`,
+    [assetId]
+  );
+  return result.rows.map(({ deleted_at: deletedAt, ...post }) => ({ ...post, trashed: !!deletedAt }));
+}
+
+/**
+ * Middleware: load the asset in req.params.id and check the user may edit or
+ * delete it. Must run after authenticateToken. Sets req.asset.
+ */
+async function requireMediaAccess(req, res, next) {
+  try {
+    const role = await loadUserRole(req);
+    if (!role) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    await ensureSchema('media', MEDIA_SCHEMA);
+    const result = await dbQuery(`${MEDIA_LIBRARY_SELECT} WHERE ma.id::text = $1`, [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+    if (!canManageMedia(req.user, result.rows[0])) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    req.asset = result.rows[0];
+    next();
   } catch (error) {
-    secureErrorLog('Post comment error:', error.message);
+    secureErrorLog('Media permission check error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
-});
+}
 
-// Newsletter subscription
-app.post('/api/blog/newsletter', [
-  body('email').isEmail().normalizeEmail()
-], async (req, res) => {
+// List the media library, newest first: { items, total, page, limit, total_pages, contexts }
+app.get('/api/admin/media', authenticateToken, requirePermission('media:upload'), async (req, res) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ error: 'Invalid email' });
-    }
-
-    const { email } = req.body;
-
-    const existing = await pool.query(
-      'SELECT id FROM newsletter_subscribers WHERE email = $1',
-      [email]
-    );
+    await ensureSchema('media', MEDIA_SCHEMA);
 
-    if (existing.rows.length > 0) {
-      return res.status(400).json({ error: 'Email already subscribed' });
+    const filters = buildMediaFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
     }
 
-    await pool.query(
-      'INSERT INTO newsletter_subscribers (email, subscribed_at) VALUES ($1, NOW())',
-      [email]
-    );
+    const pageSize = Math.min(Math.max(parseInt(req.query.limit) || 24, 1), 100);
+    const pageNumber = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitParam = filters.params.length + 1;
+
+    const [rows, count, contexts] = await Promise.all([
+      dbQuery(
+        `${MEDIA_LIBRARY_SELECT}
+         WHERE ${filters.condition}
+         ORDER BY ma.created_at DESC, ma.id DESC
+         LIMIT $${limitParam} OFFSET $${limitParam + 1}`,
+        [...filters.params, pageSize, (pageNumber - 1) * pageSize]
+      ),
+      dbQuery(`SELECT COUNT(*)::int as total FROM media_assets ma WHERE ${filters.condition}`, filters.params),
+      dbQuery('SELECT DISTINCT context FROM media_assets WHERE context IS NOT NULL ORDER BY context')
+    ]);
+    const total = count.rows[0].total;
 
-    res.json({ message: 'Successfully subscribed to newsletter' });
+    res.json({
+      items: rows.rows.map(asset => mediaLibraryItem(asset, req.user)),
+      total,
+      page: pageNumber,
+      limit: pageSize,
+      total_pages: Math.max(Math.ceil(total / pageSize), 1),
+      contexts: contexts.rows.map(row => row.context)
+    });
   } catch (error) {
-    secureErrorLog('Newsletter subscription error:', error.message);
+    secureErrorLog('Get media library error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// ============================================
-// ADMIN ROUTES (Protected)
-// ============================================
-
-// Get all posts (admin)
-app.get('/api/admin/posts', authenticateToken, async (req, res) => {
+// Get one asset with the posts that use it
+app.get('/api/admin/media/:id', authenticateToken, requirePermission('media:upload'), async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT 
-        bp.*,
-        bc.name as category_name,
-        bc.slug as category_slug,
-        bc.color as category_color,
-        fia.id as featured_image_asset_id,
-        fia.mime_type as featured_image_asset_mime_type,
-        COALESCE(
-          json_agg(
-            DISTINCT jsonb_build_object(
-              'id', bt.id,
-              'name', bt.name,
-              'slug', bt.slug
-            )
-          ) FILTER (WHERE bt.id IS NOT NULL),
-          '[]'
-        ) as tags
-      FROM blog_posts bp
-      LEFT JOIN media_assets fia ON bp.featured_image_asset_id = fia.id
-      LEFT JOIN blog_categories bc ON bp.category_id = bc.id
-      LEFT JOIN blog_post_tags bpt ON bp.id = bpt.post_id
-      LEFT JOIN blog_tags bt ON bpt.tag_id = bt.id
-      GROUP BY bp.id, bc.id, bc.name, bc.slug, bc.color, fia.id, fia.mime_type
-      ORDER BY bp.created_at DESC
-    `);
-    res.json(result.rows.map(transformBlogPost));
+    await ensureSchema('media', MEDIA_SCHEMA);
+    const result = await dbQuery(`${MEDIA_LIBRARY_SELECT} WHERE ma.id::text = $1`, [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    res.json({
+      ...mediaLibraryItem(result.rows[0], req.user),
+      posts: await loadMediaUsage(result.rows[0].id)
+    });
   } catch (error) {
-    secureErrorLog('Get admin posts error:', error.message);
+    secureErrorLog('Get media error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create/Update post
-app.post('/api/admin/posts', authenticateToken, async (req, res) => {
+// Update an asset's name, alt text or caption. The file in the repo keeps its
+// path, so posts that already use it are unaffected.
+app.put('/api/admin/media/:id', authenticateToken, requireMediaAccess, async (req, res) => {
   try {
-    console.log('[POST /api/admin/posts] Request received');
-    console.log('[POST /api/admin/posts] Body:', JSON.stringify(req.body, null, 2));
-    console.log('[POST /api/admin/posts] User:', req.user);
-    
-    const {
-      id,
-      title,
-      slug: providedSlug,
-      excerpt,
-      content,
-      featured_image_url,
-      featured_image_asset_id,
-      category_id,
-      status,
-      featured,
-      published_at,
-      tags
-    } = req.body;
-    
-    if (!title || !content) {
-      console.error('[POST /api/admin/posts] Missing required fields:', { title: !!title, content: !!content });
-      return res.status(400).json({ error: 'Title and content are required' });
-    }
-
-    const slug = providedSlug || slugify(title);
-    const featuredImageAssetId = featured_image_asset_id || null;
-    const resolvedImageUrl = featuredImageAssetId ? null : (featured_image_url || null);
-    let previousAssetId = null;
-
-    if (id) {
-      const existingImage = await pool.query(
-        'SELECT featured_image_asset_id FROM blog_posts WHERE id = $1',
-        [id]
-      );
+    const limits = { filename: 255, alt_text: 500, caption: 1000 };
+    const assignments = [];
+    const params = [];
 
-      if (existingImage.rows.length === 0) {
-        return res.status(404).json({ error: 'Post not found' });
+    for (const [field, maxLength] of Object.entries(limits)) {
+      if (req.body[field] === undefined) continue;
+      let value = req.body[field] === null ? '' : String(req.body[field]).trim();
+      if (value.length > maxLength) {
+        return res.status(400).json({ error: `${field} must be at most ${maxLength} characters` });
       }
-
-      previousAssetId = existingImage.rows[0].featured_image_asset_id;
-
-      const result = await pool.query(
-        `UPDATE blog_posts 
-         SET title = $1, slug = $2, excerpt = $3, content = $4, 
-             featured_image_url = $5, featured_image_asset_id = $6,
-             category_id = $7, status = $8, 
-             featured = $9, published_at = $10, author_id = $11, updated_at = NOW()
-         WHERE id = $12
-         RETURNING *`,
-        [
-          title,
-          slug,
-          excerpt,
-          content,
-          resolvedImageUrl || null,
-          featuredImageAssetId,
-          category_id,
-          status,
-          featured,
-          published_at,
-          req.user.id,
-          id
-        ]
-      );
-
-      // Update tags
-      if (tags && Array.isArray(tags)) {
-        await pool.query('DELETE FROM blog_post_tags WHERE post_id = $1', [id]);
-        for (const tagId of tags) {
-          if (tagId) {
-            await pool.query(
-              'INSERT INTO blog_post_tags (post_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
-              [id, tagId]
-            );
-          }
+      if (field === 'filename') {
+        if (!value) {
+          return res.status(400).json({ error: 'filename cannot be empty' });
         }
+        value = value.replace(/[^a-zA-Z0-9._-]/g, '_');
       }
+      params.push(value || null);
+      assignments.push(`${field} = $${params.length}`);
+    }
 
-      res.json(transformBlogPost(result.rows[0]));
-    } else {
-      console.log('[POST /api/admin/posts] Creating new post');
-      console.log('[POST /api/admin/posts] Insert values:', {
-        title,
-        slug,
-        excerpt: excerpt ? excerpt.substring(0, 50) + '...' : null,
-        content: content ? content.substring(0, 50) + '...' : null,
-        resolvedImageUrl,
-        featuredImageAssetId,
-        category_id,
-        status,
-        featured,
-        published_at,
-        author_id: req.user.id
-      });
-      
-      const result = await pool.query(
-        `INSERT INTO blog_posts 
-         (title, slug, excerpt, content, featured_image_url, featured_image_asset_id, category_id, status, featured, published_at, author_id)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-         RETURNING *`,
-        [
-          title,
-          slug,
-          excerpt || null,
-          content,
-          resolvedImageUrl || null,
-          featuredImageAssetId,
-          category_id || null,
-          status || 'draft',
-          featured || false,
-          published_at || null,
-          req.user.id
-        ]
-      );
-      
-      console.log('[POST /api/admin/posts] Insert result:', result.rows.length > 0 ? 'Success' : 'No rows returned');
-
-      const newPost = transformBlogPost(result.rows[0]);
+    if (assignments.length === 0) {
+      return res.status(400).json({ error: 'Nothing to update: send filename, alt_text or caption' });
+    }
 
-      // Add tags
-      if (tags && Array.isArray(tags)) {
-        for (const tagId of tags) {
-          if (tagId) {
-            await pool.query(
-              'INSERT INTO blog_post_tags (post_id, tag_id) VALUES ($1, $2) ON CONFLICT DO NOTHING',
-              [newPost.id, tagId]
-            );
-          }
-        }
-      }
+    params.push(req.asset.id);
+    await dbQuery(
+      `UPDATE media_assets SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${params.length}`,
+      params
+    );
 
-      console.log('[POST /api/admin/posts] Post created successfully:', newPost.id);
-      res.status(201).json(newPost);
-    }
+    const result = await dbQuery(`${MEDIA_LIBRARY_SELECT} WHERE ma.id = $1`, [req.asset.id]);
+    res.json(mediaLibraryItem(result.rows[0], req.user));
   } catch (error) {
-    console.error('[POST /api/admin/posts] Error details:', {
-      message: error.message,
-      code: error.code,
-      detail: error.detail,
-      constraint: error.constraint,
-      stack: error.stack
-    });
-    res.status(500).json({ 
-      error: error.message || 'Internal server error',
-      details: isDevelopment ? error.stack : undefined
-    });
+    secureErrorLog('Update media error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete post
-app.delete('/api/admin/posts/:id', authenticateToken, async (req, res) => {
+// Delete an unused asset and its files. Assets still shown by a post (including
+// trashed posts) are refused with a 409 listing them.
+app.delete('/api/admin/media/:id', authenticateToken, requireMediaAccess, async (req, res) => {
   try {
-    await pool.query('DELETE FROM blog_posts WHERE id = $1', [req.params.id]);
+    const asset = req.asset;
+    const posts = await loadMediaUsage(asset.id);
+    if (posts.length > 0) {
+      return res.status(409).json({
+        error: `This file is used by ${posts.length} post(s). Remove it from them first.`,
+        code: 'MEDIA_IN_USE',
+        posts
+      });
+    }
+
+    try {
+      if (isRepoAsset(asset)) {
+        const paths = [asset.blob_key, ...(asset.variants || []).map(variant => variant.path)];
+        await commitFilesToGitHub(
+          paths.map(filePath => ({ path: filePath, content: null })),
+          `Remove blog post image: ${asset.filename}`
+        );
+      } else if (asset.blob_key) {
+        await withRetry(() => getBlobStore('media-assets').delete(asset.blob_key));
+      }
+    } catch (error) {
+      // Keep the row so the delete can be retried
+      secureErrorLog(`[MEDIA] Could not remove files for ${asset.id}:`, error.message);
+      return res.status(502).json({ error: 'Could not remove the file from storage. Please try again.' });
+    }
+
+    await dbQuery('DELETE FROM media_assets WHERE id = $1', [asset.id]);
     res.json({ success: true });
   } catch (error) {
-    console.error('Delete post error:', error);
+    secureErrorLog('Delete media error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get categories (admin)
-app.get('/api/admin/categories', authenticateToken, async (req, res) => {
+// List preview links for a post
+app.get('/api/admin/posts/:id/preview-tokens', authenticateToken, requirePostAccess('edit'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM blog_categories ORDER BY name ASC');
+    await ensureSchema('previews', PREVIEW_SCHEMA);
+
+    const result = await dbQuery(`
+      SELECT
+        t.id, t.post_id, t.expires_at, t.revoked_at, t.last_used_at, t.created_at,
+        u.name as created_by_name,
+        (t.revoked_at IS NULL AND t.expires_at > NOW()) as active
+      FROM blog_post_preview_tokens t
+      LEFT JOIN users u ON t.created_by = u.id
+      WHERE t.post_id = $1
+      ORDER BY t.created_at DESC
+    `, [req.params.id]);
+
     res.json(result.rows);
   } catch (error) {
-    console.error('Get categories error:', error);
+    secureErrorLog('Get preview tokens error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create/Update category
-app.post('/api/admin/categories', authenticateToken, async (req, res) => {
+// Create a preview link for a post
+app.post('/api/admin/posts/:id/preview-tokens', authenticateToken, requirePostAccess('edit'), async (req, res) => {
   try {
-    const { id, name, slug: providedSlug, description, color } = req.body;
-    
-    // Validate required fields
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Category name is required' });
-    }
-    
-    const slug = providedSlug || slugify(name);
-    
-    if (!slug || !slug.trim()) {
-      return res.status(400).json({ error: 'Category slug is required' });
+    const post = await pool.query('SELECT id, slug, status FROM blog_posts WHERE id = $1', [req.params.id]);
+    if (post.rows.length === 0) {
+      return res.status(404).json({ error: 'Post not found' });
     }
 
-    // Handle empty string as null for id
-    const categoryId = id && id.trim() !== '' ? id : null;
+    const preview = await createPreviewToken(post.rows[0].id, req.user.id, req.body?.expires_in_hours);
 
-    if (categoryId) {
-      // Update existing category
-      const result = await pool.query(
-        'UPDATE blog_categories SET name = $1, slug = $2, description = $3, color = $4 WHERE id = $5 RETURNING *',
-        [name.trim(), slug.trim(), description ? description.trim() : null, color || '#0c71c3', categoryId]
-      );
-      
-      if (result.rows.length === 0) {
-        return res.status(404).json({ error: 'Category not found' });
-      }
-      
-      res.json(result.rows[0]);
-    } else {
-      // Create new category - check for duplicate slug first
-      const existing = await pool.query(
-        'SELECT id FROM blog_categories WHERE slug = $1',
-        [slug.trim()]
-      );
-      
-      if (existing.rows.length > 0) {
-        return res.status(409).json({ error: 'A category with this slug already exists' });
-      }
-      
-      const result = await pool.query(
-        'INSERT INTO blog_categories (name, slug, description, color) VALUES ($1, $2, $3, $4) RETURNING *',
-        [name.trim(), slug.trim(), description ? description.trim() : null, color || '#0c71c3']
-      );
-      res.status(201).json(result.rows[0]);
-    }
-  } catch (error) {
-    console.error('Save category error:', error);
-    
-    // Handle unique constraint violations
-    if (error.code === '23505') { // PostgreSQL unique violation
-      return res.status(409).json({ error: 'A category with this name or slug already exists' });
-    }
-    
-    // Handle foreign key violations
-    if (error.code === '23503') {
-      return res.status(400).json({ error: 'Invalid category reference' });
-    }
-    
-    res.status(500).json({ error: 'Internal server error', details: error.message });
+    res.status(201).json({
+      id: preview.id,
+      token: preview.token,
+      expires_at: preview.expires_at,
+      url: `${buildPostUrl(post.rows[0].slug)}&preview=${encodeURIComponent(preview.token)}`
+    });
+  } catch (error) {
+    secureErrorLog('Create preview token error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete category
-app.delete('/api/admin/categories/:id', authenticateToken, async (req, res) => {
+// Revoke a preview link
+app.delete('/api/admin/posts/:id/preview-tokens/:tokenId', authenticateToken, requirePostAccess('edit'), async (req, res) => {
   try {
-    await pool.query('DELETE FROM blog_categories WHERE id = $1', [req.params.id]);
+    await ensureSchema('previews', PREVIEW_SCHEMA);
+
+    const result = await dbQuery(
+      `UPDATE blog_post_preview_tokens SET revoked_at = COALESCE(revoked_at, NOW())
+       WHERE id = $1 AND post_id = $2
+       RETURNING id`,
+      [req.params.tokenId, req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Preview link not found' });
+    }
+
     res.json({ success: true });
   } catch (error) {
-    console.error('Delete category error:', error);
+    secureErrorLog('Revoke preview token error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get tags (admin)
-app.get('/api/admin/tags', authenticateToken, async (req, res) => {
+// ============================================
+// AUTHOR PROFILES
+// ============================================
+
+// Users who can be picked as post authors
+app.get('/api/admin/authors', authenticateToken, requirePermission('posts:view'), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM blog_tags ORDER BY name ASC');
-    res.json(result.rows);
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+    const result = await dbQuery('SELECT id, name, email, slug, role FROM users ORDER BY name ASC NULLS LAST, email ASC');
+    res.json(result.rows.map(user => ({ ...user, role: normalizeRole(user.role) })));
   } catch (error) {
-    console.error('Get tags error:', error);
+    secureErrorLog('Get authors error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create or get tag
-app.post('/api/admin/tags', authenticateToken, async (req, res) => {
+// Get own author profile
+app.get('/api/admin/profile', authenticateToken, requirePermission('posts:view'), async (req, res) => {
   try {
-    const { name, slug } = req.body;
-    
-    let result = await pool.query('SELECT * FROM blog_tags WHERE slug = $1', [slug]);
-    
-    if (result.rows.length > 0) {
-      res.json(result.rows[0]);
-    } else {
-      result = await pool.query(
-        'INSERT INTO blog_tags (name, slug) VALUES ($1, $2) RETURNING *',
-        [name, slug]
-      );
-      res.status(201).json(result.rows[0]);
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+    const result = await dbQuery(
+      'SELECT id, email, name, slug, bio, avatar_url, links, role FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
     }
+
+    res.json({ ...result.rows[0], links: result.rows[0].links || {} });
   } catch (error) {
-    console.error('Create tag error:', error);
+    secureErrorLog('Get profile error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete tag
-app.delete('/api/admin/tags/:id', authenticateToken, async (req, res) => {
+// Update own author profile
+app.put('/api/admin/profile', authenticateToken, requirePermission('posts:view'), [
+  body('name').optional().trim().isLength({ max: 200 }),
+  body('slug').optional({ checkFalsy: true }).trim().isLength({ max: 200 }),
+  body('bio').optional().trim().isLength({ max: 5000 }),
+  body('avatar_url').optional({ checkFalsy: true }).trim().isURL({ protocols: ['http', 'https'] })
+], async (req, res) => {
   try {
-    await pool.query('DELETE FROM blog_tags WHERE id = $1', [req.params.id]);
-    res.json({ success: true });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid profile details' });
+    }
+
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+
+    const { name, bio, avatar_url, links } = req.body;
+    const requestedSlug = req.body.slug ? slugify(req.body.slug) : null;
+
+    if (requestedSlug) {
+      const taken = await dbQuery('SELECT id FROM users WHERE slug = $1 AND id <> $2', [requestedSlug, req.user.id]);
+      if (taken.rows.length > 0) {
+        return res.status(409).json({ error: 'That profile URL is already taken' });
+      }
+    }
+
+    const result = await dbQuery(
+      `UPDATE users
+       SET name = $1, slug = COALESCE($2, slug), bio = $3, avatar_url = $4, links = $5
+       WHERE id = $6
+       RETURNING id, email, name, slug, bio, avatar_url, links, role`,
+      [
+        name || null,
+        requestedSlug,
+        bio || null,
+        avatar_url || null,
+        JSON.stringify(sanitizeAuthorLinks(links)),
+        req.user.id
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await purgePublicCache(['authors', `author-${result.rows[0].slug}`]);
+    res.json(result.rows[0]);
   } catch (error) {
-    console.error('Delete tag error:', error);
+    secureErrorLog('Update profile error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get comments (admin)
-app.get('/api/admin/comments', authenticateToken, async (req, res) => {
+// ============================================
+// USER MANAGEMENT (admin only)
+// ============================================
+
+// List users
+app.get('/api/admin/users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    const { status } = req.query;
-    let query = `
-      SELECT 
-        c.*,
-        bp.title as post_title,
-        bp.slug as post_slug,
-        u.name as user_name
-      FROM comments c
-      LEFT JOIN blog_posts bp ON c.post_id = bp.id
-      LEFT JOIN users u ON c.user_id = u.id
-    `;
-    
-    const params = [];
-    if (status) {
-      query += ' WHERE c.status = $1';
-      params.push(status);
+    const result = await dbQuery('SELECT id, email, name, role, created_at FROM users ORDER BY created_at ASC');
+    res.json(result.rows.map(user => ({ ...user, role: normalizeRole(user.role) })));
+  } catch (error) {
+    secureErrorLog('Get users error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create user
+app.post('/api/admin/users', authenticateToken, requirePermission('users:manage'), [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isLength({ min: 8, max: 200 }),
+  body('role').isIn(ROLES),
+  body('name').optional().trim().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'A valid email, a password of at least 8 characters and a role are required' });
     }
-    
-    query += ' ORDER BY c.created_at DESC';
-    
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+
+    const { email, password, role, name } = req.body;
+    const passwordHash = await bcrypt.hash(password, 12);
+
+    await ensureSchema('authors', AUTHOR_SCHEMA);
+    const slug = await uniqueUserSlug(name || email);
+
+    const result = await dbQuery(
+      `INSERT INTO users (email, password_hash, name, role, slug)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, email, name, role, slug, created_at`,
+      [email.toLowerCase(), passwordHash, name || null, role, slug]
+    );
+
+    res.status(201).json(result.rows[0]);
   } catch (error) {
-    console.error('Get comments error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A user with this email already exists' });
+    }
+    secureErrorLog('Create user error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update comment status
-app.put('/api/admin/comments/:id', authenticateToken, async (req, res) => {
+// Update a user's name or role
+app.put('/api/admin/users/:id', authenticateToken, requirePermission('users:manage'), [
+  body('role').optional().isIn(ROLES),
+  body('name').optional().trim().isLength({ max: 200 })
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Invalid role or name' });
+    }
+
     const { id } = req.params;
-    const { status } = req.body;
+    const { role, name } = req.body;
 
-    const result = await pool.query(
-      'UPDATE comments SET status = $1 WHERE id = $2 RETURNING *',
-      [status, id]
+    // Keep at least the current admin able to get back in
+    if (String(id) === String(req.user.id) && role && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    const result = await dbQuery(
+      `UPDATE users SET role = COALESCE($1, role), name = COALESCE($2, name)
+       WHERE id = $3
+       RETURNING id, email, name, role, created_at`,
+      [role || null, name === undefined ? null : name, id]
     );
 
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Comment not found' });
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json(result.rows[0]);
+    res.json({ ...result.rows[0], role: normalizeRole(result.rows[0].role) });
   } catch (error) {
-    console.error('Update comment error:', error);
+    secureErrorLog('Update user error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete comment
-app.delete('/api/admin/comments/:id', authenticateToken, async (req, res) => {
+// Delete user
+app.delete('/api/admin/users/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
   try {
-    await pool.query('DELETE FROM comments WHERE id = $1', [req.params.id]);
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    const result = await dbQuery('DELETE FROM users WHERE id = $1 RETURNING id', [req.params.id]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
     res.json({ success: true });
   } catch (error) {
-    console.error('Delete comment error:', error);
+    if (error.code === '23503') {
+      return res.status(409).json({ error: 'This user still has posts. Reassign them before deleting the user.' });
+    }
+    secureErrorLog('Delete user error:', error.message);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Upload media - saves to GitHub repo
-app.post('/api/admin/upload', authenticateToken, upload.single('file'), async (req, res) => {
+// Run the scheduled-post publisher on demand
+app.post('/api/admin/jobs/publish-scheduled', authenticateToken, requirePermission('jobs:run'), async (req, res) => {
   try {
-    const file = req.file;
-    if (!file) {
+    const published = await publishDuePosts();
+    res.json({ published });
+  } catch (error) {
+    secureErrorLog('Publish scheduled posts error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Permanently delete trashed items past the retention period (also run by the scheduler)
+app.post('/api/admin/jobs/purge-trash', authenticateToken, requirePermission('jobs:run'), async (req, res) => {
+  try {
+    const purged = await purgeExpiredTrash();
+    res.json({ purged, retention_days: TRASH_RETENTION_DAYS });
+  } catch (error) {
+    secureErrorLog('Purge trash error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Re-render the whole static mirror (e.g. after a template change)
+app.post('/api/admin/jobs/export-static', authenticateToken, requirePermission('jobs:run'), async (req, res) => {
+  try {
+    if (!process.env.GITHUB_TOKEN) {
+      return res.status(503).json({ error: 'GITHUB_TOKEN is not configured' });
+    }
+    // A full export is far too slow to run inside this request
+    await queueStaticExport({});
+    res.status(202).json({ queued: true });
+  } catch (error) {
+    secureErrorLog('Static export error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import posts from a WordPress export or Markdown files. Dry run unless dry_run=false.
+app.post('/api/admin/import', authenticateToken, requirePermission('posts:import'), (req, res, next) => {
+  importUpload.single('file')(req, res, error => {
+    if (error) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? 'File is larger than 6MB; use scripts/import-posts.js for big archives'
+        : error.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
       return res.status(400).json({ error: 'File is required' });
     }
 
-    const context = (req.body?.context || 'blog').toString().trim().toLowerCase();
-    const asset = await createMediaAsset(file, context);
+    const options = {
+      authorId: req.user.id,
+      onConflict: req.body?.on_conflict === 'rename' ? 'rename' : 'skip'
+    };
 
-    res.json({
-      asset_id: asset.id,
-      url: asset.url, // Relative path like /assets/images/posts/uuid.jpg
-      path: asset.path, // Full path in repo
-      mime_type: asset.mime_type,
-      size: asset.file_size,
-      filename: asset.filename,
-      github_url: asset.github_url
-    });
+    // Always plan first, so an import that would time out part-way is refused before it starts
+    const plan = await importPosts(req.file.buffer, req.file.originalname, { ...options, dryRun: true });
+    const webLimit = {
+      posts: IMPORT_WEB_MAX_POSTS,
+      images: IMPORT_WEB_MAX_IMAGES,
+      exceeded: plan.summary.to_create > IMPORT_WEB_MAX_POSTS || plan.images.to_import > IMPORT_WEB_MAX_IMAGES
+    };
+
+    if (req.body?.dry_run !== 'false') {
+      return res.json({ ...plan, web_limit: webLimit });
+    }
+    if (webLimit.exceeded) {
+      return res.status(413).json({
+        error: `This file has ${plan.summary.to_create} post(s) and ${plan.images.to_import} image(s) to import; ` +
+          `the admin page handles up to ${IMPORT_WEB_MAX_POSTS} posts and ${IMPORT_WEB_MAX_IMAGES} images. ` +
+          'Use npm run import-posts for bigger imports.',
+        code: 'IMPORT_TOO_LARGE',
+        web_limit: webLimit
+      });
+    }
+
+    const report = await importPosts(req.file.buffer, req.file.originalname, { ...options, dryRun: false });
+    res.json(report);
   } catch (error) {
-    console.error('Upload error:', error);
-    if (error.message.includes('GITHUB_TOKEN')) {
-      res.status(500).json({ error: 'GitHub integration not configured. Please set GITHUB_TOKEN environment variable.' });
-    } else {
-      res.status(500).json({ error: error.message || 'Internal server error' });
+    if (error.code === 'INVALID_IMPORT') {
+      return res.status(400).json({ error: error.message });
+    }
+    secureErrorLog('Import error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download a full backup archive; subscribers only with ?subscribers=true and
+// password hashes only with ?password_hashes=true
+app.get('/api/admin/backup', authenticateToken, requirePermission('backup:export'), async (req, res) => {
+  try {
+    const { buffer } = await exportBackup({
+      includeSubscribers: req.query.subscribers === 'true',
+      includePasswordHashes: req.query.password_hashes === 'true'
+    });
+    if (buffer.length > BACKUP_WEB_MAX_BYTES) {
+      return res.status(413).json({
+        error: `This backup is ${Math.ceil(buffer.length / (1024 * 1024))}MB, more than can be downloaded here. Use npm run backup instead.`,
+        code: 'BACKUP_TOO_LARGE'
+      });
     }
+    const filename = `blog-backup-${new Date().toISOString().slice(0, 10)}.zip`;
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.send(buffer);
+  } catch (error) {
+    secureErrorLog('Backup error:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // Dashboard stats
-app.get('/api/admin/stats', authenticateToken, async (req, res) => {
+app.get('/api/admin/stats', authenticateToken, requirePermission('stats:view'), async (req, res) => {
   try {
+    await ensureSchema('trash', TRASH_SCHEMA);
     const [posts, categories, subscribers, views, comments] = await Promise.all([
-      pool.query('SELECT COUNT(*) as count FROM blog_posts'),
-      pool.query('SELECT COUNT(*) as count FROM blog_categories'),
+      pool.query('SELECT COUNT(*) as count FROM blog_posts WHERE deleted_at IS NULL'),
+      pool.query('SELECT COUNT(*) as count FROM blog_categories WHERE deleted_at IS NULL'),
       pool.query('SELECT COUNT(*) as count FROM newsletter_subscribers'),
-      pool.query('SELECT SUM(view_count) as total FROM blog_posts'),
-      pool.query('SELECT COUNT(*) as count FROM comments WHERE status = $1', ['pending'])
+      pool.query('SELECT SUM(view_count) as total FROM blog_posts WHERE deleted_at IS NULL'),
+      pool.query(
+        `SELECT COUNT(*) as count FROM comments c JOIN blog_posts bp ON c.post_id = bp.id
+         WHERE c.status = $1 AND c.deleted_at IS NULL AND bp.deleted_at IS NULL`,
+        ['pending']
+      )
     ]);
 
     res.json({
@@ -1505,7 +7209,7 @@ app.get('/api/admin/stats', authenticateToken, async (req, res) => {
 // ============================================
 
 // LinkedIn OAuth - Initiate authentication
-app.get('/api/linkedin/auth', authenticateToken, async (req, res) => {
+app.get('/api/linkedin/auth', authenticateToken, requirePermission('linkedin:manage'), async (req, res) => {
   try {
     const LINKEDIN_CLIENT_ID = process.env.LINKEDIN_CLIENT_ID;
     const LINKEDIN_REDIRECT_URI = process.env.LINKEDIN_REDIRECT_URI || `${req.protocol}://${req.get('host')}/api/linkedin/callback`;
@@ -1619,7 +7323,7 @@ app.get('/api/linkedin/callback', async (req, res) => {
 });
 
 // Get LinkedIn authentication status
-app.get('/api/linkedin/status', authenticateToken, async (req, res) => {
+app.get('/api/linkedin/status', authenticateToken, requirePermission('linkedin:post', 'linkedin:manage'), async (req, res) => {
   try {
     const result = await pool.query(
       'SELECT value FROM settings WHERE key = $1',
@@ -1635,142 +7339,163 @@ app.get('/api/linkedin/status', authenticateToken, async (req, res) => {
   }
 });
 
-// Post to LinkedIn
-app.post('/api/linkedin/post', authenticateToken, async (req, res) => {
-  try {
-    const { postId, title, url } = req.body;
-    
-    if (!postId || !title || !url) {
-      return res.status(400).json({ error: 'Missing required fields: postId, title, url' });
+// Build an error carrying an HTTP status for the LinkedIn helpers
+function linkedInError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+/**
+ * Share a blog post on LinkedIn and record it in linkedin_posts
+ * @param {string} postId - Blog post ID
+ * @param {string} title - Title used for the share text
+ * @param {string} url - Public URL of the post
+ * @returns {object} - { linkedinPostId }
+ */
+async function shareOnLinkedIn(postId, title, url) {
+  // Get access token from database
+  const tokenResult = await pool.query(
+    'SELECT value FROM settings WHERE key = $1',
+    ['linkedin_access_token']
+  );
+  
+  if (tokenResult.rows.length === 0 || !tokenResult.rows[0].value) {
+    throw linkedInError(401, 'LinkedIn not authenticated', { requiresAuth: true });
+  }
+
+  // Decrypt the access token
+  const accessToken = decryptToken(tokenResult.rows[0].value);
+
+  // Get user's LinkedIn person URN
+  const personResponse = await fetch('https://api.linkedin.com/v2/me', {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'X-Restli-Protocol-Version': '2.0.0'
     }
+  });
 
-    // Get access token from database
-    const tokenResult = await pool.query(
+  if (!personResponse.ok) {
+    // Token might be expired - check if we have a refresh token
+    const refreshResult = await pool.query(
       'SELECT value FROM settings WHERE key = $1',
-      ['linkedin_access_token']
+      ['linkedin_refresh_token']
     );
     
-    if (tokenResult.rows.length === 0 || !tokenResult.rows[0].value) {
-      return res.status(401).json({ 
-        error: 'LinkedIn not authenticated',
-        requiresAuth: true 
-      });
+    if (refreshResult.rows.length > 0 && refreshResult.rows[0].value) {
+      // Refresh token exists (still encrypted) - prompt user to re-authenticate
+      throw linkedInError(401, 'LinkedIn token expired. Please re-authenticate.', { requiresAuth: true });
     }
+    
+    throw linkedInError(401, 'LinkedIn authentication failed. Please re-authenticate.', { requiresAuth: true });
+  }
 
-    // Decrypt the access token
-    const accessToken = decryptToken(tokenResult.rows[0].value);
-
-    // Get user's LinkedIn person URN
-    const personResponse = await fetch('https://api.linkedin.com/v2/me', {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'X-Restli-Protocol-Version': '2.0.0'
-      }
-    });
+  const personData = await personResponse.json();
+  // LinkedIn person URN format: urn:li:person:{id}
+  // The /me endpoint returns an id field that we can use
+  const personUrn = personData.id ? (personData.id.startsWith('urn:') ? personData.id : `urn:li:person:${personData.id}`) : null;
+  
+  if (!personUrn) {
+    throw linkedInError(400, 'Could not determine LinkedIn person URN');
+  }
 
-    if (!personResponse.ok) {
-      // Token might be expired - check if we have a refresh token
-      const refreshResult = await pool.query(
-        'SELECT value FROM settings WHERE key = $1',
-        ['linkedin_refresh_token']
-      );
-      
-      if (refreshResult.rows.length > 0 && refreshResult.rows[0].value) {
-        // Refresh token exists (still encrypted) - prompt user to re-authenticate
-        return res.status(401).json({ 
-          error: 'LinkedIn token expired. Please re-authenticate.',
-          requiresAuth: true 
-        });
+  // Create LinkedIn post using UGC Posts API (recommended approach)
+  const postContent = {
+    author: personUrn,
+    lifecycleState: 'PUBLISHED',
+    specificContent: {
+      'com.linkedin.ugc.ShareContent': {
+        shareCommentary: {
+          text: `${title}\n\nRead more: ${url}`
+        },
+        shareMediaCategory: 'ARTICLE',
+        media: [{
+          status: 'READY',
+          description: {
+            text: title
+          },
+          originalUrl: url,
+          title: {
+            text: title
+          }
+        }]
       }
-      
-      return res.status(401).json({ 
-        error: 'LinkedIn authentication failed. Please re-authenticate.',
-        requiresAuth: true 
-      });
+    },
+    visibility: {
+      'com.linkedin.ugc.MemberNetworkVisibility': 'PUBLIC'
     }
+  };
 
-    const personData = await personResponse.json();
-    // LinkedIn person URN format: urn:li:person:{id}
-    // The /me endpoint returns an id field that we can use
-    const personUrn = personData.id ? (personData.id.startsWith('urn:') ? personData.id : `urn:li:person:${personData.id}`) : null;
-    
-    if (!personUrn) {
-      return res.status(400).json({ 
-        error: 'Could not determine LinkedIn person URN'
-      });
-    }
+  const postResponse = await fetch('https://api.linkedin.com/v2/ugcPosts', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json',
+      'X-Restli-Protocol-Version': '2.0.0'
+    },
+    body: JSON.stringify(postContent)
+  });
 
-    // Create LinkedIn post using UGC Posts API (recommended approach)
-    const postContent = {
-      author: personUrn,
-      lifecycleState: 'PUBLISHED',
-      specificContent: {
-        'com.linkedin.ugc.ShareContent': {
-          shareCommentary: {
-            text: `${title}\n\nRead more: ${url}`
-          },
-          shareMediaCategory: 'ARTICLE',
-          media: [{
-            status: 'READY',
-            description: {
-              text: title
-            },
-            originalUrl: url,
-            title: {
-              text: title
-            }
-          }]
-        }
-      },
-      visibility: {
-        'com.linkedin.ugc.MemberNetworkVisibility': 'PUBLIC'
-      }
-    };
+  if (!postResponse.ok) {
+    const errorData = await postResponse.text();
+    console.error('LinkedIn post error:', errorData);
+    throw linkedInError(postResponse.status, 'Failed to post to LinkedIn', { details: errorData });
+  }
 
-    const postResponse = await fetch('https://api.linkedin.com/v2/ugcPosts', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json',
-        'X-Restli-Protocol-Version': '2.0.0'
-      },
-      body: JSON.stringify(postContent)
-    });
+  const postResult = await postResponse.json();
+  
+  // Store LinkedIn post ID in database for tracking
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS linkedin_posts (
+      id SERIAL PRIMARY KEY,
+      post_id VARCHAR(255) NOT NULL,
+      linkedin_post_id VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW(),
+      FOREIGN KEY (post_id) REFERENCES blog_posts(id) ON DELETE CASCADE
+    )
+  `);
+  
+  await pool.query(`
+    INSERT INTO linkedin_posts (post_id, linkedin_post_id)
+    VALUES ($1, $2)
+    ON CONFLICT DO NOTHING
+  `, [postId, postResult.id]);
 
-    if (!postResponse.ok) {
-      const errorData = await postResponse.text();
-      console.error('LinkedIn post error:', errorData);
-      return res.status(postResponse.status).json({ 
-        error: 'Failed to post to LinkedIn',
-        details: errorData 
-      });
-    }
+  return { linkedinPostId: postResult.id };
+}
 
-    const postResult = await postResponse.json();
-    
-    // Store LinkedIn post ID in database for tracking
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS linkedin_posts (
-        id SERIAL PRIMARY KEY,
-        post_id VARCHAR(255) NOT NULL,
-        linkedin_post_id VARCHAR(255),
-        created_at TIMESTAMP DEFAULT NOW(),
-        FOREIGN KEY (post_id) REFERENCES blog_posts(id) ON DELETE CASCADE
-      )
-    `);
+// Post to LinkedIn
+app.post('/api/linkedin/post', authenticateToken, requirePermission('linkedin:post'), async (req, res) => {
+  try {
+    const { postId, title } = req.body;
     
-    await pool.query(`
-      INSERT INTO linkedin_posts (post_id, linkedin_post_id)
-      VALUES ($1, $2)
-      ON CONFLICT DO NOTHING
-    `, [postId, postResult.id]);
+    if (!postId || !title) {
+      return res.status(400).json({ error: 'Missing required fields: postId, title' });
+    }
+
+    // Share the server-rendered page so LinkedIn's preview gets the post's metadata
+    const post = await dbQuery('SELECT slug FROM blog_posts WHERE id = $1', [postId]);
+    const url = post.rows.length > 0 ? buildShareUrl(post.rows[0].slug) : req.body.url;
+    if (!url) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const { linkedinPostId } = await shareOnLinkedIn(postId, title, url);
 
     res.json({ 
       success: true,
-      linkedinPostId: postResult.id,
+      linkedinPostId,
       message: 'Successfully posted to LinkedIn'
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...(error.requiresAuth ? { requiresAuth: true } : {}),
+        ...(error.details ? { details: error.details } : {})
+      });
+    }
     console.error('LinkedIn post error:', error);
     res.status(500).json({ 
       error: 'Internal server error',
@@ -1779,8 +7504,23 @@ app.post('/api/linkedin/post', authenticateToken, async (req, res) => {
   }
 });
 
-// Export handler
-exports.handler = serverless(app);
+// Export handler; backups are binary and must not be sent as text
+exports.handler = serverless(app, { binary: ['application/zip'] });
+
+// Shared with the scheduled publisher function
+exports.publishDuePosts = publishDuePosts;
+exports.purgeExpiredTrash = purgeExpiredTrash;
+
+// Used by scripts/export-static.js
+exports.exportStaticSite = exportStaticSite;
 
+// Used by the static-export-background and image-variants-background functions
+exports.runStaticExportJob = runStaticExportJob;
+exports.runImageVariantsJob = runImageVariantsJob;
 
+// Used by scripts/import-posts.js
+exports.importPosts = importPosts;
 
+// Used by scripts/backup.js
+exports.exportBackup = exportBackup;
+exports.restoreBackup = restoreBackup;
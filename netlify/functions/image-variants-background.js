@@ -0,0 +1,25 @@
+// ============================================
+// BLOG PLATFORM - IMAGE VARIANTS (Netlify Background Function)
+// Encodes the AVIF, WebP and smaller copies of an uploaded image, commits
+// them next to it and records them on its media_assets row. Jobs are
+// queued by the API after an upload, which only stores the capped main file.
+// ============================================
+
+const { runImageVariantsJob } = require('./api');
+
+exports.handler = async (event) => {
+  try {
+    const { token } = JSON.parse(event.body || '{}');
+    const variants = await runImageVariantsJob(token);
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ variants: variants.length })
+    };
+  } catch (error) {
+    console.error('[MEDIA] Image variants job failed:', error.message);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Image variants job failed' })
+    };
+  }
+};
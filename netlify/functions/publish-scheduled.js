@@ -0,0 +1,26 @@
+// ============================================
+// BLOG PLATFORM - SCHEDULED PUBLISHER (Netlify Scheduled Function)
+// Publishes posts whose scheduled publish time has passed.
+// Schedule is configured in netlify.toml.
+// ============================================
+
+const { publishDuePosts } = require('./api');
+
+exports.handler = async () => {
+  try {
+    const published = await publishDuePosts();
+    if (published.length > 0) {
+      console.log(`[SCHEDULER] Published ${published.length} post(s):`, published.map(post => post.slug).join(', '));
+    }
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ published })
+    };
+  } catch (error) {
+    console.error('[SCHEDULER] Publish run failed:', error.message);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Publish run failed' })
+    };
+  }
+};
@@ -0,0 +1,28 @@
+// ============================================
+// BLOG PLATFORM - TRASH PURGE (Netlify Scheduled Function)
+// Permanently deletes posts, categories and comments that have been in the
+// trash longer than TRASH_RETENTION_DAYS (default 30).
+// Schedule is configured in netlify.toml.
+// ============================================
+
+const { purgeExpiredTrash } = require('./api');
+
+exports.handler = async () => {
+  try {
+    const purged = await purgeExpiredTrash();
+    const total = Object.values(purged).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      console.log(`[TRASH] Purged ${total} item(s):`, JSON.stringify(purged));
+    }
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ purged })
+    };
+  } catch (error) {
+    console.error('[TRASH] Purge run failed:', error.message);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Purge run failed' })
+    };
+  }
+};
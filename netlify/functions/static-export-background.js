@@ -0,0 +1,28 @@
+// ============================================
+// BLOG PLATFORM - STATIC MIRROR EXPORT (Netlify Background Function)
+// Re-renders the pages touched by a post change (or the whole site) and
+// commits them to the GitHub Pages mirror. Jobs are queued by the API;
+// background functions answer 202 straight away and may run for 15 minutes.
+// ============================================
+
+const { runStaticExportJob } = require('./api');
+
+exports.handler = async (event) => {
+  try {
+    const { token } = JSON.parse(event.body || '{}');
+    const summary = await runStaticExportJob(token);
+    if (summary.failed.length > 0) {
+      console.error(`[STATIC] Failed: ${summary.failed.join(', ')}`);
+    }
+    return {
+      statusCode: 200,
+      body: JSON.stringify(summary)
+    };
+  } catch (error) {
+    console.error('[STATIC] Export job failed:', error.message);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Export job failed' })
+    };
+  }
+};
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+// ============================================
+// BLOG PLATFORM - BACKUP AND RESTORE
+// Writes the whole site (posts as Markdown with front matter, categories,
+// tags, comments, users, settings and the media manifest) to one zip, and
+// rebuilds an empty database from it with the same IDs.
+//
+// Usage:
+//   node scripts/backup.js export [--out backup.zip] [--subscribers] [--password-hashes]
+//   node scripts/backup.js restore <backup.zip> [--database-url <url>]
+//
+// Export reads DATABASE_URL. Restore writes to --database-url (or
+// DATABASE_URL), which must point at an empty database, e.g. a local
+// Postgres for checking that a backup is good.
+//
+// Users' password hashes are left out unless --password-hashes is passed;
+// users restored without one need a new password before they can log in.
+// The admin dashboard download is capped at a few MB, so larger sites
+// back up from here.
+// ============================================
+
+const fs = require('fs');
+
+function parseArgs(argv) {
+  const valueOf = flag => {
+    const index = argv.indexOf(flag);
+    return index !== -1 ? argv[index + 1] : null;
+  };
+  const values = [valueOf('--out'), valueOf('--database-url')];
+  return {
+    command: argv[0],
+    file: argv.slice(1).find(arg => !arg.startsWith('--') && !values.includes(arg)) || null,
+    out: valueOf('--out'),
+    databaseUrl: valueOf('--database-url'),
+    subscribers: argv.includes('--subscribers'),
+    passwordHashes: argv.includes('--password-hashes')
+  };
+}
+
+async function runExport({ out, subscribers, passwordHashes }) {
+  const { exportBackup } = require('../netlify/functions/api');
+  const { buffer, manifest } = await exportBackup({ includeSubscribers: subscribers, includePasswordHashes: passwordHashes });
+
+  const target = out || `blog-backup-${manifest.created_at.slice(0, 10)}.zip`;
+  await fs.promises.writeFile(target, buffer);
+
+  console.log(`Wrote ${target} (${manifest.posts} posts)`);
+  for (const [table, rows] of Object.entries(manifest.tables)) {
+    console.log(`  ${table.padEnd(24)} ${rows}`);
+  }
+  if (!manifest.subscribers_included) {
+    console.log('Newsletter subscribers were left out; pass --subscribers to include them.');
+  }
+  if (!manifest.password_hashes_included) {
+    console.log('Password hashes were left out; pass --password-hashes to include them.');
+  }
+}
+
+async function runRestore({ file, databaseUrl }) {
+  if (!file) {
+    throw new Error('Pass the backup file to restore');
+  }
+  // The API module connects with DATABASE_URL when it loads
+  if (databaseUrl) {
+    process.env.DATABASE_URL = databaseUrl;
+  }
+  if (!process.env.DATABASE_URL) {
+    throw new Error('Set DATABASE_URL or pass --database-url');
+  }
+
+  const { restoreBackup } = require('../netlify/functions/api');
+  const summary = await restoreBackup(await fs.promises.readFile(file));
+
+  console.log(`Restored ${summary.posts} posts`);
+  for (const [table, rows] of Object.entries(summary.tables)) {
+    console.log(`  ${table.padEnd(24)} ${rows}`);
+  }
+  if (!summary.password_hashes_included) {
+    console.log('The backup had no password hashes; users need a new password before they can log in.');
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.command === 'export') {
+    await runExport(args);
+  } else if (args.command === 'restore') {
+    await runRestore(args);
+  } else {
+    console.error('Usage: node scripts/backup.js export [--out file] [--subscribers] [--password-hashes]');
+    console.error('       node scripts/backup.js restore <file> [--database-url url]');
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('Backup failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// ============================================
+// BLOG PLATFORM - STATIC EXPORT
+// Pre-renders every published post, the category and tag archives and the
+// home page into static/ for the GitHub Pages mirror.
+//
+// Usage:
+//   node scripts/export-static.js             Commit the pages via the GitHub API (needs GITHUB_TOKEN)
+//   node scripts/export-static.js --out dist  Write the pages to a local directory instead
+//
+// Needs the same environment as the API function (DATABASE_URL, SITE_URL, ...).
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const { exportStaticSite } = require('../netlify/functions/api');
+
+function parseArgs(argv) {
+  const outIndex = argv.indexOf('--out');
+  return {
+    outDir: outIndex !== -1 ? argv[outIndex + 1] : null
+  };
+}
+
+async function main() {
+  const { outDir } = parseArgs(process.argv.slice(2));
+
+  const options = {};
+  if (outDir) {
+    options.writeFile = async (filePath, html) => {
+      const target = path.resolve(outDir, filePath);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, html);
+    };
+  } else if (!process.env.GITHUB_TOKEN) {
+    console.error('GITHUB_TOKEN is not set. Set it, or pass --out <dir> to write the pages locally.');
+    process.exit(1);
+  }
+
+  const summary = await exportStaticSite(options);
+  console.log(`Written:   ${summary.written.length}`);
+  console.log(`Unchanged: ${summary.unchanged.length}`);
+  if (summary.failed.length > 0) {
+    console.error(`Failed:    ${summary.failed.join(', ')}`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('Static export failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// ============================================
+// BLOG PLATFORM - IMPORT
+// Imports posts from a WordPress export (WXR .xml), a Markdown file or a
+// .zip of Markdown files with YAML front matter. Without --commit it only
+// prints what would be imported.
+//
+// Usage:
+//   node scripts/import-posts.js <file> --author <email>            Dry run: report only
+//   node scripts/import-posts.js <file> --author <email> --commit   Create the posts
+//   Add --rename to import posts whose slug is taken as "<slug>-2"
+//   instead of skipping them.
+//
+// Needs the same environment as the API function (DATABASE_URL, GITHUB_TOKEN, ...).
+// ============================================
+
+const fs = require('fs');
+const path = require('path');
+const { importPosts } = require('../netlify/functions/api');
+
+function parseArgs(argv) {
+  const authorIndex = argv.indexOf('--author');
+  return {
+    file: argv.find((arg, index) => !arg.startsWith('--') && index !== authorIndex + 1) || null,
+    authorEmail: authorIndex !== -1 ? argv[authorIndex + 1] : null,
+    commit: argv.includes('--commit'),
+    rename: argv.includes('--rename')
+  };
+}
+
+function printReport(report) {
+  for (const post of report.posts) {
+    const details = post.action === 'create' || post.action === 'created'
+      ? `${post.status}${post.published_at ? ` ${new Date(post.published_at).toISOString().slice(0, 10)}` : ''}` +
+        `${post.images ? `, ${post.images} image(s)` : ''}`
+      : post.reason;
+    console.log(`  ${post.action.padEnd(7)} ${post.slug || post.source}  (${details})`);
+  }
+  for (const item of report.skipped) {
+    console.log(`  skip    ${item.source}  (${item.reason})`);
+  }
+
+  if (report.categories.new.length > 0) {
+    console.log(`New categories: ${report.categories.new.join(', ')}`);
+  }
+  if (report.tags.new.length > 0) {
+    console.log(`New tags:       ${report.tags.new.join(', ')}`);
+  }
+  for (const image of report.images.missing) {
+    console.warn(`Missing image:  ${image.image} (${image.post})`);
+  }
+  for (const image of report.images.failed) {
+    console.warn(`Failed image:   ${image.image} (${image.post}): ${image.error}`);
+  }
+
+  console.log(JSON.stringify(report.summary, null, 2));
+}
+
+async function main() {
+  const { file, authorEmail, commit, rename } = parseArgs(process.argv.slice(2));
+
+  if (!file || !authorEmail) {
+    console.error('Usage: node scripts/import-posts.js <file> --author <email> [--commit] [--rename]');
+    process.exit(1);
+  }
+  if (commit && !process.env.GITHUB_TOKEN) {
+    console.warn('GITHUB_TOKEN is not set; images will fail to import.');
+  }
+
+  const report = await importPosts(await fs.promises.readFile(file), path.basename(file), {
+    dryRun: !commit,
+    authorEmail,
+    onConflict: rename ? 'rename' : 'skip',
+    // No function time limit here, so images are finished before the script exits
+    inlineImageVariants: true
+  });
+
+  console.log(commit ? 'Imported:' : 'Dry run (nothing written; pass --commit to import):');
+  printReport(report);
+  if (commit && report.summary.created > 0) {
+    console.log('The static mirror update was queued; if the posts do not appear there, run "npm run export-static".');
+  }
+  process.exit(report.summary.errors > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exit(1);
+});